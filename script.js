@@ -13,7 +13,242 @@
             neighborRadius: 2,
             glowColor: '#ffcc00'
         },
+        SETTINGS_KEY: 'calculator_settings',
+        HISTORY_KEY: 'calculator_history',
+        MEMORY_KEY: 'calculator_memory',
+        MEMORY_VARIABLES: ['A', 'B', 'C', 'D', 'E', 'F', 'x', 'y'],
+        CURRENCY_KEY: 'calculator_currencies',
+        STATISTICS_KEY: 'calculator_statistics',
+        MATRIX_KEY: 'calculator_matrices',
+        DATE_KEY: 'calculator_dates',
+        FINANCE_KEY: 'calculator_finance',
+        KEYMAP_KEY: 'calculator_keymap',
+        // 汇率表：rates 为 1 单位基准货币可兑换的数量（十进制字符串）
+        DEFAULT_CURRENCIES: { base: 'CNY', updated: '', rates: { CNY: '1' }, from: 'CNY', to: 'CNY' },
+        CURRENCY_NAMES: {
+            CNY: '人民币', USD: '美元', EUR: '欧元', JPY: '日元', GBP: '英镑', HKD: '港币',
+            TWD: '新台币', MOP: '澳门元', KRW: '韩元', SGD: '新加坡元', AUD: '澳元', CAD: '加元',
+            CHF: '瑞士法郎', THB: '泰铢', MYR: '林吉特', RUB: '卢布', INR: '卢比', NZD: '新西兰元'
+        },
+        // 汇率保存 15 位有效数字，显示 10 位，更换基准货币时折算误差不会显示出来
+        RATE_PRECISION: 15,
+        RATE_DISPLAY_DIGITS: 10,
+        DEFAULT_SETTINGS: {
+            decimalMode: false,
+            decimalPrecision: 32,
+            fractionMode: false,
+            mixedFractions: true,
+            complexMode: false,
+            complexPolar: false,
+            unitConversion: { category: 'length', from: 'm', to: 'ft' },
+            solver: { type: 'polynomial', size: 2 },
+            calculus: 'derivative',
+            // TAX+ / TAX− 使用的税率（百分数）
+            taxRate: '13',
+            // 复制时使用的格式，见 COPY_FORMATS
+            copyFormat: 'raw',
+            // 显示格式：记数法、小数位数（科学与工程记数法为尾数的小数位数）、千位分组与程序员模式的数字分组
+            notation: 'auto',
+            displayDecimals: 6,
+            thousandsGrouping: true,
+            baseGrouping: 'nibble',
+            wordSize: 64,
+            signed: true,
+            angleUnit: 'deg'
+        },
+        MODES: {
+            standard: { label: '标准', notification: '进入标准计算模式', columns: 4 },
+            scientific: { label: '科学', notification: '进入科学计算模式', columns: 5 },
+            programmer: { label: '程序员', notification: '进入程序员模式', columns: 5 },
+            statistics: { label: '统计', notification: '进入统计模式', columns: 4 }
+        },
+        WORD_SIZES: [64, 32, 16, 8],
+        MAX_TAX_RATE: 100,
+        COPY_FORMATS: { raw: '原始值', formatted: '按显示格式', base: '当前进制' },
+        NOTATIONS: { auto: '自动', fixed: '定点', scientific: '科学', engineering: '工程' },
+        MAX_DISPLAY_DECIMALS: 15,
+        // 程序员模式下二进制、十六进制每组的数字个数
+        BASE_GROUPINGS: {
+            off: { name: '不分组' },
+            nibble: { name: '半字节', bin: 4, hex: 4 },
+            byte: { name: '字节', bin: 8, hex: 2 }
+        },
+        // 长数值缩小字号的下限（px），再长时换行
+        MIN_DISPLAY_FONT_SIZE: 20,
+        MAX_UNDO_STEPS: 100,
+        UNDO_SWIPE_DISTANCE: 60,
+        // 撤销记录中保存的计算设置（会改变输入数值的那些）
+        UNDO_SETTINGS: ['decimalMode', 'fractionMode', 'complexMode', 'wordSize', 'signed'],
+        MAX_PASTE_LENGTH: 500,
+        // 键盘动作：按下时点击 target 对应的元素或调用 method；keys 为默认按键，modes 为生效的模式（省略为全部）
+        // 按键写法：修饰键按 Ctrl、Alt、Shift、Meta 的顺序用 + 连接；单个字符不记 Shift，由字符本身区分大小写与符号
+        KEY_ACTIONS: {
+            digit0: { label: '0', group: '输入', target: '.btn-number[data-number="0"]', keys: ['0'] },
+            digit1: { label: '1', group: '输入', target: '.btn-number[data-number="1"]', keys: ['1'] },
+            digit2: { label: '2', group: '输入', target: '.btn-number[data-number="2"]', keys: ['2'] },
+            digit3: { label: '3', group: '输入', target: '.btn-number[data-number="3"]', keys: ['3'] },
+            digit4: { label: '4', group: '输入', target: '.btn-number[data-number="4"]', keys: ['4'] },
+            digit5: { label: '5', group: '输入', target: '.btn-number[data-number="5"]', keys: ['5'] },
+            digit6: { label: '6', group: '输入', target: '.btn-number[data-number="6"]', keys: ['6'] },
+            digit7: { label: '7', group: '输入', target: '.btn-number[data-number="7"]', keys: ['7'] },
+            digit8: { label: '8', group: '输入', target: '.btn-number[data-number="8"]', keys: ['8'] },
+            digit9: { label: '9', group: '输入', target: '.btn-number[data-number="9"]', keys: ['9'] },
+            doubleZero: { label: '00', group: '输入', target: '.btn-number[data-number="00"]', keys: ['Alt+0'] },
+            decimal: { label: '小数点', group: '输入', target: '#decimalBtn', keys: ['.', ','] },
+            hexA: { label: 'A', group: '输入', target: '.btn-number[data-number="A"]', keys: ['a', 'A'], modes: ['programmer'] },
+            hexB: { label: 'B', group: '输入', target: '.btn-number[data-number="B"]', keys: ['b', 'B'], modes: ['programmer'] },
+            hexC: { label: 'C', group: '输入', target: '.btn-number[data-number="C"]', keys: ['c', 'C'], modes: ['programmer'] },
+            hexD: { label: 'D', group: '输入', target: '.btn-number[data-number="D"]', keys: ['d', 'D'], modes: ['programmer'] },
+            hexE: { label: 'E', group: '输入', target: '.btn-number[data-number="E"]', keys: ['e', 'E'], modes: ['programmer'] },
+            hexF: { label: 'F', group: '输入', target: '.btn-number[data-number="F"]', keys: ['f', 'F'], modes: ['programmer'] },
+            imaginary: { label: '虚数单位 i', group: '输入', target: '.math-symbol[data-symbol="i"]', keys: ['i'], modes: ['standard', 'scientific', 'statistics'] },
+            fraction: { label: '输入分数 a b/c', group: '输入', target: '.math-symbol[data-symbol="a b/c"]', keys: ['|'], modes: ['standard', 'scientific', 'statistics'] },
+            fractionToggle: { label: '分数/小数切换', group: '输入', target: '.math-symbol[data-symbol="S⇔D"]', keys: ['Alt+W'], modes: ['standard', 'scientific', 'statistics'] },
+            add: { label: '加', group: '运算', target: '#addBtn', keys: ['+'] },
+            subtract: { label: '减', group: '运算', target: '#subtractBtn', keys: ['-'] },
+            multiply: { label: '乘', group: '运算', target: '#multiplyBtn', keys: ['*', 'x'] },
+            divide: { label: '除', group: '运算', target: '#divideBtn', keys: ['/'] },
+            equals: { label: '等于', group: '运算', target: '#equalsBtn', keys: ['Enter', '='] },
+            percent: { label: '百分比（程序员模式为取余）', group: '运算', target: '#percentBtn', keys: ['%'] },
+            openParen: { label: '左括号', group: '运算', target: '.math-symbol[data-symbol="("]', keys: ['('] },
+            closeParen: { label: '右括号', group: '运算', target: '.math-symbol[data-symbol=")"]', keys: [')'] },
+            power: { label: '乘方 x^y', group: '运算', target: '.math-symbol[data-symbol="^"]', keys: ['^'] },
+            factorial: { label: '阶乘 x!', group: '运算', target: '.math-symbol[data-symbol="!"]', keys: ['!'] },
+            constant: { label: '常数模式 K', group: '运算', target: '.math-symbol[data-symbol="K"]', keys: ['k'] },
+            backspace: { label: '退格', group: '运算', target: '#deleteBtn', keys: ['Backspace'] },
+            clear: { label: '全部清除', group: '运算', target: '#clearBtn', keys: ['Escape', 'Delete'] },
+            undo: { label: '撤销', group: '运算', method: 'undo', keys: ['Ctrl+Z', 'Meta+Z'] },
+            redo: { label: '重做', group: '运算', method: 'redo', keys: ['Ctrl+Y', 'Ctrl+Shift+Z', 'Meta+Shift+Z'] },
+            pi: { label: '圆周率 π', group: '函数', target: '.math-symbol[data-symbol="π"]', keys: ['p'], modes: ['standard', 'scientific', 'statistics'] },
+            euler: { label: '自然常数 e', group: '函数', target: '.math-symbol[data-symbol="e"]', keys: ['e'], modes: ['standard', 'scientific', 'statistics'] },
+            sqrt: { label: '平方根 √', group: '函数', target: '.math-symbol[data-symbol="√"]', keys: ['r'], modes: ['standard', 'scientific', 'statistics'] },
+            sin: { label: 'sin', group: '函数', target: '[data-scientific="sin"]', keys: ['s'], modes: ['scientific'] },
+            cos: { label: 'cos', group: '函数', target: '[data-scientific="cos"]', keys: ['c'], modes: ['scientific'] },
+            tan: { label: 'tan', group: '函数', target: '[data-scientific="tan"]', keys: ['t'], modes: ['scientific'] },
+            log: { label: 'log', group: '函数', target: '[data-scientific="log"]', keys: ['l'], modes: ['scientific'] },
+            ln: { label: 'ln', group: '函数', target: '[data-scientific="ln"]', keys: ['n'], modes: ['scientific'] },
+            square: { label: '平方 x²', group: '函数', target: '[data-scientific="square"]', keys: ['q'], modes: ['scientific'] },
+            cube: { label: '立方 x³', group: '函数', target: '[data-scientific="cube"]', keys: ['Q'], modes: ['scientific'] },
+            exp: { label: 'eˣ', group: '函数', target: '[data-scientific="exp"]', keys: ['E'], modes: ['scientific'] },
+            gamma: { label: 'Γ 函数', group: '函数', target: '[data-scientific="gamma"]', keys: ['g'], modes: ['scientific'] },
+            doubleFactorial: { label: '双阶乘 x!!', group: '函数', target: '[data-scientific="!!"]', keys: [], modes: ['scientific'] },
+            nPr: { label: '排列 nPr', group: '函数', target: '[data-scientific="nPr"]', keys: ['P'], modes: ['scientific'] },
+            nCr: { label: '组合 nCr', group: '函数', target: '[data-scientific="nCr"]', keys: ['C'], modes: ['scientific'] },
+            inverse: { label: 'INV 反函数', group: '函数', target: '[data-scientific="INV"]', keys: ['I'], modes: ['scientific'] },
+            hyperbolic: { label: 'HYP 双曲函数', group: '函数', target: '[data-scientific="HYP"]', keys: ['H'], modes: ['scientific'] },
+            bitAnd: { label: 'AND', group: '程序员', target: '[data-programmer="AND"]', keys: ['&'], modes: ['programmer'] },
+            bitOr: { label: 'OR', group: '程序员', target: '[data-programmer="OR"]', keys: ['|'], modes: ['programmer'] },
+            bitXor: { label: 'XOR', group: '程序员', target: '[data-programmer="XOR"]', keys: [], modes: ['programmer'] },
+            bitNot: { label: 'NOT', group: '程序员', target: '[data-programmer="NOT"]', keys: ['~'], modes: ['programmer'] },
+            shiftLeft: { label: '左移 <<', group: '程序员', target: '[data-programmer="<<"]', keys: ['<'], modes: ['programmer'] },
+            shiftRight: { label: '右移 >>', group: '程序员', target: '[data-programmer=">>"]', keys: ['>'], modes: ['programmer'] },
+            rotateLeft: { label: '循环左移 ROL', group: '程序员', target: '[data-programmer="ROL"]', keys: [], modes: ['programmer'] },
+            rotateRight: { label: '循环右移 ROR', group: '程序员', target: '[data-programmer="ROR"]', keys: [], modes: ['programmer'] },
+            memoryClear: { label: 'MC 清除存储器', group: '存储器', target: '.memory-key[data-memory="MC"]', keys: ['Alt+L'] },
+            memoryRecall: { label: 'MR 调用存储器', group: '存储器', target: '.memory-key[data-memory="MR"]', keys: ['Alt+R'] },
+            memoryAdd: { label: 'M+ 累加', group: '存储器', target: '.memory-key[data-memory="M+"]', keys: ['Alt+P'] },
+            memorySubtract: { label: 'M− 累减', group: '存储器', target: '.memory-key[data-memory="M-"]', keys: ['Alt+Q'] },
+            memoryStore: { label: 'MS 存入', group: '存储器', target: '.memory-key[data-memory="MS"]', keys: ['Alt+S'] },
+            variables: { label: '命名变量', group: '存储器', target: '.memory-key[data-memory="vars"]', keys: ['Alt+V'] },
+            taxRate: { label: '设置税率', group: '商用', target: '.business-key[data-business="rate"]', keys: ['Alt+Y'], modes: ['standard'] },
+            taxAdd: { label: 'TAX+ 加税', group: '商用', target: '.business-key[data-business="tax+"]', keys: ['Alt+T'], modes: ['standard'] },
+            taxRemove: { label: 'TAX− 除税', group: '商用', target: '.business-key[data-business="tax-"]', keys: ['Alt+Shift+T'], modes: ['standard'] },
+            percentChange: { label: '百分比变化 Δ%', group: '商用', target: '.business-key[data-business="Δ%"]', keys: ['Alt+5'], modes: ['standard'] },
+            margin: { label: '利润率', group: '商用', target: '.business-key[data-business="margin"]', keys: ['Alt+O'], modes: ['standard'] },
+            solver: { label: '解方程', group: '工具', target: '.tool-key[data-tool="solver"]', keys: ['Alt+E'], modes: ['scientific'] },
+            graph: { label: '函数图像', group: '工具', target: '.tool-key[data-tool="graph"]', keys: ['Alt+G'], modes: ['scientific'] },
+            calculus: { label: '数值微积分', group: '工具', target: '.tool-key[data-tool="calculus"]', keys: ['Alt+I'], modes: ['scientific'] },
+            matrix: { label: '矩阵与向量', group: '工具', target: '.tool-key[data-tool="matrix"]', keys: ['Alt+X'], modes: ['scientific'] },
+            statisticsData: { label: '统计数据 DATA', group: '工具', target: '#statisticsDataBtn', keys: ['Insert'], modes: ['statistics'] },
+            mode: { label: '切换模式', group: '面板与模式', target: '#modeBtn', keys: ['Alt+M'] },
+            angleUnit: { label: '切换角度单位', group: '面板与模式', target: '#angleUnitBtn', keys: ['Alt+A'] },
+            history: { label: '历史记录', group: '面板与模式', target: '#historyBtn', keys: ['Alt+H'] },
+            units: { label: '单位换算', group: '面板与模式', target: '#unitsBtn', keys: ['Alt+U'] },
+            currency: { label: '汇率换算', group: '面板与模式', target: '#currencyBtn', keys: ['Alt+C'] },
+            date: { label: '日期计算', group: '面板与模式', target: '#dateBtn', keys: ['Alt+D'] },
+            finance: { label: '财务计算', group: '面板与模式', target: '#financeBtn', keys: ['Alt+F'] },
+            conversion: { label: '进制转换', group: '面板与模式', target: '#conversionBtn', keys: ['Alt+B'] },
+            settings: { label: '设置', group: '面板与模式', target: '#moreOptions', keys: ['Alt+,'] },
+            fullscreen: { label: '全屏', group: '面板与模式', target: '#fullscreenBtn', keys: ['Alt+Enter'] },
+            keymap: { label: '自定义快捷键', group: '面板与模式', method: 'openKeymapPanel', keys: ['Alt+K'] },
+            keySheet: { label: '快捷键速查表', group: '面板与模式', method: 'openKeySheet', keys: ['?'] }
+        },
+        // 方程求解器：多项式按次数、线性方程组按未知数个数
+        SOLVER_TYPES: {
+            polynomial: { name: '多项式', sizes: { 1: '一次', 2: '二次', 3: '三次', 4: '四次' }, defaultSize: 2 },
+            linear: { name: '线性方程组', sizes: { 2: '二元', 3: '三元', 4: '四元' }, defaultSize: 2 }
+        },
+        // 数值微积分：约束变量的默认名与上下限输入框的提示
+        CALCULUS_KINDS: {
+            derivative: { name: '导数', variable: 'x', bounds: ['求导点'], hint: '用 Ridders 外推法求数值导数，结果附误差估计' },
+            integral: { name: '定积分', variable: 'x', bounds: ['下限', '上限'], hint: '自适应 Gauss–Kronrod 积分，结果附误差估计' },
+            sum: { name: '求和 Σ', variable: 'n', bounds: ['起始', '终止'], hint: '约束变量依次取起始到终止之间的整数，按当前计算模式求值' },
+            product: { name: '求积 Π', variable: 'n', bounds: ['起始', '终止'], hint: '约束变量依次取起始到终止之间的整数，按当前计算模式求值' }
+        },
+        CALCULUS_MAX_TERMS: 10000000,
+        // 耗时的计算分段执行，每段的毫秒数；段与段之间响应取消
+        TASK_SLICE_MS: 30,
+        // turn 为一整圈对应的数值
+        ANGLE_UNITS: {
+            deg: { label: 'DEG', name: '角度', turn: 360, symbol: '°' },
+            rad: { label: 'RAD', name: '弧度', turn: 2 * Math.PI, symbol: 'ʳ' },
+            grad: { label: 'GRAD', name: '百分度', turn: 400, symbol: 'ᵍ' }
+        },
+        // 互斥的计算模式及其在计算器上的样式类
+        CALCULATION_MODES: { decimalMode: 'decimal', fractionMode: 'fraction', complexMode: 'complex' },
+        MAX_DECIMAL_PRECISION: 100,
+        // 精确小数与分数的数量级上限（10 的幂次），超出后对齐指数或展开为整数会生成巨大的 BigInt
+        MAX_DECIMAL_EXPONENT: 100000,
+        MAX_FACTORIAL: 10000,
+        // 分数模式乘方结果分子、分母的二进制位数上限
+        MAX_FRACTION_BITS: 1000000,
+        MAX_EXACT_DIGITS: 20,
+        MAX_FRACTION_DIGITS: 10,
         MAX_HISTORY: 50,
+        // 函数图像：每个函数的颜色（数量即可同时绘制的函数个数）、缩放倍率与列出的特殊点上限
+        GRAPH_COLORS: ['#339af0', '#f03e3e', '#37b24d', '#f59f00', '#ae3ec9'],
+        GRAPH_ZOOM_STEP: 1.25,
+        GRAPH_MAX_POINTS: 30,
+        // 命名矩阵：元素保存为输入的文本（可以是表达式），向量即一行或一列的矩阵
+        MATRIX_NAMES: ['A', 'B', 'C', 'D', 'E', 'F'],
+        MATRIX_MAX_SIZE: 8,
+        DEFAULT_MATRICES: { active: 'A', operation: 'multiply', left: 'A', right: 'B', slots: {} },
+        // formula 中 {a}、{b} 为参与运算的矩阵名
+        MATRIX_OPERATIONS: {
+            add: { name: '加法', formula: '{a} + {b}', operands: 2 },
+            subtract: { name: '减法', formula: '{a} − {b}', operands: 2 },
+            multiply: { name: '乘法', formula: '{a} × {b}', operands: 2 },
+            transpose: { name: '转置', formula: '{a}ᵀ', operands: 1 },
+            determinant: { name: '行列式', formula: 'det({a})', operands: 1 },
+            inverse: { name: '逆矩阵', formula: '{a}⁻¹', operands: 1 },
+            rank: { name: '秩', formula: 'rank({a})', operands: 1 },
+            rref: { name: '行最简形', formula: 'rref({a})', operands: 1 },
+            eigenvalues: { name: '特征值', formula: 'eig({a})', operands: 1 },
+            dot: { name: '向量点积', formula: '{a} · {b}', operands: 2 },
+            cross: { name: '向量叉积', formula: '{a} ⨯ {b}', operands: 2 },
+            norm: { name: '向量模长', formula: '‖{a}‖', operands: 1 },
+            angle: { name: '向量夹角', formula: '∠({a}, {b})', operands: 2 }
+        },
+        // 日期计算：所选功能、推算的单位与节假日（单日 2026-10-01 或区间 2026-10-01~2026-10-07）
+        DEFAULT_DATES: { tool: 'difference', unit: 'days', holidays: [] },
+        DATE_TOOLS: { difference: '日期间隔', offset: '日期推算', info: '星期与周数' },
+        DATE_UNITS: { days: '天', weeks: '周', months: '个月', years: '年', businessDays: '个工作日' },
+        // 节假日区间最长天数与推算的最大数量，防止误输入导致长时间循环
+        MAX_HOLIDAY_RANGE: 366,
+        MAX_DATE_OFFSET: 1000000,
+        // 财务计算：所选功能；各输入框的内容按 data-field 另行保存
+        DEFAULT_FINANCE: { tool: 'tvm' },
+        FINANCE_TOOLS: {
+            tvm: { name: '货币时间价值', hint: '流入为正、流出为负；点击“求”由其余各项计算该项，留空为 0' },
+            amortization: { name: '还款计划', hint: '每期利率 = 年利率 ÷ 每年期数；点击数值填入计算器' },
+            compound: { name: '复利', hint: '连续复利按 P·e^(rt) 计算；点击数值填入计算器' },
+            cashFlow: { name: '现金流', hint: '每行（或用逗号分隔）一期现金流，第一项为第 0 期，通常是负的初始投资' },
+            margin: { name: '利润率', hint: '任填两项（至少一项为成本或售价）；利润率按售价、加成率按成本计算' }
+        },
+        // 还款计划的最多期数（按月还款 100 年）
+        MAX_AMORTIZATION_PERIODS: 1200,
+        // 统计数据：单变量每项为数值与频数，双变量每项为 (x, y)
+        DEFAULT_STATISTICS: { kind: 'single', regression: 'linear', single: [], paired: [] },
         DEBOUNCE_DELAY: 100
     };
     
@@ -87,1126 +322,9174 @@
         }
     };
     
-    // 涟漪效果池（优化DOM操作）
-    class RipplePool {
-        constructor() {
-            this.pool = [];
-            this.activeRipples = new Set();
-            this.maxPoolSize = 20;
-            this.initPool();
+    // 计算错误（消息会直接作为提示显示给用户）
+    class CalculationError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'CalculationError';
         }
+    }
+    
+    // 组合数学：整数参数用 BigInt 精确计算，Γ 函数用 Lanczos 近似
+    const Combinatorics = {
+        LANCZOS_G: 7,
+        LANCZOS_COEFFICIENTS: [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+            771.32342877765313, -176.61502916214059, 12.507343278686905,
+            -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ],
         
-        initPool() {
-            for (let i = 0; i < this.maxPoolSize; i++) {
-                const ripple = document.createElement('div');
-                ripple.className = 'btn-ripple';
-                ripple.style.position = 'absolute';
-                ripple.style.pointerEvents = 'none';
-                ripple.style.zIndex = '0';
-                ripple.style.borderRadius = '50%';
-                ripple.style.transform = 'scale(0)';
-                this.pool.push(ripple);
+        checkLimit: function(n) {
+            if (n > BigInt(CONFIG.MAX_FACTORIAL)) {
+                throw new CalculationError(`n 不能超过 ${CONFIG.MAX_FACTORIAL}`);
             }
-        }
+        },
         
-        getRipple() {
-            if (this.pool.length > 0) {
-                return this.pool.pop();
-            }
-            // 如果池为空，创建新的
-            const ripple = document.createElement('div');
-            ripple.className = 'btn-ripple';
-            return ripple;
+        factorial: function(n) {
+            if (n < 0n) throw new CalculationError('阶乘只适用于非负整数');
+            this.checkLimit(n);
+            
+            let result = 1n;
+            for (let i = 2n; i <= n; i++) result *= i;
+            return result;
+        },
+        
+        // n!! = n × (n-2) × (n-4) × …，约定 0!! = (-1)!! = 1
+        doubleFactorial: function(n) {
+            if (n < -1n) throw new CalculationError('双阶乘只适用于不小于 -1 的整数');
+            this.checkLimit(n);
+            
+            let result = 1n;
+            for (let i = n; i > 1n; i -= 2n) result *= i;
+            return result;
+        },
+        
+        checkChoose: function(n, r) {
+            if (n < 0n || r < 0n || r > n) throw new CalculationError('排列组合要求 0 ≤ r ≤ n');
+            this.checkLimit(n);
+        },
+        
+        // 排列数 nPr = n! / (n-r)!
+        permutations: function(n, r) {
+            this.checkChoose(n, r);
+            
+            let result = 1n;
+            for (let i = n - r + 1n; i <= n; i++) result *= i;
+            return result;
+        },
+        
+        // 组合数 nCr = n! / (r! (n-r)!)，逐项相乘后整除，中间结果始终为整数
+        combinations: function(n, r) {
+            this.checkChoose(n, r);
+            if (r > n - r) r = n - r;
+            
+            let result = 1n;
+            for (let i = 0n; i < r; i++) result = result * (n - i) / (i + 1n);
+            return result;
+        },
+        
+        gamma: function(x) {
+            if (Number.isInteger(x) && x <= 0) throw new CalculationError('Γ 函数在非正整数处无定义');
+            
+            // 反射公式：Γ(x)Γ(1-x) = π / sin(πx)
+            if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * this.gamma(1 - x));
+            
+            x -= 1;
+            const c = this.LANCZOS_COEFFICIENTS;
+            const t = x + this.LANCZOS_G + 0.5;
+            let sum = c[0];
+            for (let i = 1; i < c.length; i++) sum += c[i] / (x + i);
+            return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * sum;
         }
+    };
+    
+    // 三角与双曲函数：三角函数按角度单位换算，标准角（30°、45° 的整数倍）返回精确值
+    const Trigonometry = {
+        FUNCTIONS: ['sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh', 'asinh', 'acosh', 'atanh'],
         
-        returnRipple(ripple) {
-            if (this.pool.length < this.maxPoolSize) {
-                ripple.style.display = 'none';
-                ripple.style.opacity = '0';
-                ripple.style.transform = 'scale(0)';
-                this.pool.push(ripple);
-            } else {
-                // 如果池已满，直接移除DOM元素
-                if (ripple.parentNode) {
-                    ripple.parentNode.removeChild(ripple);
+        // 第一象限标准角的正弦值
+        SIN_TABLE: { 0: 0, 30: 0.5, 45: Math.SQRT1_2, 60: Math.sqrt(3) / 2, 90: 1 },
+        
+        toRadians: function(x, unit) {
+            return x * 2 * Math.PI / CONFIG.ANGLE_UNITS[unit].turn;
+        },
+        
+        fromRadians: function(x, unit) {
+            return x * CONFIG.ANGLE_UNITS[unit].turn / (2 * Math.PI);
+        },
+        
+        // 标准角返回 [0, 360) 内对应的度数，否则返回 null
+        standardDegrees: function(x, unit) {
+            const degrees = x * 360 / CONFIG.ANGLE_UNITS[unit].turn;
+            const steps = Math.round(degrees / 15);
+            if (Math.abs(degrees - steps * 15) > 1e-12 * Math.max(1, Math.abs(degrees))) return null;
+            if (steps % 2 !== 0 && steps % 3 !== 0) return null;
+            return ((steps * 15) % 360 + 360) % 360;
+        },
+        
+        sinDegrees: function(degrees) {
+            if (degrees >= 180) return -this.sinDegrees(degrees - 180);
+            if (degrees > 90) return this.sinDegrees(180 - degrees);
+            return this.SIN_TABLE[degrees];
+        },
+        
+        evaluate: function(name, x, unit) {
+            switch(name) {
+                case 'sin': case 'cos': case 'tan': {
+                    const degrees = isFinite(x) ? this.standardDegrees(x, unit) : null;
+                    if (degrees === null) return Math[name](this.toRadians(x, unit));
+                    
+                    const sin = this.sinDegrees(degrees);
+                    const cos = this.sinDegrees((degrees + 90) % 360);
+                    if (name === 'sin') return sin;
+                    if (name === 'cos') return cos;
+                    if (cos === 0) throw new CalculationError('正切函数在该角度无定义');
+                    return sin / cos;
                 }
+                case 'asin':
+                    if (x < -1 || x > 1) throw new CalculationError('反正弦的定义域为 [-1, 1]');
+                    return this.fromRadians(Math.asin(x), unit);
+                case 'acos':
+                    if (x < -1 || x > 1) throw new CalculationError('反余弦的定义域为 [-1, 1]');
+                    return this.fromRadians(Math.acos(x), unit);
+                case 'atan':
+                    return this.fromRadians(Math.atan(x), unit);
+                case 'acosh':
+                    if (x < 1) throw new CalculationError('反双曲余弦的定义域为 x ≥ 1');
+                    return Math.acosh(x);
+                case 'atanh':
+                    if (x <= -1 || x >= 1) throw new CalculationError('反双曲正切的定义域为 (-1, 1)');
+                    return Math.atanh(x);
+                default:
+                    // sinh、cosh、tanh、asinh 定义域为全体实数
+                    return Math[name](x);
             }
         }
+    };
+    
+    // 浮点运算（表达式引擎的默认运算方式）
+    // 组合数学的整数结果以 BigInt 保存，与整数继续加减乘除时保持精确
+    const FloatArithmetic = {
+        angleUnit: 'deg',
         
-        createEffect(button, x, y, color, intensity, duration) {
-            const ripple = this.getRipple();
-            const rect = button.getBoundingClientRect();
+        // 使用指定角度单位的浮点运算
+        withAngleUnit: function(angleUnit) {
+            return Object.assign(Object.create(this), { angleUnit });
+        },
+        
+        fromString: function(text) {
+            // 超出安全整数范围的整数按 BigInt 精确保存
+            if (/^-?\d+$/.test(text) && !Number.isSafeInteger(Number(text))) {
+                return BigInt(text);
+            }
             
-            ripple.style.left = `${x - rect.left}px`;
-            ripple.style.top = `${y - rect.top}px`;
-            ripple.style.background = color;
-            ripple.style.opacity = intensity.toString();
-            ripple.style.animationDuration = `${duration}s`;
+            const value = Number(text);
+            if (text === '' || isNaN(value)) {
+                throw new CalculationError(`无效数字: ${text}`);
+            }
+            return value;
+        },
+        
+        constant: function(name) {
+            return name === 'π' ? Math.PI : Math.E;
+        },
+        
+        // 至少一方为 BigInt 且双方都是整数时返回 BigInt 对，否则返回 null
+        exactPair: function(a, b) {
+            if (typeof a !== 'bigint' && typeof b !== 'bigint') return null;
             
-            button.appendChild(ripple);
-            this.activeRipples.add(ripple);
+            const toBigInt = (value) => typeof value === 'bigint'
+                ? value
+                : (Number.isSafeInteger(value) ? BigInt(value) : null);
+            const x = toBigInt(a);
+            const y = toBigInt(b);
+            return x === null || y === null ? null : [x, y];
+        },
+        
+        // 整数参数转为 BigInt，非整数时抛出 message
+        toInteger: function(value, message) {
+            if (typeof value === 'bigint') return value;
+            if (!Number.isInteger(value)) throw new CalculationError(message);
+            return BigInt(value);
+        },
+        
+        add: function(a, b) {
+            const pair = this.exactPair(a, b);
+            return pair ? pair[0] + pair[1] : Number(a) + Number(b);
+        },
+        
+        subtract: function(a, b) {
+            const pair = this.exactPair(a, b);
+            return pair ? pair[0] - pair[1] : Number(a) - Number(b);
+        },
+        
+        multiply: function(a, b) {
+            const pair = this.exactPair(a, b);
+            return pair ? pair[0] * pair[1] : Number(a) * Number(b);
+        },
+        
+        divide: function(a, b) {
+            if (Number(b) === 0) throw new CalculationError('不能除以零');
             
-            // 显示涟漪
-            requestAnimationFrame(() => {
-                ripple.style.display = 'block';
-                ripple.style.animation = `ripple ${duration}s linear`;
-            });
+            // 能整除时保持精确
+            const pair = this.exactPair(a, b);
+            if (pair && pair[0] % pair[1] === 0n) return pair[0] / pair[1];
+            return Number(a) / Number(b);
+        },
+        
+        power: function(a, b) {
+            const pair = this.exactPair(a, b);
+            if (pair && pair[1] >= 0n && pair[1] <= BigInt(CONFIG.MAX_FACTORIAL)) {
+                return pair[0] ** pair[1];
+            }
             
-            // 动画结束后回收
-            setTimeout(() => {
-                if (ripple.parentNode) {
-                    ripple.parentNode.removeChild(ripple);
+            const result = Math.pow(Number(a), Number(b));
+            if (isNaN(result)) throw new CalculationError('负数不能开非整数次方');
+            return result;
+        },
+        
+        negate: function(a) {
+            return -a;
+        },
+        
+        percent: function(a) {
+            return Number(a) / 100;
+        },
+        
+        percentChange: function(a, b) {
+            return this.divide(this.subtract(b, a), this.percent(a));
+        },
+        
+        // 整数用 BigInt 精确计算，非整数按 Γ(n+1) 计算
+        factorial: function(n) {
+            if (typeof n !== 'bigint' && !Number.isInteger(n)) return Combinatorics.gamma(n + 1);
+            return Combinatorics.factorial(BigInt(n));
+        },
+        
+        doubleFactorial: function(n) {
+            return Combinatorics.doubleFactorial(this.toInteger(n, '双阶乘只适用于整数'));
+        },
+        
+        permutations: function(n, r) {
+            return Combinatorics.permutations(this.toInteger(n, '排列组合只适用于整数'), this.toInteger(r, '排列组合只适用于整数'));
+        },
+        
+        combinations: function(n, r) {
+            return Combinatorics.combinations(this.toInteger(n, '排列组合只适用于整数'), this.toInteger(r, '排列组合只适用于整数'));
+        },
+        
+        applyFunction: function(name, x) {
+            switch(name) {
+                case 'square':
+                    return this.multiply(x, x);
+                case 'cube':
+                    return this.multiply(this.multiply(x, x), x);
+                case 'gamma':
+                    // 正整数处 Γ(n) = (n-1)! 精确计算
+                    if (typeof x === 'bigint' || (Number.isInteger(x) && x > 0)) {
+                        if (x <= 0) throw new CalculationError('Γ 函数在非正整数处无定义');
+                        return Combinatorics.factorial(BigInt(x) - 1n);
+                    }
+                    return Combinatorics.gamma(x);
+            }
+            
+            x = Number(x);
+            if (Trigonometry.FUNCTIONS.includes(name)) {
+                return Trigonometry.evaluate(name, x, this.angleUnit);
+            }
+            
+            switch(name) {
+                case 'exp':
+                    return Math.exp(x);
+                case 'log':
+                    if (x <= 0) throw new CalculationError('对数的真数必须大于零');
+                    return Math.log10(x);
+                case 'ln':
+                    if (x <= 0) throw new CalculationError('对数的真数必须大于零');
+                    return Math.log(x);
+                case 'sqrt':
+                    if (x < 0) throw new CalculationError('负数不能开平方');
+                    return Math.sqrt(x);
+                default:
+                    throw new CalculationError(`未知函数: ${name}`);
+            }
+        },
+        
+        toString: function(value) {
+            // 精确整数输出全部数字，由显示决定是否缩写
+            if (typeof value === 'bigint') return value.toString();
+            if (!isFinite(value)) throw new CalculationError('结果超出范围');
+            // 处理精度问题
+            return parseFloat(value.toPrecision(12)).toString();
+        }
+    };
+    
+    // 精确小数模式使用的常数（位数需不少于 MAX_DECIMAL_PRECISION）
+    const DECIMAL_CONSTANTS = {
+        'π': '3.14159265358979323846264338327950288419716939937510582097494459230781640628620899862803482534211706798214808651328230664709384460955',
+        'e': '2.71828182845904523536028747135266249775724709369995957496696762772407663035354759457138217852516642742746639193200305992181741359662'
+    };
+    
+    // 任意精度十进制数：值 = coefficient × 10^exponent
+    class Decimal {
+        constructor(coefficient, exponent = 0) {
+            // 去掉系数末尾的零，保证表示唯一
+            if (coefficient === 0n) {
+                exponent = 0;
+            } else {
+                while (coefficient % 10n === 0n) {
+                    coefficient /= 10n;
+                    exponent++;
                 }
-                this.activeRipples.delete(ripple);
-                this.returnRipple(ripple);
-            }, duration * 1000);
+            }
+            this.coefficient = coefficient;
+            this.exponent = exponent;
         }
         
-        cleanup() {
-            this.activeRipples.forEach(ripple => {
-                if (ripple.parentNode) {
-                    ripple.parentNode.removeChild(ripple);
-                }
-            });
-            this.activeRipples.clear();
+        static parse(text) {
+            const match = String(text).trim().match(/^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+            if (!match || (match[2] === '' && !match[3])) return null;
+            
+            const fraction = match[3] || '';
+            // 末尾的零直接计入指数，避免构造时逐位除以 10
+            const digits = match[2] + fraction;
+            const significant = digits.replace(/0+$/, '');
+            let coefficient = BigInt(significant || '0');
+            if (match[1] === '-') coefficient = -coefficient;
+            const exponent = parseInt(match[4] || '0', 10) - fraction.length + digits.length - significant.length;
+            return new Decimal(coefficient, exponent);
         }
-    }
-    
-    // 光点效果池
-    class LightSpotPool {
-        constructor(container) {
-            this.container = container;
-            this.pool = [];
-            this.activeSpots = new Set();
-            this.maxPoolSize = 15;
-            this.initPool();
+        
+        static pow10(n) {
+            return 10n ** BigInt(n);
         }
         
-        initPool() {
-            for (let i = 0; i < this.maxPoolSize; i++) {
-                const spot = document.createElement('div');
-                spot.className = 'light-spot';
-                spot.style.position = 'absolute';
-                spot.style.pointerEvents = 'none';
-                spot.style.zIndex = '1';
-                spot.style.borderRadius = '50%';
-                spot.style.opacity = '0';
-                this.pool.push(spot);
+        // 整数平方根（牛顿迭代）
+        static isqrt(n) {
+            if (n < 2n) return n;
+            let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+            while (true) {
+                const y = (x + n / x) >> 1n;
+                if (y >= x) return x;
+                x = y;
             }
         }
         
-        createSpot(x, y, radius, intensity, duration, color) {
-            const spot = this.pool.length > 0 ? this.pool.pop() : document.createElement('div');
-            spot.className = 'light-spot';
+        digitCount() {
+            return (this.coefficient < 0n ? -this.coefficient : this.coefficient).toString().length;
+        }
+        
+        isZero() {
+            return this.coefficient === 0n;
+        }
+        
+        isNegative() {
+            return this.coefficient < 0n;
+        }
+        
+        isInteger() {
+            return this.exponent >= 0;
+        }
+        
+        // 数量级不超过 MAX_DECIMAL_EXPONENT（零总在范围内）
+        inRange() {
+            return this.isZero() || Math.abs(this.digitCount() + this.exponent - 1) <= CONFIG.MAX_DECIMAL_EXPONENT;
+        }
+        
+        toBigInt() {
+            return this.exponent >= 0
+                ? this.coefficient * Decimal.pow10(this.exponent)
+                : this.coefficient / Decimal.pow10(-this.exponent);
+        }
+        
+        toNumber() {
+            return Number(`${this.coefficient}e${this.exponent}`);
+        }
+        
+        negate() {
+            return new Decimal(-this.coefficient, this.exponent);
+        }
+        
+        add(other) {
+            const exponent = Math.min(this.exponent, other.exponent);
+            const a = this.coefficient * Decimal.pow10(this.exponent - exponent);
+            const b = other.coefficient * Decimal.pow10(other.exponent - exponent);
+            return new Decimal(a + b, exponent);
+        }
+        
+        subtract(other) {
+            return this.add(other.negate());
+        }
+        
+        multiply(other) {
+            return new Decimal(this.coefficient * other.coefficient, this.exponent + other.exponent);
+        }
+        
+        compare(other) {
+            const difference = this.subtract(other).coefficient;
+            return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+        }
+        
+        // 除法，结果保留 precision 位有效数字
+        divide(other, precision) {
+            if (other.isZero()) throw new CalculationError('不能除以零');
+            if (this.isZero()) return this;
             
-            spot.style.left = `${x}px`;
-            spot.style.top = `${y}px`;
-            spot.style.width = `${radius}px`;
-            spot.style.height = `${radius}px`;
-            spot.style.background = `radial-gradient(circle, ${color}${Math.round(intensity * 255).toString(16).padStart(2, '0')} 0%, rgba(255, 255, 255, 0) 70%)`;
-            spot.style.setProperty('--ripple-radius', radius);
-            spot.style.setProperty('--ripple-intensity', intensity);
-            spot.style.setProperty('--ripple-duration', `${duration}s`);
+            const negative = this.isNegative() !== other.isNegative();
+            const dividend = this.isNegative() ? -this.coefficient : this.coefficient;
+            const divisor = other.isNegative() ? -other.coefficient : other.coefficient;
             
-            this.container.appendChild(spot);
-            this.activeSpots.add(spot);
+            // 放大被除数，使商至少有 precision + 1 位
+            const shift = Math.max(0, precision + 1 + other.digitCount() - this.digitCount());
+            const numerator = dividend * Decimal.pow10(shift);
+            let quotient = numerator / divisor;
+            let exponent = this.exponent - other.exponent - shift;
             
-            // 显示光点
-            requestAnimationFrame(() => {
-                spot.style.opacity = '1';
-                spot.style.animation = `lightPulse ${duration}s ease-out`;
-            });
+            // 有余数时追加一位粘滞位，保证舍入正确
+            if (numerator % divisor !== 0n) {
+                quotient = quotient * 10n + 1n;
+                exponent--;
+            }
             
-            // 动画结束后回收
-            setTimeout(() => {
-                spot.style.opacity = '0';
-                setTimeout(() => {
-                    if (spot.parentNode === this.container) {
-                        this.container.removeChild(spot);
-                    }
-                    this.activeSpots.delete(spot);
-                    this.returnSpot(spot);
-                }, 50);
-            }, duration * 1000);
+            return new Decimal(negative ? -quotient : quotient, exponent).round(precision);
         }
         
-        returnSpot(spot) {
-            if (this.pool.length < this.maxPoolSize) {
-                this.pool.push(spot);
+        // 平方根，结果保留 precision 位有效数字
+        sqrt(precision) {
+            if (this.isNegative()) throw new CalculationError('负数不能开平方');
+            if (this.isZero()) return this;
+            
+            // 放大系数并保证指数为偶数
+            let shift = Math.max(0, 2 * (precision + 2) - this.digitCount());
+            if ((this.exponent - shift) % 2 !== 0) shift++;
+            
+            const radicand = this.coefficient * Decimal.pow10(shift);
+            let root = Decimal.isqrt(radicand);
+            let exponent = (this.exponent - shift) / 2;
+            
+            if (root * root !== radicand) {
+                root = root * 10n + 1n;
+                exponent--;
             }
+            
+            return new Decimal(root, exponent).round(precision);
         }
         
-        cleanup() {
-            this.activeSpots.forEach(spot => {
-                if (spot.parentNode === this.container) {
-                    this.container.removeChild(spot);
-                }
+        // 四舍五入到 precision 位有效数字
+        round(precision) {
+            const digits = this.digitCount();
+            if (digits <= precision) return this;
+            
+            const drop = digits - precision;
+            const divisor = Decimal.pow10(drop);
+            const negative = this.isNegative();
+            const magnitude = negative ? -this.coefficient : this.coefficient;
+            let rounded = magnitude / divisor;
+            if ((magnitude % divisor) * 2n >= divisor) rounded += 1n;
+            
+            return new Decimal(negative ? -rounded : rounded, this.exponent + drop);
+        }
+        
+        // 整数位数少于 plainDigits 时使用普通记法，否则使用科学计数法
+        toString(plainDigits = 21) {
+            const negative = this.isNegative();
+            const digits = (negative ? -this.coefficient : this.coefficient).toString();
+            const adjusted = digits.length + this.exponent - 1;
+            let text;
+            
+            if (this.exponent >= 0 && adjusted < plainDigits) {
+                text = digits + '0'.repeat(this.exponent);
+            } else if (this.exponent < 0 && adjusted >= -7) {
+                const point = digits.length + this.exponent;
+                text = point > 0
+                    ? `${digits.slice(0, point)}.${digits.slice(point)}`
+                    : `0.${'0'.repeat(-point)}${digits}`;
+            } else {
+                const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+                text = `${mantissa}e${adjusted >= 0 ? '+' : ''}${adjusted}`;
+            }
+            
+            return negative ? `-${text}` : text;
+        }
+    }
+    
+    // 精确小数运算：四则、乘方、百分比按十进制精确计算，超越函数回退到浮点
+    class DecimalArithmetic {
+        constructor(precision, angleUnit = 'deg') {
+            this.precision = precision;
+            this.float = FloatArithmetic.withAngleUnit(angleUnit);
+        }
+        
+        fromString(text) {
+            const value = Decimal.parse(text);
+            if (!value) throw new CalculationError(`无效数字: ${text}`);
+            return this.checkRange(value);
+        }
+        
+        // 数量级超出 MAX_DECIMAL_EXPONENT 时报错
+        checkRange(value) {
+            if (!value.inRange()) throw new CalculationError('结果超出范围');
+            return value;
+        }
+        
+        // 浮点结果转为小数（保留 15 位有效数字，去掉二进制误差）
+        fromFloat(value) {
+            if (!isFinite(value)) throw new CalculationError('结果超出范围');
+            return Decimal.parse(value.toPrecision(15));
+        }
+        
+        constant(name) {
+            return Decimal.parse(DECIMAL_CONSTANTS[name]).round(this.precision);
+        }
+        
+        add(a, b) {
+            return this.checkRange(a.add(b));
+        }
+        
+        subtract(a, b) {
+            return this.checkRange(a.subtract(b));
+        }
+        
+        multiply(a, b) {
+            return this.checkRange(a.multiply(b));
+        }
+        
+        divide(a, b) {
+            return this.checkRange(a.divide(b, this.precision));
+        }
+        
+        power(base, exponent) {
+            if (exponent.isInteger() && Math.abs(exponent.toNumber()) <= 100000) {
+                let n = exponent.toBigInt();
+                const negative = n < 0n;
+                if (negative) n = -n;
+                
+                // 快速幂，中间结果多保留若干位防止膨胀
+                const workingPrecision = this.precision + 10;
+                let result = new Decimal(1n);
+                let square = base;
+                while (n > 0n) {
+                    if (n & 1n) result = result.multiply(square).round(workingPrecision);
+                    square = square.multiply(square).round(workingPrecision);
+                    n >>= 1n;
+                }
+                
+                return this.checkRange(negative ? new Decimal(1n).divide(result, this.precision) : result);
+            }
+            
+            if (exponent.compare(Decimal.parse('0.5')) === 0) {
+                return this.checkRange(base.sqrt(this.precision));
+            }
+            
+            return this.fromFloat(FloatArithmetic.power(base.toNumber(), exponent.toNumber()));
+        }
+        
+        negate(a) {
+            return a.negate();
+        }
+        
+        percent(a) {
+            return this.checkRange(new Decimal(a.coefficient, a.exponent - 2));
+        }
+        
+        percentChange(a, b) {
+            return this.divide(this.subtract(b, a), this.percent(a));
+        }
+        
+        // 整数参数转为 BigInt，非整数时抛出 message
+        toInteger(value, message) {
+            if (!value.isInteger()) throw new CalculationError(message);
+            return value.toBigInt();
+        }
+        
+        factorial(n) {
+            if (!n.isInteger()) return this.fromFloat(FloatArithmetic.factorial(n.toNumber()));
+            return this.checkRange(new Decimal(Combinatorics.factorial(n.toBigInt())));
+        }
+        
+        doubleFactorial(n) {
+            return this.checkRange(new Decimal(Combinatorics.doubleFactorial(this.toInteger(n, '双阶乘只适用于整数'))));
+        }
+        
+        permutations(n, r) {
+            return this.checkRange(new Decimal(Combinatorics.permutations(this.toInteger(n, '排列组合只适用于整数'), this.toInteger(r, '排列组合只适用于整数'))));
+        }
+        
+        combinations(n, r) {
+            return this.checkRange(new Decimal(Combinatorics.combinations(this.toInteger(n, '排列组合只适用于整数'), this.toInteger(r, '排列组合只适用于整数'))));
+        }
+        
+        applyFunction(name, x) {
+            switch(name) {
+                case 'gamma':
+                    if (x.isInteger()) {
+                        if (x.compare(new Decimal(0n)) <= 0) throw new CalculationError('Γ 函数在非正整数处无定义');
+                        return this.checkRange(new Decimal(Combinatorics.factorial(x.toBigInt() - 1n)));
+                    }
+                    return this.fromFloat(Combinatorics.gamma(x.toNumber()));
+                case 'sqrt':
+                    return this.checkRange(x.sqrt(this.precision));
+                case 'square':
+                    return this.checkRange(x.multiply(x));
+                case 'cube':
+                    return this.checkRange(x.multiply(x).multiply(x));
+                default:
+                    return this.fromFloat(this.float.applyFunction(name, x.toNumber()));
+            }
+        }
+        
+        toString(value) {
+            return value.round(this.precision).toString(Math.max(21, this.precision));
+        }
+    }
+    
+    // 有理数：分子 / 分母（BigInt），分母恒为正且已约分
+    class Fraction {
+        constructor(numerator, denominator = 1n) {
+            if (denominator === 0n) throw new CalculationError('分母不能为零');
+            if (denominator < 0n) {
+                numerator = -numerator;
+                denominator = -denominator;
+            }
+            
+            const divisor = Fraction.gcd(numerator < 0n ? -numerator : numerator, denominator);
+            this.numerator = numerator / divisor;
+            this.denominator = denominator / divisor;
+        }
+        
+        static gcd(a, b) {
+            while (b !== 0n) [a, b] = [b, a % b];
+            return a;
+        }
+        
+        static fromDecimal(decimal) {
+            if (!decimal.inRange()) throw new CalculationError('结果超出范围');
+            return decimal.exponent >= 0
+                ? new Fraction(decimal.coefficient * Decimal.pow10(decimal.exponent))
+                : new Fraction(decimal.coefficient, Decimal.pow10(-decimal.exponent));
+        }
+        
+        // 整数 k 次方根，不是完全 k 次方时返回 null
+        static integerRoot(n, k) {
+            if (n < 2n) return n;
+            
+            let x = 1n << BigInt(Math.ceil(n.toString(2).length / Number(k)));
+            while (true) {
+                const y = ((k - 1n) * x + n / x ** (k - 1n)) / k;
+                if (y >= x) break;
+                x = y;
+            }
+            return x ** k === n ? x : null;
+        }
+        
+        // 闭区间 [low, high]（0 < low ≤ high）内分母最小的分数，按连分数逐层展开
+        static simplestBetween(low, high) {
+            const whole = low.numerator / low.denominator;
+            if (low.isInteger()) return low;
+            if (whole < high.numerator / high.denominator) return new Fraction(whole + 1n);
+            
+            const inner = Fraction.simplestBetween(
+                new Fraction(high.denominator, high.numerator - whole * high.denominator),
+                new Fraction(low.denominator, low.numerator - whole * low.denominator)
+            );
+            return new Fraction(whole * inner.numerator + inner.denominator, inner.numerator);
+        }
+        
+        isInteger() {
+            return this.denominator === 1n;
+        }
+        
+        isZero() {
+            return this.numerator === 0n;
+        }
+        
+        isNegative() {
+            return this.numerator < 0n;
+        }
+        
+        negate() {
+            return new Fraction(-this.numerator, this.denominator);
+        }
+        
+        add(other) {
+            return new Fraction(
+                this.numerator * other.denominator + other.numerator * this.denominator,
+                this.denominator * other.denominator
+            );
+        }
+        
+        subtract(other) {
+            return this.add(other.negate());
+        }
+        
+        multiply(other) {
+            return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+        }
+        
+        divide(other) {
+            if (other.isZero()) throw new CalculationError('不能除以零');
+            return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+        }
+        
+        // 小数形式，保留 precision 位有效数字
+        toDecimal(precision) {
+            return new Decimal(this.numerator).divide(new Decimal(this.denominator), precision);
+        }
+        
+        toNumber() {
+            return this.toDecimal(17).toNumber();
+        }
+        
+        // mixed 为 true 时假分数显示为带分数，如 5/3 → 1 2/3
+        toString(mixed) {
+            if (this.isInteger()) return this.numerator.toString();
+            
+            const sign = this.isNegative() ? '-' : '';
+            const numerator = this.isNegative() ? -this.numerator : this.numerator;
+            if (!mixed || numerator < this.denominator) {
+                return `${sign}${numerator}/${this.denominator}`;
+            }
+            return `${sign}${numerator / this.denominator} ${numerator % this.denominator}/${this.denominator}`;
+        }
+    }
+    
+    // 分数运算：有理数精确计算，无理结果回退到浮点后再转为分数
+    class FractionArithmetic {
+        constructor(mixed, angleUnit = 'deg') {
+            this.mixed = mixed;
+            this.float = FloatArithmetic.withAngleUnit(angleUnit);
+        }
+        
+        // 支持 a/b、带分数 w n/d 以及普通小数
+        fromString(text) {
+            const match = String(text).trim().match(/^(-?)(?:(\d+) )?(\d+)\/(\d+)$/);
+            if (match) {
+                const denominator = BigInt(match[4]);
+                const value = new Fraction(BigInt(match[2] || '0') * denominator + BigInt(match[3]), denominator);
+                return match[1] ? value.negate() : value;
+            }
+            if (String(text).endsWith('/')) throw new CalculationError('分数输入不完整');
+            
+            const decimal = Decimal.parse(text);
+            if (!decimal) throw new CalculationError(`无效数字: ${text}`);
+            return Fraction.fromDecimal(decimal);
+        }
+        
+        // 浮点结果转为分数（保留 15 位有效数字，去掉二进制误差）
+        fromFloat(value) {
+            if (typeof value === 'bigint') return new Fraction(value);
+            if (!isFinite(value)) throw new CalculationError('结果超出范围');
+            return Fraction.fromDecimal(Decimal.parse(value.toPrecision(15)));
+        }
+        
+        // 整数参数转为 BigInt，非整数时抛出 message
+        toInteger(value, message) {
+            if (!value.isInteger()) throw new CalculationError(message);
+            return value.numerator;
+        }
+        
+        // 精确开 degree 次方，分子分母不都是完全方幂时返回 null
+        exactRoot(value, degree) {
+            if (degree > 64n) return null;
+            if (value.isNegative()) {
+                if (degree % 2n === 0n) return null;
+                const root = this.exactRoot(value.negate(), degree);
+                return root && root.negate();
+            }
+            
+            const numerator = Fraction.integerRoot(value.numerator, degree);
+            const denominator = Fraction.integerRoot(value.denominator, degree);
+            return numerator === null || denominator === null ? null : new Fraction(numerator, denominator);
+        }
+        
+        constant(name) {
+            return this.fromFloat(this.float.constant(name));
+        }
+        
+        add(a, b) {
+            return a.add(b);
+        }
+        
+        subtract(a, b) {
+            return a.subtract(b);
+        }
+        
+        multiply(a, b) {
+            return a.multiply(b);
+        }
+        
+        divide(a, b) {
+            return a.divide(b);
+        }
+        
+        power(base, exponent) {
+            if (exponent.isInteger() && exponent.numerator <= BigInt(CONFIG.MAX_FACTORIAL) &&
+                exponent.numerator >= -BigInt(CONFIG.MAX_FACTORIAL)) {
+                const n = exponent.isNegative() ? -exponent.numerator : exponent.numerator;
+                // 先按位数估算结果大小，避免在主线程上生成上亿位的整数
+                const magnitude = base.numerator < 0n ? -base.numerator : base.numerator;
+                const bits = Math.max(magnitude.toString(2).length, base.denominator.toString(2).length);
+                if (bits * Number(n) > CONFIG.MAX_FRACTION_BITS) {
+                    throw new CalculationError('结果超出范围');
+                }
+                const result = new Fraction(base.numerator ** n, base.denominator ** n);
+                return exponent.isNegative() ? new Fraction(1n).divide(result) : result;
+            }
+            
+            // 有理指数 p/q：底数是完全 q 次方时精确计算，如 (4/9)^(1/2) = 2/3
+            const root = exponent.isInteger() ? null : this.exactRoot(base, exponent.denominator);
+            if (root) return this.power(root, new Fraction(exponent.numerator));
+            
+            return this.fromFloat(this.float.power(base.toNumber(), exponent.toNumber()));
+        }
+        
+        negate(a) {
+            return a.negate();
+        }
+        
+        percent(a) {
+            return a.divide(new Fraction(100n));
+        }
+        
+        percentChange(a, b) {
+            return this.divide(this.subtract(b, a), this.percent(a));
+        }
+        
+        factorial(n) {
+            if (!n.isInteger()) return this.fromFloat(this.float.factorial(n.toNumber()));
+            return new Fraction(Combinatorics.factorial(n.numerator));
+        }
+        
+        doubleFactorial(n) {
+            return new Fraction(Combinatorics.doubleFactorial(this.toInteger(n, '双阶乘只适用于整数')));
+        }
+        
+        permutations(n, r) {
+            return new Fraction(Combinatorics.permutations(this.toInteger(n, '排列组合只适用于整数'), this.toInteger(r, '排列组合只适用于整数')));
+        }
+        
+        combinations(n, r) {
+            return new Fraction(Combinatorics.combinations(this.toInteger(n, '排列组合只适用于整数'), this.toInteger(r, '排列组合只适用于整数')));
+        }
+        
+        applyFunction(name, x) {
+            switch(name) {
+                case 'square':
+                    return x.multiply(x);
+                case 'cube':
+                    return x.multiply(x).multiply(x);
+                case 'sqrt': {
+                    const root = x.isNegative() ? null : this.exactRoot(x, 2n);
+                    if (root) return root;
+                    break;
+                }
+                case 'gamma':
+                    if (x.isInteger()) {
+                        if (x.numerator <= 0n) throw new CalculationError('Γ 函数在非正整数处无定义');
+                        return new Fraction(Combinatorics.factorial(x.numerator - 1n));
+                    }
+                    break;
+            }
+            
+            return this.fromFloat(this.float.applyFunction(name, x.toNumber()));
+        }
+        
+        // 分母位数不超过 MAX_FRACTION_DIGITS 时才能以分数显示
+        fitsFraction(value) {
+            return value.denominator.toString().length <= CONFIG.MAX_FRACTION_DIGITS;
+        }
+        
+        toDecimalText(value, precision = 12) {
+            return value.toDecimal(precision).toString();
+        }
+        
+        // 小数文本 → 分数：能精确表示时直接转换，否则取末位舍入范围内分母最小的分数（0.333333333333 → 1/3）
+        // 分母位数达到有效数字的一半时多半是无理数的近似，返回 null
+        toFraction(text) {
+            const value = this.fromString(text);
+            if (this.fitsFraction(value)) return value;
+            
+            const decimal = Decimal.parse(text);
+            const tolerance = Fraction.fromDecimal(new Decimal(5n, decimal.exponent - 1));
+            const magnitude = value.isNegative() ? value.negate() : value;
+            const result = Fraction.simplestBetween(magnitude.subtract(tolerance), magnitude.add(tolerance));
+            if (result.denominator.toString().length * 2 >= decimal.digitCount()) return null;
+            return value.isNegative() ? result.negate() : result;
+        }
+        
+        toString(value) {
+            return this.fitsFraction(value) ? value.toString(this.mixed) : this.toDecimalText(value);
+        }
+    }
+    
+    // 超出实数定义域时在复数模式下改求主值的函数
+    const COMPLEX_EXTENDED_FUNCTIONS = ['sqrt', 'ln', 'log', 'asin', 'acos', 'acosh', 'atanh'];
+    
+    // 复数：实部与虚部均为浮点数
+    class Complex {
+        constructor(re, im = 0) {
+            // -0 统一为 0，否则 arg() 会落到辐角主值的另一侧
+            this.re = re === 0 ? 0 : re;
+            this.im = im === 0 ? 0 : im;
+        }
+        
+        static fromPolar(r, theta) {
+            return new Complex(r * Math.cos(theta), r * Math.sin(theta));
+        }
+        
+        isReal() {
+            return this.im === 0;
+        }
+        
+        isZero() {
+            return this.re === 0 && this.im === 0;
+        }
+        
+        abs() {
+            return Math.hypot(this.re, this.im);
+        }
+        
+        arg() {
+            return Math.atan2(this.im, this.re);
+        }
+        
+        negate() {
+            return new Complex(-this.re, -this.im);
+        }
+        
+        add(other) {
+            return new Complex(this.re + other.re, this.im + other.im);
+        }
+        
+        subtract(other) {
+            return new Complex(this.re - other.re, this.im - other.im);
+        }
+        
+        multiply(other) {
+            return new Complex(
+                this.re * other.re - this.im * other.im,
+                this.re * other.im + this.im * other.re
+            );
+        }
+        
+        divide(other) {
+            if (other.isZero()) throw new CalculationError('不能除以零');
+            
+            const norm = other.re * other.re + other.im * other.im;
+            return new Complex(
+                (this.re * other.re + this.im * other.im) / norm,
+                (this.im * other.re - this.re * other.im) / norm
+            );
+        }
+        
+        exp() {
+            const magnitude = Math.exp(this.re);
+            return new Complex(magnitude * Math.cos(this.im), magnitude * Math.sin(this.im));
+        }
+        
+        // 主值对数，辐角取 (-π, π]
+        log() {
+            if (this.isZero()) throw new CalculationError('对数的真数不能为零');
+            return new Complex(Math.log(this.abs()), this.arg());
+        }
+        
+        // 主值平方根，实部非负
+        sqrt() {
+            if (this.isReal()) {
+                return this.re >= 0 ? new Complex(Math.sqrt(this.re)) : new Complex(0, Math.sqrt(-this.re));
+            }
+            
+            const r = this.abs();
+            const im = Math.sqrt((r - this.re) / 2);
+            return new Complex(Math.sqrt((r + this.re) / 2), this.im < 0 ? -im : im);
+        }
+        
+        power(exponent) {
+            // 整数次方用快速幂，避免经由对数引入的舍入误差
+            if (exponent.isReal() && Number.isInteger(exponent.re) && Math.abs(exponent.re) <= 1024) {
+                let result = new Complex(1);
+                let base = this;
+                for (let n = Math.abs(exponent.re); n > 0; n = Math.floor(n / 2)) {
+                    if (n % 2 === 1) result = result.multiply(base);
+                    base = base.multiply(base);
+                }
+                return exponent.re < 0 ? new Complex(1).divide(result) : result;
+            }
+            
+            if (this.isZero()) {
+                if (exponent.re > 0) return new Complex(0);
+                throw new CalculationError('零的非正数次方无定义');
+            }
+            return exponent.multiply(this.log()).exp();
+        }
+        
+        sin() {
+            return new Complex(Math.sin(this.re) * Math.cosh(this.im), Math.cos(this.re) * Math.sinh(this.im));
+        }
+        
+        cos() {
+            return new Complex(Math.cos(this.re) * Math.cosh(this.im), -Math.sin(this.re) * Math.sinh(this.im));
+        }
+        
+        sinh() {
+            return new Complex(Math.sinh(this.re) * Math.cos(this.im), Math.cosh(this.re) * Math.sin(this.im));
+        }
+        
+        cosh() {
+            return new Complex(Math.cosh(this.re) * Math.cos(this.im), Math.sinh(this.re) * Math.sin(this.im));
+        }
+    }
+    
+    // 复数运算：实数参数在实数范围内有结果时沿用浮点运算，
+    // 负数开方、非正数取对数、负数的分数次方等改求复数主值
+    class ComplexArithmetic {
+        constructor(polar, angleUnit = 'deg') {
+            this.polar = polar;
+            this.angleUnit = angleUnit;
+            this.float = FloatArithmetic.withAngleUnit(angleUnit);
+        }
+        
+        parseReal(text) {
+            if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text) || !isFinite(Number(text))) {
+                throw new CalculationError(`无效数字: ${text}`);
+            }
+            return Number(text);
+        }
+        
+        // 支持 a+bi、bi、i 以及带角度单位符号的极坐标 r∠θ°（θ 的单位由符号决定，与当前设置无关）
+        fromString(text) {
+            text = String(text).trim();
+            
+            const polar = text.match(/^([^∠]+)∠(.+?)([°ʳᵍ])$/);
+            if (polar) {
+                const unit = Object.keys(CONFIG.ANGLE_UNITS).find(key => CONFIG.ANGLE_UNITS[key].symbol === polar[3]);
+                return Complex.fromPolar(this.parseReal(polar[1]), Trigonometry.toRadians(this.parseReal(polar[2]), unit));
+            }
+            if (!text.endsWith('i')) return new Complex(this.parseReal(text));
+            
+            // 虚部从最后一个不属于指数的正负号开始：3-4i、-2.5i、1e-3+2i
+            const body = text.slice(0, -1);
+            let split = 0;
+            for (let k = body.length - 1; k > 0; k--) {
+                if ((body[k] === '+' || body[k] === '-') && !/e/i.test(body[k - 1])) {
+                    split = k;
+                    break;
+                }
+            }
+            
+            const real = body.slice(0, split);
+            const imaginary = body.slice(split);
+            const coefficient = imaginary === '' || imaginary === '+'
+                ? 1
+                : (imaginary === '-' ? -1 : this.parseReal(imaginary));
+            return new Complex(real === '' ? 0 : this.parseReal(real), coefficient);
+        }
+        
+        // 只接受实数参数的运算，name 用于错误提示
+        toReal(value, name) {
+            if (!value.isReal()) throw new CalculationError(`${name}不支持复数`);
+            return value.re;
+        }
+        
+        constant(name) {
+            return new Complex(this.float.constant(name));
+        }
+        
+        add(a, b) {
+            return a.add(b);
+        }
+        
+        subtract(a, b) {
+            return a.subtract(b);
+        }
+        
+        multiply(a, b) {
+            return a.multiply(b);
+        }
+        
+        divide(a, b) {
+            return a.divide(b);
+        }
+        
+        power(base, exponent) {
+            if (base.isReal() && exponent.isReal()) {
+                try {
+                    return new Complex(Number(this.float.power(base.re, exponent.re)));
+                } catch (error) {
+                    if (!(error instanceof CalculationError)) throw error;
+                }
+            }
+            return base.power(exponent);
+        }
+        
+        negate(a) {
+            return a.negate();
+        }
+        
+        percent(a) {
+            return a.divide(new Complex(100));
+        }
+        
+        percentChange(a, b) {
+            return this.divide(this.subtract(b, a), this.percent(a));
+        }
+        
+        factorial(n) {
+            return new Complex(Number(this.float.factorial(this.toReal(n, '阶乘'))));
+        }
+        
+        doubleFactorial(n) {
+            return new Complex(Number(this.float.doubleFactorial(this.toReal(n, '双阶乘'))));
+        }
+        
+        permutations(n, r) {
+            return new Complex(Number(this.float.permutations(this.toReal(n, '排列'), this.toReal(r, '排列'))));
+        }
+        
+        combinations(n, r) {
+            return new Complex(Number(this.float.combinations(this.toReal(n, '组合'), this.toReal(r, '组合'))));
+        }
+        
+        applyFunction(name, x) {
+            if (x.isReal()) {
+                try {
+                    return new Complex(Number(this.float.applyFunction(name, x.re)));
+                } catch (error) {
+                    // 超出实数定义域时改求复数主值，其余错误（如 tan 90°）照常提示
+                    if (!(error instanceof CalculationError) || !COMPLEX_EXTENDED_FUNCTIONS.includes(name)) throw error;
+                }
+            }
+            
+            // 三角函数的参数按当前角度单位换算为弧度，反三角函数的结果换算回当前单位
+            const radians = x.multiply(new Complex(Trigonometry.toRadians(1, this.angleUnit)));
+            const toAngle = (value) => value.multiply(new Complex(Trigonometry.fromRadians(1, this.angleUnit)));
+            const one = new Complex(1);
+            const i = new Complex(0, 1);
+            const half = new Complex(0.5);
+            
+            switch(name) {
+                case 'square':
+                    return x.multiply(x);
+                case 'cube':
+                    return x.multiply(x).multiply(x);
+                case 'sqrt':
+                    return x.sqrt();
+                case 'exp':
+                    return x.exp();
+                case 'ln':
+                    return x.log();
+                case 'log':
+                    return x.log().divide(new Complex(Math.LN10));
+                case 'sin':
+                    return radians.sin();
+                case 'cos':
+                    return radians.cos();
+                case 'tan':
+                    return radians.sin().divide(radians.cos());
+                case 'sinh':
+                    return x.sinh();
+                case 'cosh':
+                    return x.cosh();
+                case 'tanh':
+                    return x.sinh().divide(x.cosh());
+                case 'asin':
+                    // asin z = -i·ln(iz + √(1 − z²))
+                    return toAngle(i.multiply(x).add(one.subtract(x.multiply(x)).sqrt()).log().multiply(i.negate()));
+                case 'acos':
+                    // acos z = π/2 − asin z
+                    return toAngle(new Complex(Math.PI / 2)).subtract(this.applyFunction('asin', x));
+                case 'atan':
+                    // atan z = (i/2)·ln((i + z) / (i − z))
+                    return toAngle(i.add(x).divide(i.subtract(x)).log().multiply(i).multiply(half));
+                case 'asinh':
+                    return x.add(x.multiply(x).add(one).sqrt()).log();
+                case 'acosh':
+                    return x.add(x.add(one).sqrt().multiply(x.subtract(one).sqrt())).log();
+                case 'atanh':
+                    return one.add(x).divide(one.subtract(x)).log().multiply(half);
+                default:
+                    throw new CalculationError(`${name} 不支持复数参数`);
+            }
+        }
+        
+        toString(value) {
+            let { re, im } = value;
+            if (!isFinite(re) || !isFinite(im)) throw new CalculationError('结果超出范围');
+            
+            // 相对另一部分可忽略的舍入残差视为零，如 e^(iπ) = -1
+            if (Math.abs(im) < Math.abs(re) * 1e-12) im = 0;
+            if (Math.abs(re) < Math.abs(im) * 1e-12) re = 0;
+            if (im === 0) return this.float.toString(re);
+            
+            if (this.polar) {
+                const theta = Trigonometry.fromRadians(Math.atan2(im, re), this.angleUnit);
+                return `${this.float.toString(Math.hypot(re, im))}∠${this.float.toString(theta)}${CONFIG.ANGLE_UNITS[this.angleUnit].symbol}`;
+            }
+            
+            const imaginary = im === 1 ? '' : (im === -1 ? '-' : this.float.toString(im));
+            if (re === 0) return `${imaginary}i`;
+            return `${this.float.toString(re)}${im > 0 ? '+' : ''}${imaginary}i`;
+        }
+    }
+    
+    // 程序员模式运算：按字长和有无符号解释的 BigInt 整数
+    class ProgrammerArithmetic {
+        constructor(wordSize, signed, base) {
+            this.bits = BigInt(wordSize);
+            this.signed = signed;
+            this.base = base;
+            this.mask = (1n << this.bits) - 1n;
+        }
+        
+        // 截断到字长，有符号时按二进制补码解释
+        wrap(value) {
+            const masked = value & this.mask;
+            if (this.signed && masked >> (this.bits - 1n)) {
+                return masked - (1n << this.bits);
+            }
+            return masked;
+        }
+        
+        // 按当前进制解析，不截断
+        parseRaw(text) {
+            const negative = text.startsWith('-');
+            const digits = negative ? text.slice(1) : text;
+            const pattern = { bin: /^[01]+$/, oct: /^[0-7]+$/, dec: /^\d+$/, hex: /^[0-9a-f]+$/i }[this.base];
+            
+            if (!pattern.test(digits)) {
+                if (/[.e]/i.test(digits) && this.base !== 'hex') {
+                    throw new CalculationError('程序员模式只支持整数');
+                }
+                throw new CalculationError(`无效数字: ${text}`);
+            }
+            
+            const prefix = { bin: '0b', oct: '0o', dec: '', hex: '0x' }[this.base];
+            const value = BigInt(prefix + digits);
+            return negative ? -value : value;
+        }
+        
+        // 输入的数字是否在字长范围内
+        fitsWord(text) {
+            const value = this.parseRaw(text);
+            const limit = this.base === 'dec' && this.signed ? (this.mask >> 1n) : this.mask;
+            return value <= limit;
+        }
+        
+        // 十进制字符串（可带小数）→ 截断取整
+        fromDecimalString(text) {
+            const value = Decimal.parse(text);
+            if (!value) throw new CalculationError(`无效数字: ${text}`);
+            return this.wrap(value.toBigInt());
+        }
+        
+        fromString(text) {
+            return this.wrap(this.parseRaw(text));
+        }
+        
+        toString(value) {
+            const wrapped = this.wrap(value);
+            if (this.base === 'dec') return wrapped.toString();
+            
+            // 非十进制显示补码位模式
+            const radix = { bin: 2, oct: 8, hex: 16 }[this.base];
+            return (wrapped & this.mask).toString(radix).toUpperCase();
+        }
+        
+        constant() {
+            throw new CalculationError('程序员模式只支持整数');
+        }
+        
+        add(a, b) {
+            return this.wrap(a + b);
+        }
+        
+        subtract(a, b) {
+            return this.wrap(a - b);
+        }
+        
+        multiply(a, b) {
+            return this.wrap(a * b);
+        }
+        
+        // 整数除法，向零取整
+        divide(a, b) {
+            if (b === 0n) throw new CalculationError('不能除以零');
+            return this.wrap(a / b);
+        }
+        
+        modulo(a, b) {
+            if (b === 0n) throw new CalculationError('不能除以零');
+            return this.wrap(a % b);
+        }
+        
+        power(base, exponent) {
+            if (exponent < 0n) throw new CalculationError('程序员模式不支持负指数');
+            
+            let result = 1n;
+            let square = base & this.mask;
+            while (exponent > 0n) {
+                if (exponent & 1n) result = (result * square) & this.mask;
+                square = (square * square) & this.mask;
+                exponent >>= 1n;
+            }
+            return this.wrap(result);
+        }
+        
+        negate(a) {
+            return this.wrap(-a);
+        }
+        
+        percent() {
+            throw new CalculationError('程序员模式不支持百分比');
+        }
+        
+        factorial(n) {
+            if (n < 0n) throw new CalculationError('阶乘只适用于非负整数');
+            
+            let result = 1n;
+            for (let i = 2n; i <= n && result !== 0n; i++) result = (result * i) & this.mask;
+            return this.wrap(result);
+        }
+        
+        doubleFactorial(n) {
+            if (n < -1n) throw new CalculationError('双阶乘只适用于不小于 -1 的整数');
+            Combinatorics.checkLimit(n);
+            
+            let result = 1n;
+            for (let i = n; i > 1n && result !== 0n; i -= 2n) result = (result * i) & this.mask;
+            return this.wrap(result);
+        }
+        
+        permutations(n, r) {
+            return this.wrap(Combinatorics.permutations(n, r));
+        }
+        
+        // 组合数需要精确的中间结果，计算完成后再截断
+        combinations(n, r) {
+            return this.wrap(Combinatorics.combinations(n, r));
+        }
+        
+        bitwiseAnd(a, b) {
+            return this.wrap(a & b);
+        }
+        
+        bitwiseOr(a, b) {
+            return this.wrap(a | b);
+        }
+        
+        bitwiseXor(a, b) {
+            return this.wrap(a ^ b);
+        }
+        
+        // 移出字长的位全部丢弃，不先生成超长的整数
+        shiftLeft(a, n) {
+            if (n < 0n) throw new CalculationError('移位位数不能为负');
+            if (n >= this.bits) return this.wrap(0n);
+            return this.wrap(a << n);
+        }
+        
+        // 有符号为算术右移，无符号为逻辑右移
+        shiftRight(a, n) {
+            if (n < 0n) throw new CalculationError('移位位数不能为负');
+            if (n >= this.bits) return this.wrap(a < 0n ? -1n : 0n);
+            return this.wrap(a >> n);
+        }
+        
+        rotateLeft(a, n) {
+            const shift = ((n % this.bits) + this.bits) % this.bits;
+            const value = a & this.mask;
+            return this.wrap((value << shift) | (value >> (this.bits - shift)));
+        }
+        
+        rotateRight(a, n) {
+            return this.rotateLeft(a, -n);
+        }
+        
+        applyFunction(name, x) {
+            switch(name) {
+                case 'not':
+                    return this.wrap(~x);
+                case 'square':
+                    return this.wrap(x * x);
+                case 'cube':
+                    return this.wrap(x * x * x);
+                default:
+                    throw new CalculationError('程序员模式只支持整数运算');
+            }
+        }
+    }
+    
+    // 表达式引擎：词法分析 → 语法分析（Pratt） → 求值
+    const ExpressionEngine = {
+        // 二元运算符的优先级与结合性
+        // method 为运算方式（arithmetic）上对应的方法名，位运算的优先级参照 C 语言
+        BINARY_OPERATORS: {
+            'OR': { precedence: 1, rightAssociative: false, method: 'bitwiseOr' },
+            'XOR': { precedence: 2, rightAssociative: false, method: 'bitwiseXor' },
+            'AND': { precedence: 3, rightAssociative: false, method: 'bitwiseAnd' },
+            '<<': { precedence: 4, rightAssociative: false, method: 'shiftLeft' },
+            '>>': { precedence: 4, rightAssociative: false, method: 'shiftRight' },
+            'ROL': { precedence: 4, rightAssociative: false, method: 'rotateLeft' },
+            'ROR': { precedence: 4, rightAssociative: false, method: 'rotateRight' },
+            '+': { precedence: 5, rightAssociative: false, method: 'add' },
+            '-': { precedence: 5, rightAssociative: false, method: 'subtract' },
+            // 百分比变化：a Δ% b = (b − a) ÷ a × 100
+            'Δ%': { precedence: 5, rightAssociative: false, method: 'percentChange' },
+            '×': { precedence: 6, rightAssociative: false, method: 'multiply' },
+            '÷': { precedence: 6, rightAssociative: false, method: 'divide' },
+            'MOD': { precedence: 6, rightAssociative: false, method: 'modulo' },
+            'nPr': { precedence: 6, rightAssociative: false, method: 'permutations' },
+            'nCr': { precedence: 6, rightAssociative: false, method: 'combinations' },
+            '^': { precedence: 8, rightAssociative: true, method: 'power' }
+        },
+        
+        // 一元负号低于乘方：-2^2 = -4
+        UNARY_PRECEDENCE: 7,
+        
+        FUNCTIONS: [
+            'sin', 'cos', 'tan', 'asin', 'acos', 'atan',
+            'sinh', 'cosh', 'tanh', 'asinh', 'acosh', 'atanh',
+            'log', 'ln', 'exp', 'sqrt', 'square', 'cube', 'not', 'gamma'
+        ],
+        
+        // 以单词书写的二元运算符（小写 → 运算符）
+        WORD_OPERATORS: {
+            'and': 'AND', 'or': 'OR', 'xor': 'XOR', 'mod': 'MOD', 'rol': 'ROL', 'ror': 'ROR',
+            'npr': 'nPr', 'ncr': 'nCr'
+        },
+        
+        // 后缀运算符对应的方法名
+        POSTFIX_OPERATORS: {
+            '!': 'factorial',
+            '!!': 'doubleFactorial',
+            '%': 'percent'
+        },
+        
+        OPERATOR_ALIASES: {
+            '+': '+', '-': '-', '−': '-',
+            '×': '×', '*': '×', '·': '×',
+            '÷': '÷', '/': '÷',
+            '^': '^'
+        },
+        
+        // 可作为操作数结尾的记号（其后出现的减号为二元运算符）
+        OPERAND_END_TYPES: ['number', 'constant', 'identifier', 'rparen', 'postfix'],
+        
+        // 字符串 → 记号序列
+        tokenize: function(text) {
+            const tokens = [];
+            let i = 0;
+            
+            while (i < text.length) {
+                const ch = text[i];
+                
+                if (/\s/.test(ch)) {
+                    i++;
+                    continue;
+                }
+                
+                if (/[0-9.]/.test(ch)) {
+                    const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+                    if (!match) throw new CalculationError(`无法识别的数字: ${ch}`);
+                    tokens.push({ type: 'number', value: match[0] });
+                    i += match[0].length;
+                    continue;
+                }
+                
+                const pair = text.slice(i, i + 2);
+                if (pair === '<<' || pair === '>>') {
+                    tokens.push({ type: 'operator', value: pair });
+                    i += 2;
+                    continue;
+                }
+                if (pair === '!!') {
+                    tokens.push({ type: 'postfix', value: pair });
+                    i += 2;
+                    continue;
+                }
+                
+                if (this.OPERATOR_ALIASES[ch]) {
+                    tokens.push({ type: 'operator', value: this.OPERATOR_ALIASES[ch] });
+                } else if (ch === '!' || ch === '%') {
+                    tokens.push({ type: 'postfix', value: ch });
+                } else if (ch === '(') {
+                    tokens.push({ type: 'lparen' });
+                } else if (ch === ')') {
+                    tokens.push({ type: 'rparen' });
+                } else if (ch === ',') {
+                    tokens.push({ type: 'comma' });
+                } else if (ch === '√') {
+                    tokens.push({ type: 'function', value: 'sqrt' });
+                } else if (ch === 'Γ') {
+                    tokens.push({ type: 'function', value: 'gamma' });
+                } else if (ch === 'π') {
+                    tokens.push({ type: 'constant', value: 'π' });
+                } else if (/[a-zA-Z_]/.test(ch)) {
+                    const name = text.slice(i).match(/^[a-zA-Z_][a-zA-Z0-9_]*/)[0];
+                    const lower = name.toLowerCase();
+                    
+                    if (this.FUNCTIONS.includes(lower)) {
+                        tokens.push({ type: 'function', value: lower });
+                    } else if (this.WORD_OPERATORS[lower]) {
+                        tokens.push({ type: 'operator', value: this.WORD_OPERATORS[lower] });
+                    } else if (lower === 'pi') {
+                        tokens.push({ type: 'constant', value: 'π' });
+                    } else if (name === 'e') {
+                        tokens.push({ type: 'constant', value: 'e' });
+                    } else {
+                        tokens.push({ type: 'identifier', value: name });
+                    }
+                    i += name.length;
+                    continue;
+                } else {
+                    throw new CalculationError(`无法识别的字符: ${ch}`);
+                }
+                
+                i++;
+            }
+            
+            return tokens;
+        },
+        
+        // 判断指定位置的运算符是否为二元运算符（否则为一元正负号）
+        isBinaryOperator: function(tokens, index) {
+            return index > 0 && this.OPERAND_END_TYPES.includes(tokens[index - 1].type);
+        },
+        
+        // 记号序列 → 语法树
+        parse: function(tokens) {
+            let position = 0;
+            const peek = () => tokens[position];
+            const next = () => tokens[position++];
+            const startsOperand = (token) => ['number', 'constant', 'identifier', 'function', 'lparen'].includes(token.type);
+            
+            const expect = (type, message) => {
+                const token = next();
+                if (!token || token.type !== type) throw new CalculationError(message);
+            };
+            
+            const parseExpression = (minPrecedence) => {
+                let left = parsePrefix();
+                
+                while (position < tokens.length) {
+                    const token = peek();
+                    
+                    // 后缀运算符（! !! %）优先级最高
+                    if (token.type === 'postfix') {
+                        next();
+                        left = { type: 'postfix', operator: token.value, operand: left };
+                        continue;
+                    }
+                    
+                    // 相邻的操作数视为隐式乘法，如 2π、3(4+5)
+                    let operator;
+                    if (token.type === 'operator') {
+                        operator = token.value;
+                    } else if (startsOperand(token)) {
+                        operator = '×';
+                    } else {
+                        break;
+                    }
+                    
+                    const info = this.BINARY_OPERATORS[operator];
+                    if (info.precedence < minPrecedence) break;
+                    if (token.type === 'operator') next();
+                    
+                    const right = parseExpression(info.rightAssociative ? info.precedence : info.precedence + 1);
+                    left = { type: 'binary', operator, left, right };
+                }
+                
+                return left;
+            };
+            
+            const parsePrefix = () => {
+                const token = next();
+                if (!token) throw new CalculationError('表达式不完整');
+                
+                switch(token.type) {
+                    case 'number':
+                        return { type: 'number', value: token.value };
+                    case 'constant':
+                        return { type: 'constant', name: token.value };
+                    case 'identifier':
+                        return { type: 'variable', name: token.value };
+                    case 'lparen': {
+                        const inner = parseExpression(0);
+                        expect('rparen', '括号不匹配');
+                        return inner;
+                    }
+                    case 'function': {
+                        // 不带括号时只作用于紧随其后的操作数，如 √9、sin 30
+                        if (!peek() || peek().type !== 'lparen') {
+                            return { type: 'call', name: token.value, args: [parseExpression(this.UNARY_PRECEDENCE)] };
+                        }
+                        next();
+                        const args = [parseExpression(0)];
+                        while (peek() && peek().type === 'comma') {
+                            next();
+                            args.push(parseExpression(0));
+                        }
+                        expect('rparen', '括号不匹配');
+                        return { type: 'call', name: token.value, args };
+                    }
+                    case 'operator':
+                        if (token.value === '-' || token.value === '+') {
+                            const operand = parseExpression(this.UNARY_PRECEDENCE);
+                            return token.value === '-' ? { type: 'unary', operator: '-', operand } : operand;
+                        }
+                        throw new CalculationError(`运算符 ${token.value} 缺少左操作数`);
+                    case 'rparen':
+                        throw new CalculationError('括号不匹配');
+                    default:
+                        throw new CalculationError('表达式有误');
+                }
+            };
+            
+            if (tokens.length === 0) throw new CalculationError('表达式为空');
+            
+            const ast = parseExpression(0);
+            if (position < tokens.length) {
+                throw new CalculationError(peek().type === 'rparen' ? '括号不匹配' : '表达式有误');
+            }
+            return ast;
+        },
+        
+        // 语法树求值，具体运算由 context.arithmetic 提供
+        evaluate: function(node, context) {
+            const arithmetic = context.arithmetic;
+            
+            switch(node.type) {
+                case 'number':
+                    return arithmetic.fromString(node.value);
+                case 'constant':
+                    return arithmetic.constant(node.name);
+                case 'variable':
+                    if (context.variables && Object.prototype.hasOwnProperty.call(context.variables, node.name)) {
+                        return context.variables[node.name];
+                    }
+                    throw new CalculationError(`未定义的变量: ${node.name}`);
+                case 'unary':
+                    return arithmetic.negate(this.evaluate(node.operand, context));
+                case 'postfix': {
+                    const operand = this.evaluate(node.operand, context);
+                    return arithmetic[this.POSTFIX_OPERATORS[node.operator]](operand);
+                }
+                case 'binary': {
+                    const info = this.BINARY_OPERATORS[node.operator];
+                    if (!info) throw new CalculationError(`未知运算符: ${node.operator}`);
+                    if (typeof arithmetic[info.method] !== 'function') {
+                        throw new CalculationError(`当前模式不支持 ${node.operator} 运算`);
+                    }
+                    
+                    const left = this.evaluate(node.left, context);
+                    const right = this.evaluate(node.right, context);
+                    return arithmetic[info.method](left, right);
+                }
+                case 'call': {
+                    if (node.args.length !== 1) throw new CalculationError(`${node.name} 只接受一个参数`);
+                    return arithmetic.applyFunction(node.name, this.evaluate(node.args[0], context));
+                }
+                default:
+                    throw new CalculationError('表达式有误');
+            }
+        },
+        
+        // 记号序列 → 可读字符串（用于历史记录）
+        stringify: function(tokens) {
+            return tokens.map((token, index) => {
+                switch(token.type) {
+                    case 'operator':
+                        return this.isBinaryOperator(tokens, index) ? ` ${token.value} ` : token.value;
+                    case 'function':
+                        if (token.value === 'sqrt') return '√';
+                        if (token.value === 'gamma') return 'Γ';
+                        return token.value === 'not' ? 'NOT ' : token.value;
+                    case 'lparen':
+                        return '(';
+                    case 'rparen':
+                        return ')';
+                    case 'comma':
+                        return ', ';
+                    default:
+                        return token.value;
+                }
+            }).join('');
+        }
+    };
+    
+    // 剪贴板文本：粘贴时识别带分隔符、货币符号、科学计数法或进制前缀的数字
+    const ClipboardText = {
+        BASE_NAMES: { bin: '二进制', oct: '八进制', dec: '十进制', hex: '十六进制' },
+        PREFIXES: { bin: '0b', oct: '0o', dec: '', hex: '0x' },
+        DIGIT_PATTERNS: { bin: /^[01]+$/, oct: /^[0-7]+$/, dec: /^\d+$/, hex: /^[0-9a-f]+$/i },
+        CURRENCY_SYMBOLS: /[$€£¥￥₩₹₽元]/g,
+        // 两个数字之间的分组符号：逗号、空格、下划线、撇号（十六进制数字也算）
+        GROUP_SEPARATORS: /([0-9a-f])[,_'’ \u00a0\u202f](?=[0-9a-f])/gi,
+        
+        // 去掉货币符号与数字间的分组符号，记录去掉了什么
+        clean: function(text, base, ignored) {
+            let cleaned = text.trim().replace(/−/g, '-');
+            if (this.CURRENCY_SYMBOLS.test(cleaned)) ignored.push('货币符号');
+            cleaned = cleaned.replace(this.CURRENCY_SYMBOLS, '').trim();
+            
+            // 三个字母的货币代码只在十六进制以外识别，如 USD 1,200
+            if (base !== 'hex' && /^[A-Z]{3}\s+|\s+[A-Z]{3}$/.test(cleaned)) {
+                ignored.push('货币代码');
+                cleaned = cleaned.replace(/^[A-Z]{3}\s+|\s+[A-Z]{3}$/g, '');
+            }
+            return cleaned;
+        },
+        
+        // 单个数字 → { integer: BigInt } 或 { decimal: 十进制文本 }；不像单个数字时返回 null
+        // base 为程序员模式的当前进制，其他模式为 dec
+        parseNumber: function(text, base, ignored) {
+            let cleaned = this.clean(text, base, ignored);
+            const sign = /^[+-]/.test(cleaned) ? cleaned[0] : '';
+            cleaned = cleaned.slice(sign.length).trim();
+            const negate = (value) => sign === '-' ? -value : value;
+            
+            // 1.234,56 与 3,14 的逗号是小数点
+            const grouped = cleaned;
+            cleaned = base === 'dec' && this.isDecimalComma(grouped)
+                ? grouped.replace(/[._'’ \u00a0\u202f]/g, '').replace(',', '.')
+                : grouped.replace(this.GROUP_SEPARATORS, '$1');
+            if (cleaned.length < grouped.length) ignored.push('分组符号');
+            
+            // 带前缀的整数：0x1F、0b1010、0o17
+            const prefixed = cleaned.match(/^0([xbo])([0-9a-z]*)$/i);
+            if (prefixed) {
+                const prefixBase = { x: 'hex', b: 'bin', o: 'oct' }[prefixed[1].toLowerCase()];
+                this.checkDigits(prefixed[2], prefixBase, `0${prefixed[1]}`);
+                return { integer: negate(BigInt(`0${prefixed[1].toLowerCase()}${prefixed[2]}`)) };
+            }
+            
+            // 程序员模式的非十进制只接受该进制的整数
+            if (base !== 'dec') {
+                if (!/^[0-9a-z.]+$/i.test(cleaned)) return null;
+                if (cleaned.includes('.')) throw new CalculationError(`程序员模式只支持整数: ${cleaned}`);
+                this.checkDigits(cleaned, base, '');
+                return { integer: negate(BigInt(this.PREFIXES[base] + cleaned)) };
+            }
+            
+            // 科学计数法：1.5e3、1.5E-3、1.5×10^3
+            const match = cleaned.match(/^(\d+\.?\d*|\.\d+)(?:[eE]([+-]?\d+)|\s*[×xX*·]\s*10\s*\^\s*([+-]?\d+))?$/);
+            if (!match) return null;
+            
+            const exponent = match[2] || match[3];
+            const decimal = sign.replace('+', '') + match[1] + (exponent ? `e${exponent}` : '');
+            // 指数过大时展开为整数会卡住页面，先按数量级拒绝
+            if (!Decimal.parse(decimal).inRange()) throw new CalculationError(`数值超出范围: ${cleaned}`);
+            return { decimal };
+        },
+        
+        // 只有一个逗号且不是千位分组（3,14），或逗号在最后一个点之后（1.234,56）时，逗号是小数点
+        isDecimalComma: function(text) {
+            const comma = text.lastIndexOf(',');
+            const dot = text.lastIndexOf('.');
+            if (comma === -1 || comma < dot) return false;
+            if (dot !== -1) return /^[\d.]+,\d+$/.test(text);
+            return /^\d+,\d+$/.test(text) && !/^\d{1,3},\d{3}$/.test(text);
+        },
+        
+        // 列出不属于该进制的数字
+        checkDigits: function(digits, base, prefix) {
+            if (digits === '') throw new CalculationError(`${prefix} 之后缺少数字`);
+            if (this.DIGIT_PATTERNS[base].test(digits)) return;
+            
+            const invalid = [...new Set(digits.toUpperCase().split('').filter(ch => !this.DIGIT_PATTERNS[base].test(ch)))];
+            const name = prefix ? `${prefix} 前缀的${this.BASE_NAMES[base]}` : this.BASE_NAMES[base];
+            throw new CalculationError(`${name}数字中不能出现 ${invalid.join(' ')}`);
+        },
+        
+        // 粘贴的表达式：去掉货币符号与千位分组，程序员模式识别 & | ~ 写法
+        normalizeExpression: function(text, programmer) {
+            let normalized = text.replace(this.CURRENCY_SYMBOLS, '').replace(/(\d)[,_'’](?=\d{3}(?!\d))/g, '$1');
+            if (programmer) {
+                normalized = normalized.replace(/&/g, ' AND ').replace(/\|/g, ' OR ').replace(/~/g, ' NOT ');
+            }
+            return normalized;
+        },
+        
+        // 十六进制下 FF、1F、E 等会被拆成数字、变量与常数，合并为一个数字
+        mergeHexDigits: function(tokens) {
+            const merged = [];
+            tokens.forEach(token => {
+                const value = token.type === 'constant' ? (token.value === 'e' ? 'e' : null) : token.value;
+                const digit = ['number', 'identifier', 'constant'].includes(token.type) && /^[0-9a-f]+$/i.test(value);
+                const last = merged[merged.length - 1];
+                
+                if (digit && last && last.type === 'number' && last.hex) {
+                    last.value += value.toUpperCase();
+                } else if (digit) {
+                    merged.push({ type: 'number', value: value.toUpperCase(), hex: true });
+                } else {
+                    merged.push(token);
+                }
+            });
+            return merged.map(({ hex, ...token }) => token);
+        }
+    };
+    
+    // 显示格式：千位分组、定点 / 科学 / 工程记数法，以及二进制、十六进制的数字分组
+    const NumberFormat = {
+        REAL: /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i,
+        
+        // 整数部分每三位加逗号，小数部分与指数不分组
+        groupThousands: function(text) {
+            return text.replace(/(e[+-]?\d+)|(^|[^\d.])(\d{4,})/gi, (match, exponent, before, digits) =>
+                exponent || before + digits.replace(/\B(?=(\d{3})+$)/g, ','));
+        },
+        
+        // 从右往左每 size 个数字加一个空格
+        groupDigits: function(text, size) {
+            const pattern = new RegExp(`\\B(?=([0-9A-F]{${size}})+$)`, 'gi');
+            return text.replace(/[0-9A-F]+/gi, digits => digits.replace(pattern, ' '));
+        },
+        
+        // 四舍五入到 places 位小数
+        roundPlaces: function(value, places) {
+            if (value.exponent >= -places) return value;
+            
+            const divisor = Decimal.pow10(-places - value.exponent);
+            const negative = value.isNegative();
+            const magnitude = negative ? -value.coefficient : value.coefficient;
+            let rounded = magnitude / divisor;
+            if ((magnitude % divisor) * 2n >= divisor) rounded += 1n;
+            return new Decimal(negative ? -rounded : rounded, -places);
+        },
+        
+        // 普通记法；places 不为 null 时小数部分补足到 places 位
+        plain: function(value, places = null) {
+            const negative = value.isNegative();
+            const digits = (negative ? -value.coefficient : value.coefficient).toString();
+            let integer = digits + '0'.repeat(Math.max(value.exponent, 0));
+            let fraction = '';
+            
+            if (value.exponent < 0) {
+                const point = digits.length + value.exponent;
+                integer = point > 0 ? digits.slice(0, point) : '0';
+                fraction = point > 0 ? digits.slice(point) : '0'.repeat(-point) + digits;
+            }
+            if (places !== null) fraction = fraction.padEnd(places, '0');
+            return `${negative ? '-' : ''}${integer}${fraction ? `.${fraction}` : ''}`;
+        },
+        
+        // 科学记数法，engineering 时指数取 3 的倍数；decimals 为尾数的小数位数，null 时保留全部有效数字
+        // trim 时去掉尾数末尾的零
+        exponential: function(value, decimals, engineering, trim = false) {
+            const leading = (adjusted) => engineering ? ((adjusted % 3) + 3) % 3 : 0;
+            if (value.isZero()) return `0${decimals ? `.${'0'.repeat(decimals)}` : ''}e+0`;
+            
+            let adjusted = value.digitCount() + value.exponent - 1;
+            const rounded = decimals === null ? value : value.round(decimals + 1 + leading(adjusted));
+            // 进位可能使数量级加一，如 999.96 → 1.000e+3
+            adjusted = rounded.digitCount() + rounded.exponent - 1;
+            
+            const shift = leading(adjusted);
+            const digits = (rounded.isNegative() ? -rounded.coefficient : rounded.coefficient).toString();
+            const integer = digits.slice(0, shift + 1).padEnd(shift + 1, '0');
+            let fraction = digits.slice(shift + 1);
+            if (decimals !== null) fraction = fraction.padEnd(decimals, '0').slice(0, decimals);
+            if (trim) fraction = fraction.replace(/0+$/, '');
+            
+            const exponent = adjusted - shift;
+            return `${rounded.isNegative() ? '-' : ''}${integer}${fraction ? `.${fraction}` : ''}e${exponent >= 0 ? '+' : ''}${exponent}`;
+        },
+        
+        // 实数文本 → 按记数法显示；options：{ notation, decimals, exact }
+        // 自动记数法完整显示整数部分不超过 MAX_EXACT_DIGITS 位且不小于 1e-7 的数，其余用科学记数法（exact 时保留全部有效数字）
+        formatReal: function(text, options) {
+            const value = Decimal.parse(text);
+            switch(options.notation) {
+                case 'fixed':
+                    return this.plain(this.roundPlaces(value, options.decimals), options.decimals);
+                case 'scientific':
+                    return this.exponential(value, options.decimals, false);
+                case 'engineering':
+                    return this.exponential(value, options.decimals, true);
+                default: {
+                    const adjusted = value.digitCount() + value.exponent - 1;
+                    if (value.isZero() || (adjusted < CONFIG.MAX_EXACT_DIGITS && adjusted >= -7)) return this.plain(value);
+                    return this.exponential(value, options.exact ? null : options.decimals, false, true);
+                }
+            }
+        }
+    };
+    
+    // 单位换算：每个单位记录换算到基准单位的系数，温度单位另有偏移量（基准值 = 数值 × factor + offset）
+    const UnitConverter = {
+        CATEGORIES: {
+            length: {
+                name: '长度',
+                defaults: ['m', 'ft'],
+                units: {
+                    nm: { name: '纳米', factor: 1e-9 },
+                    'μm': { name: '微米', factor: 1e-6 },
+                    mm: { name: '毫米', factor: 0.001 },
+                    cm: { name: '厘米', factor: 0.01 },
+                    m: { name: '米', factor: 1 },
+                    km: { name: '千米', factor: 1000 },
+                    in: { name: '英寸', factor: 0.0254 },
+                    ft: { name: '英尺', factor: 0.3048 },
+                    yd: { name: '码', factor: 0.9144 },
+                    mi: { name: '英里', factor: 1609.344 },
+                    nmi: { name: '海里', factor: 1852 },
+                    '尺': { name: '市尺', factor: 1 / 3 },
+                    '里': { name: '市里', factor: 500 }
+                }
+            },
+            area: {
+                name: '面积',
+                defaults: ['m²', 'ft²'],
+                units: {
+                    'mm²': { name: '平方毫米', factor: 1e-6 },
+                    'cm²': { name: '平方厘米', factor: 1e-4 },
+                    'm²': { name: '平方米', factor: 1 },
+                    ha: { name: '公顷', factor: 1e4 },
+                    'km²': { name: '平方千米', factor: 1e6 },
+                    'in²': { name: '平方英寸', factor: 0.00064516 },
+                    'ft²': { name: '平方英尺', factor: 0.09290304 },
+                    'yd²': { name: '平方码', factor: 0.83612736 },
+                    ac: { name: '英亩', factor: 4046.8564224 },
+                    'mi²': { name: '平方英里', factor: 2589988.110336 },
+                    '亩': { name: '市亩', factor: 2000 / 3 }
+                }
+            },
+            volume: {
+                name: '体积',
+                defaults: ['L', 'gal'],
+                units: {
+                    mL: { name: '毫升', factor: 0.001 },
+                    L: { name: '升', factor: 1 },
+                    'm³': { name: '立方米', factor: 1000 },
+                    'in³': { name: '立方英寸', factor: 0.016387064 },
+                    'ft³': { name: '立方英尺', factor: 28.316846592 },
+                    tsp: { name: '茶匙（美）', factor: 0.00492892159375 },
+                    tbsp: { name: '汤匙（美）', factor: 0.01478676478125 },
+                    'fl oz': { name: '液量盎司（美）', factor: 0.0295735295625 },
+                    cup: { name: '杯（美）', factor: 0.2365882365 },
+                    gal: { name: '加仑（美）', factor: 3.785411784 },
+                    'gal (UK)': { name: '加仑（英）', factor: 4.54609 }
+                }
+            },
+            mass: {
+                name: '质量',
+                defaults: ['kg', 'lb'],
+                units: {
+                    mg: { name: '毫克', factor: 1e-6 },
+                    g: { name: '克', factor: 0.001 },
+                    kg: { name: '千克', factor: 1 },
+                    t: { name: '吨', factor: 1000 },
+                    ct: { name: '克拉', factor: 0.0002 },
+                    oz: { name: '盎司', factor: 0.028349523125 },
+                    lb: { name: '磅', factor: 0.45359237 },
+                    st: { name: '英石', factor: 6.35029318 },
+                    '两': { name: '市两', factor: 0.05 },
+                    '斤': { name: '市斤', factor: 0.5 }
+                }
+            },
+            temperature: {
+                name: '温度',
+                defaults: ['°C', '°F'],
+                units: {
+                    '°C': { name: '摄氏度', factor: 1, offset: 273.15 },
+                    '°F': { name: '华氏度', factor: 5 / 9, offset: 459.67 * 5 / 9 },
+                    K: { name: '开尔文', factor: 1, offset: 0 },
+                    '°R': { name: '兰氏度', factor: 5 / 9, offset: 0 }
+                }
+            },
+            speed: {
+                name: '速度',
+                defaults: ['km/h', 'm/s'],
+                units: {
+                    'm/s': { name: '米每秒', factor: 1 },
+                    'km/h': { name: '千米每小时', factor: 1 / 3.6 },
+                    'ft/s': { name: '英尺每秒', factor: 0.3048 },
+                    mph: { name: '英里每小时', factor: 0.44704 },
+                    kn: { name: '节', factor: 1852 / 3600 }
+                }
+            },
+            pressure: {
+                name: '压强',
+                defaults: ['kPa', 'psi'],
+                units: {
+                    Pa: { name: '帕斯卡', factor: 1 },
+                    hPa: { name: '百帕', factor: 100 },
+                    kPa: { name: '千帕', factor: 1000 },
+                    MPa: { name: '兆帕', factor: 1e6 },
+                    bar: { name: '巴', factor: 1e5 },
+                    atm: { name: '标准大气压', factor: 101325 },
+                    mmHg: { name: '毫米汞柱', factor: 133.322387415 },
+                    inHg: { name: '英寸汞柱', factor: 3386.389 },
+                    psi: { name: '磅力每平方英寸', factor: 6894.757293168 }
+                }
+            },
+            energy: {
+                name: '能量',
+                defaults: ['kJ', 'kcal'],
+                units: {
+                    eV: { name: '电子伏特', factor: 1.602176634e-19 },
+                    J: { name: '焦耳', factor: 1 },
+                    kJ: { name: '千焦', factor: 1000 },
+                    cal: { name: '卡', factor: 4.184 },
+                    kcal: { name: '千卡', factor: 4184 },
+                    Wh: { name: '瓦时', factor: 3600 },
+                    kWh: { name: '千瓦时', factor: 3.6e6 },
+                    BTU: { name: '英热单位', factor: 1055.05585262 },
+                    'ft·lbf': { name: '英尺磅力', factor: 1.3558179483314004 }
+                }
+            },
+            time: {
+                name: '时间',
+                defaults: ['h', 'min'],
+                units: {
+                    ns: { name: '纳秒', factor: 1e-9 },
+                    'μs': { name: '微秒', factor: 1e-6 },
+                    ms: { name: '毫秒', factor: 0.001 },
+                    s: { name: '秒', factor: 1 },
+                    min: { name: '分钟', factor: 60 },
+                    h: { name: '小时', factor: 3600 },
+                    d: { name: '天', factor: 86400 },
+                    wk: { name: '周', factor: 604800 },
+                    yr: { name: '年（365 天）', factor: 31536000 }
+                }
+            },
+            data: {
+                name: '数据',
+                defaults: ['GB', 'GiB'],
+                units: {
+                    bit: { name: '位', factor: 0.125 },
+                    B: { name: '字节', factor: 1 },
+                    kB: { name: '千字节（10³）', factor: 1e3 },
+                    MB: { name: '兆字节（10⁶）', factor: 1e6 },
+                    GB: { name: '吉字节（10⁹）', factor: 1e9 },
+                    TB: { name: '太字节（10¹²）', factor: 1e12 },
+                    PB: { name: '拍字节（10¹⁵）', factor: 1e15 },
+                    KiB: { name: '千字节（2¹⁰）', factor: 1024 },
+                    MiB: { name: '兆字节（2²⁰）', factor: 1024 ** 2 },
+                    GiB: { name: '吉字节（2³⁰）', factor: 1024 ** 3 },
+                    TiB: { name: '太字节（2⁴⁰）', factor: 1024 ** 4 },
+                    PiB: { name: '拍字节（2⁵⁰）', factor: 1024 ** 5 }
+                }
+            }
+        },
+        
+        convert: function(value, category, from, to) {
+            const units = this.CATEGORIES[category].units;
+            const base = value * units[from].factor + (units[from].offset || 0);
+            if (category === 'temperature' && base < 0) throw new CalculationError('温度不能低于绝对零度');
+            return (base - (units[to].offset || 0)) / units[to].factor;
+        }
+    };
+    
+    // 统计计算：单变量数据带频数，双变量数据为 (x, y) 数组
+    const Statistics = {
+        REGRESSIONS: {
+            linear: { name: '线性', equation: 'y = a + bx' },
+            quadratic: { name: '二次', equation: 'y = a + bx + cx²' },
+            exponential: { name: '指数', equation: 'y = a·e^(bx)' }
+        },
+        
+        // 单变量统计，frequencies 为与 values 对应的正整数频数
+        summarize: function(values, frequencies) {
+            const n = frequencies.reduce((total, f) => total + f, 0);
+            if (n === 0) throw new CalculationError('没有数据');
+            
+            let sum = 0;
+            let sumSquares = 0;
+            values.forEach((x, k) => {
+                sum += x * frequencies[k];
+                sumSquares += x * x * frequencies[k];
+            });
+            const mean = sum / n;
+            // 用离差平方和求方差，避免 Σx² − n·x̄² 的相消误差
+            const deviation = values.reduce((total, x, k) => total + frequencies[k] * (x - mean) ** 2, 0);
+            
+            const sorted = values.map((x, k) => ({ x, f: frequencies[k] })).sort((a, b) => a.x - b.x);
+            const half = Math.floor(n / 2);
+            return {
+                n, sum, sumSquares, mean,
+                median: this.median(sorted, 0, n),
+                modes: this.modes(sorted),
+                populationSD: Math.sqrt(deviation / n),
+                sampleSD: n > 1 ? Math.sqrt(deviation / (n - 1)) : null,
+                // 四分位数取上下两半的中位数，数据个数为奇数时两半都不含中位数
+                q1: n > 1 ? this.median(sorted, 0, half) : sorted[0].x,
+                q3: n > 1 ? this.median(sorted, n - half, half) : sorted[0].x,
+                min: sorted[0].x,
+                max: sorted[sorted.length - 1].x
+            };
+        },
+        
+        // 已排序数据按频数展开后第 index 个（从 0 开始）的值
+        valueAt: function(sorted, index) {
+            for (const { x, f } of sorted) {
+                if (index < f) return x;
+                index -= f;
+            }
+            return sorted[sorted.length - 1].x;
+        },
+        
+        // 从第 start 个起共 count 个数据的中位数
+        median: function(sorted, start, count) {
+            const middle = start + Math.floor(count / 2);
+            return count % 2
+                ? this.valueAt(sorted, middle)
+                : (this.valueAt(sorted, middle - 1) + this.valueAt(sorted, middle)) / 2;
+        },
+        
+        // 众数：出现次数最多的值，各值出现次数都相同时没有众数
+        modes: function(sorted) {
+            const counts = new Map();
+            sorted.forEach(({ x, f }) => counts.set(x, (counts.get(x) || 0) + f));
+            
+            const highest = Math.max(...counts.values());
+            const modes = [...counts.keys()].filter(x => counts.get(x) === highest);
+            return counts.size > 1 && modes.length === counts.size ? [] : modes;
+        },
+        
+        // 双变量统计
+        summarizePairs: function(xs, ys) {
+            const n = xs.length;
+            if (n === 0) throw new CalculationError('没有数据');
+            
+            const sum = (list) => list.reduce((total, v) => total + v, 0);
+            const meanX = sum(xs) / n;
+            const meanY = sum(ys) / n;
+            const sxx = sum(xs.map(x => (x - meanX) ** 2));
+            const syy = sum(ys.map(y => (y - meanY) ** 2));
+            return {
+                n,
+                sumX: sum(xs),
+                sumY: sum(ys),
+                sumX2: sum(xs.map(x => x * x)),
+                sumY2: sum(ys.map(y => y * y)),
+                sumXY: sum(xs.map((x, k) => x * ys[k])),
+                meanX, meanY,
+                populationSDX: Math.sqrt(sxx / n),
+                populationSDY: Math.sqrt(syy / n),
+                sampleSDX: n > 1 ? Math.sqrt(sxx / (n - 1)) : null,
+                sampleSDY: n > 1 ? Math.sqrt(syy / (n - 1)) : null
+            };
+        },
+        
+        // 回归分析，返回系数 a、b（二次回归另有 c）与决定系数 r2
+        regression: function(kind, xs, ys) {
+            switch(kind) {
+                case 'linear':
+                    return this.linearFit(xs, ys);
+                case 'quadratic':
+                    return this.quadraticFit(xs, ys);
+                case 'exponential': {
+                    if (ys.some(y => y <= 0)) throw new CalculationError('指数回归要求 y 全部大于 0');
+                    // 对 ln y 作线性回归，r² 为线性化后的决定系数
+                    const fit = this.linearFit(xs, ys.map(Math.log));
+                    return { a: Math.exp(fit.a), b: fit.b, r2: fit.r2 };
+                }
+                default:
+                    throw new CalculationError(`未知回归类型: ${kind}`);
+            }
+        },
+        
+        // y = a + bx（最小二乘）
+        linearFit: function(xs, ys) {
+            const n = xs.length;
+            if (n < 2) throw new CalculationError('至少需要 2 组数据');
+            if (new Set(xs).size < 2) throw new CalculationError('x 至少要有 2 个不同的值');
+            
+            const meanX = xs.reduce((total, x) => total + x, 0) / n;
+            const meanY = ys.reduce((total, y) => total + y, 0) / n;
+            let sxx = 0;
+            let sxy = 0;
+            let syy = 0;
+            xs.forEach((x, k) => {
+                const dx = x - meanX;
+                const dy = ys[k] - meanY;
+                sxx += dx * dx;
+                sxy += dx * dy;
+                syy += dy * dy;
+            });
+            
+            const b = sxy / sxx;
+            return { a: meanY - b * meanX, b, r2: syy === 0 ? 1 : sxy * sxy / (sxx * syy) };
+        },
+        
+        // y = a + bx + cx²：以 x̄ 为中心解正规方程以减小舍入误差，再还原为 x 的系数
+        quadraticFit: function(xs, ys) {
+            const n = xs.length;
+            if (n < 3) throw new CalculationError('至少需要 3 组数据');
+            if (new Set(xs).size < 3) throw new CalculationError('x 至少要有 3 个不同的值');
+            
+            const meanX = xs.reduce((total, x) => total + x, 0) / n;
+            const meanY = ys.reduce((total, y) => total + y, 0) / n;
+            const us = xs.map(x => x - meanX);
+            const power = (p) => us.reduce((total, u) => total + u ** p, 0);
+            const moment = (p) => us.reduce((total, u, k) => total + u ** p * ys[k], 0);
+            
+            const { solution } = EquationSolver.solveLinearSystem(
+                [[n, power(1), power(2)], [power(1), power(2), power(3)], [power(2), power(3), power(4)]],
+                [moment(0), moment(1), moment(2)]
+            );
+            if (!solution) throw new CalculationError('x 至少要有 3 个不同的值');
+            const [a0, b0, c] = solution;
+            
+            let residual = 0;
+            let total = 0;
+            us.forEach((u, k) => {
+                residual += (ys[k] - (a0 + b0 * u + c * u * u)) ** 2;
+                total += (ys[k] - meanY) ** 2;
+            });
+            // 还原系数时相减的两项相差在舍入误差以内视为 0
+            const difference = (p, q) => Math.abs(p - q) <= 1e-12 * Math.max(Math.abs(p), Math.abs(q)) ? 0 : p - q;
+            return {
+                a: difference(a0 + c * meanX * meanX, b0 * meanX),
+                b: difference(b0, 2 * c * meanX),
+                c,
+                r2: total === 0 ? 1 : Math.max(0, 1 - residual / total)
+            };
+        }
+    };
+    
+    // 方程求解：四次以内的实系数多项式与线性方程组
+    const EquationSolver = {
+        // 相对误差在此以内视为零（判别式、重根）
+        EPSILON: 1e-12,
+        // 消元后主元相对系数的大小在此以内视为奇异
+        SINGULAR_TOLERANCE: 1e-10,
+        
+        // coefficients 从最高次项排到常数项，返回全部根（Complex），实根在前
+        polynomialRoots: function(coefficients) {
+            const coeffs = [...coefficients];
+            while (coeffs.length && coeffs[0] === 0) coeffs.shift();
+            if (coeffs.length === 0) throw new CalculationError('所有系数都为 0，任意数都是解');
+            if (coeffs.length === 1) throw new CalculationError('方程无解');
+            
+            // 常数项为 0 时先提出根 0
+            const roots = [];
+            while (coeffs[coeffs.length - 1] === 0) {
+                coeffs.pop();
+                roots.push(new Complex(0));
+            }
+            if (coeffs.length === 1) return roots;
+            
+            const monic = coeffs.slice(1).map(c => c / coeffs[0]);
+            const found = [null, this.linear, this.quadratic, this.cubic, this.quartic][monic.length].apply(this, monic);
+            found.forEach(root => roots.push(this.polish(coeffs, root)));
+            
+            return roots.sort((a, b) => (b.im === 0) - (a.im === 0) || a.re - b.re || b.im - a.im);
+        },
+        
+        // 以下求根函数的参数为首项系数化为 1 后其余各项的系数
+        linear: function(c) {
+            return [new Complex(-c)];
+        },
+        
+        quadratic: function(b, c) {
+            const discriminant = b * b - 4 * c;
+            if (Math.abs(discriminant) <= this.EPSILON * Math.max(b * b, Math.abs(4 * c))) {
+                return [new Complex(-b / 2), new Complex(-b / 2)];
+            }
+            if (discriminant > 0) {
+                // 先求绝对值较大的根，另一个由韦达定理得到，避免相近数相减
+                const q = -(b + (b < 0 ? -1 : 1) * Math.sqrt(discriminant)) / 2;
+                return [new Complex(q), new Complex(c / q)];
+            }
+            
+            const imaginary = Math.sqrt(-discriminant) / 2;
+            return [new Complex(-b / 2, imaginary), new Complex(-b / 2, -imaginary)];
+        },
+        
+        cubic: function(a, b, c) {
+            // 代换 x = t − a/3 得到 t³ + pt + q = 0
+            const shift = a / 3;
+            const p = b - a * a / 3;
+            const q = 2 * a * a * a / 27 - a * b / 3 + c;
+            const scale = Math.max(Math.abs(a), Math.sqrt(Math.abs(b)), Math.cbrt(Math.abs(c)));
+            const toRoot = (t) => new Complex(t - shift);
+            
+            if (Math.abs(p) <= this.EPSILON * scale * scale && Math.abs(q) <= this.EPSILON * scale ** 3) {
+                return [toRoot(0), toRoot(0), toRoot(0)];
+            }
+            
+            const discriminant = (q / 2) ** 2 + (p / 3) ** 3;
+            if (Math.abs(discriminant) <= this.EPSILON * Math.max((q / 2) ** 2, Math.abs(p / 3) ** 3)) {
+                // 一个单根与一个二重根
+                return [toRoot(3 * q / p), toRoot(-3 * q / (2 * p)), toRoot(-3 * q / (2 * p))];
+            }
+            
+            if (discriminant > 0) {
+                // 卡尔丹公式：取绝对值较大的立方根，另一个由 uv = −p/3 得到
+                const u = Math.cbrt(-q / 2 + (q > 0 ? -1 : 1) * Math.sqrt(discriminant));
+                const v = -p / (3 * u);
+                const re = -(u + v) / 2 - shift;
+                const im = Math.sqrt(3) / 2 * Math.abs(u - v);
+                return [toRoot(u + v), new Complex(re, im), new Complex(re, -im)];
+            }
+            
+            // 三个不等实根：三角解法
+            const r = 2 * Math.sqrt(-p / 3);
+            const phi = Math.acos(Math.max(-1, Math.min(1, 3 * q / (p * r))));
+            return [0, 1, 2].map(k => toRoot(r * Math.cos((phi - 2 * Math.PI * k) / 3)));
+        },
+        
+        quartic: function(a, b, c, d) {
+            // 代换 x = y − a/4 得到 y⁴ + Py² + Qy + R = 0
+            const shift = a / 4;
+            const P = b - 3 * a * a / 8;
+            const Q = c - a * b / 2 + a ** 3 / 8;
+            const R = d - a * c / 4 + a * a * b / 16 - 3 * a ** 4 / 256;
+            const scale = Math.max(Math.abs(a), Math.sqrt(Math.abs(b)), Math.cbrt(Math.abs(c)), Math.abs(d) ** 0.25);
+            const shiftRoots = (roots) => roots.map(root => new Complex(root.re - shift, root.im));
+            
+            if (Math.abs(Q) <= this.EPSILON * scale ** 3) {
+                // 双二次方程：先解 z = y²
+                const roots = [];
+                this.quadratic(P, R).forEach(z => {
+                    const y = z.sqrt();
+                    roots.push(y, y.negate());
+                });
+                return shiftRoots(roots);
+            }
+            
+            // 费拉里方法：预解三次方程 m³ + Pm² + (P²/4 − R)m − Q²/8 = 0 必有正实根，
+            // 取最大的实根 m 把四次式分解为两个实系数二次式
+            const m = Math.max(...this.cubic(P, P * P / 4 - R, -Q * Q / 8).filter(root => root.im === 0).map(root => root.re));
+            const s = Math.sqrt(2 * m);
+            return shiftRoots([
+                ...this.quadratic(-s, P / 2 + m + Q / (2 * s)),
+                ...this.quadratic(s, P / 2 + m - Q / (2 * s))
+            ]);
+        },
+        
+        // 秦九韶算法求多项式及其导数在 z 处的值
+        evaluate: function(coefficients, z) {
+            let value = new Complex(0);
+            let slope = new Complex(0);
+            coefficients.forEach(c => {
+                slope = slope.multiply(z).add(value);
+                value = value.multiply(z).add(new Complex(c));
+            });
+            return { value, slope };
+        },
+        
+        // 在原多项式上做几步牛顿迭代修正舍入误差，残差不再减小即停止
+        polish: function(coefficients, root) {
+            let { value, slope } = this.evaluate(coefficients, root);
+            for (let step = 0; step < 3 && !value.isZero() && !slope.isZero(); step++) {
+                const next = root.subtract(value.divide(slope));
+                const result = this.evaluate(coefficients, next);
+                if (!(result.value.abs() < value.abs())) break;
+                root = next;
+                ({ value, slope } = result);
+            }
+            return root;
+        },
+        
+        // 列主元高斯消元，返回系数矩阵的秩与唯一解；没有唯一解时 solution 为 null，consistent 区分无解与无穷多解
+        solveLinearSystem: function(matrix, vector) {
+            const size = vector.length;
+            const columns = matrix[0].length;
+            const rows = matrix.map((row, i) => [...row, vector[i]]);
+            const scale = Math.max(...matrix.flat().map(Math.abs), ...vector.map(Math.abs));
+            const tolerance = this.SINGULAR_TOLERANCE * scale;
+            
+            let rank = 0;
+            for (let col = 0; col < columns && rank < size; col++) {
+                let pivot = rank;
+                for (let row = rank + 1; row < size; row++) {
+                    if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+                }
+                if (Math.abs(rows[pivot][col]) <= tolerance) continue;
+                [rows[rank], rows[pivot]] = [rows[pivot], rows[rank]];
+                
+                for (let row = rank + 1; row < size; row++) {
+                    const factor = rows[row][col] / rows[rank][col];
+                    for (let k = col; k <= columns; k++) rows[row][k] -= factor * rows[rank][k];
+                }
+                rank++;
+            }
+            
+            // 消元后系数全为零的行，常数项不为零即矛盾
+            const consistent = rows.slice(rank).every(row => Math.abs(row[columns]) <= tolerance);
+            if (rank < columns || !consistent) return { rank, consistent, solution: null };
+            
+            const solution = new Array(columns);
+            for (let row = columns - 1; row >= 0; row--) {
+                let value = rows[row][columns];
+                for (let k = row + 1; k < columns; k++) value -= rows[row][k] * solution[k];
+                solution[row] = value / rows[row][row];
+            }
+            return { rank, consistent, solution };
+        }
+    };
+    
+    // 矩阵与向量运算：矩阵为按行排列的浮点数二维数组，向量为只有一行或一列的矩阵
+    const MatrixMath = {
+        size: function(matrix) {
+            return `${matrix.length}×${matrix[0].length}`;
+        },
+        
+        identity: function(n) {
+            return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? 1 : 0));
+        },
+        
+        checkSameSize: function(a, b) {
+            if (a.length !== b.length || a[0].length !== b[0].length) {
+                throw new CalculationError(`矩阵维数不同（${this.size(a)} 与 ${this.size(b)}）`);
+            }
+        },
+        
+        checkSquare: function(matrix, name) {
+            if (matrix.length !== matrix[0].length) throw new CalculationError(`${name}只对方阵有定义，当前为 ${this.size(matrix)}`);
+        },
+        
+        add: function(a, b) {
+            this.checkSameSize(a, b);
+            return a.map((row, i) => row.map((value, j) => value + b[i][j]));
+        },
+        
+        subtract: function(a, b) {
+            this.checkSameSize(a, b);
+            return a.map((row, i) => row.map((value, j) => value - b[i][j]));
+        },
+        
+        multiply: function(a, b) {
+            if (a[0].length !== b.length) {
+                throw new CalculationError(`左矩阵的列数（${a[0].length}）必须等于右矩阵的行数（${b.length}）`);
+            }
+            return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+        },
+        
+        transpose: function(matrix) {
+            return matrix[0].map((_, j) => matrix.map(row => row[j]));
+        },
+        
+        // Gauss–Jordan 消元（列主元），只在前 columns 列中选主元；主元相对最大元素小于容差视为 0
+        rref: function(matrix, columns = matrix[0].length) {
+            const rows = matrix.map(row => [...row]);
+            const width = rows[0].length;
+            const tolerance = EquationSolver.SINGULAR_TOLERANCE * Math.max(...matrix.flat().map(Math.abs));
+            
+            let rank = 0;
+            for (let col = 0; col < columns && rank < rows.length; col++) {
+                let pivot = rank;
+                for (let row = rank + 1; row < rows.length; row++) {
+                    if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+                }
+                if (Math.abs(rows[pivot][col]) <= tolerance) {
+                    for (let row = rank; row < rows.length; row++) rows[row][col] = 0;
+                    continue;
+                }
+                [rows[rank], rows[pivot]] = [rows[pivot], rows[rank]];
+                
+                const lead = rows[rank][col];
+                for (let k = 0; k < width; k++) rows[rank][k] /= lead;
+                rows.forEach((row, r) => {
+                    if (r === rank || row[col] === 0) return;
+                    const factor = row[col];
+                    for (let k = 0; k < width; k++) row[k] -= factor * rows[rank][k];
+                    row[col] = 0;
+                });
+                rank++;
+            }
+            return { matrix: rows, rank };
+        },
+        
+        rank: function(matrix) {
+            return this.rref(matrix).rank;
+        },
+        
+        // 列主元 LU 分解求行列式；秩不足时直接为 0，避免显示舍入残差
+        determinant: function(matrix) {
+            this.checkSquare(matrix, '行列式');
+            const n = matrix.length;
+            if (this.rank(matrix) < n) return 0;
+            
+            const rows = matrix.map(row => [...row]);
+            let determinant = 1;
+            for (let col = 0; col < n; col++) {
+                let pivot = col;
+                for (let row = col + 1; row < n; row++) {
+                    if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+                }
+                if (pivot !== col) {
+                    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+                    determinant = -determinant;
+                }
+                
+                determinant *= rows[col][col];
+                for (let row = col + 1; row < n; row++) {
+                    const factor = rows[row][col] / rows[col][col];
+                    for (let k = col; k < n; k++) rows[row][k] -= factor * rows[col][k];
+                }
+            }
+            return determinant;
+        },
+        
+        // 对增广矩阵 [A | I] 消元得到 [I | A⁻¹]
+        inverse: function(matrix) {
+            this.checkSquare(matrix, '逆矩阵');
+            const n = matrix.length;
+            const identity = this.identity(n);
+            const { matrix: reduced, rank } = this.rref(matrix.map((row, i) => [...row, ...identity[i]]), n);
+            if (rank < n) throw new CalculationError(`矩阵奇异（秩为 ${rank}），不可逆`);
+            return reduced.map(row => row.slice(n));
+        },
+        
+        // Faddeev–LeVerrier 算法，返回特征多项式 det(λI − A) 的系数（从最高次项排到常数项）
+        characteristicPolynomial: function(matrix) {
+            const n = matrix.length;
+            const coefficients = [1];
+            let m = matrix.map(row => row.map(() => 0));
+            
+            for (let k = 1; k <= n; k++) {
+                m = this.multiply(matrix, m).map((row, i) => row.map((value, j) => i === j ? value + coefficients[k - 1] : value));
+                const product = this.multiply(matrix, m);
+                coefficients.push(-product.reduce((trace, row, i) => trace + row[i], 0) / k);
+            }
+            return coefficients;
+        },
+        
+        // 特征值为特征多项式的根，借用方程求解器，因此只支持 4 阶以内
+        eigenvalues: function(matrix) {
+            this.checkSquare(matrix, '特征值');
+            if (matrix.length > 4) throw new CalculationError('特征值只支持 4 阶以内的方阵');
+            return EquationSolver.polynomialRoots(this.characteristicPolynomial(matrix));
+        },
+        
+        // 相对最大元素可忽略的舍入残差视为 0
+        clean: function(matrix) {
+            const scale = Math.max(...matrix.flat().map(Math.abs));
+            return matrix.map(row => row.map(value => Math.abs(value) <= EquationSolver.EPSILON * scale ? 0 : value));
+        },
+        
+        toVector: function(matrix, name) {
+            if (matrix.length === 1) return [...matrix[0]];
+            if (matrix[0].length === 1) return matrix.map(row => row[0]);
+            throw new CalculationError(`${name} 不是向量（${this.size(matrix)}），向量须为一行或一列`);
+        },
+        
+        checkSameLength: function(u, v) {
+            if (u.length !== v.length) throw new CalculationError(`向量长度不同（${u.length} 与 ${v.length}）`);
+        },
+        
+        dot: function(u, v) {
+            this.checkSameLength(u, v);
+            return u.reduce((sum, value, k) => sum + value * v[k], 0);
+        },
+        
+        // 三维向量的叉积为向量；二维向量返回标量（叉积的 z 分量）
+        cross: function(u, v) {
+            this.checkSameLength(u, v);
+            if (u.length === 2) return u[0] * v[1] - u[1] * v[0];
+            if (u.length !== 3) throw new CalculationError('叉积只对二维或三维向量有定义');
+            return [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        },
+        
+        norm: function(u) {
+            return Math.hypot(...u);
+        },
+        
+        // 夹角按 arithmetic 的角度单位给出，标准角为精确值
+        angle: function(u, v, arithmetic) {
+            this.checkSameLength(u, v);
+            const lengths = this.norm(u) * this.norm(v);
+            if (lengths === 0) throw new CalculationError('零向量与其他向量的夹角无定义');
+            
+            const cosine = Math.min(Math.max(this.dot(u, v) / lengths, -1), 1);
+            return arithmetic.applyFunction('acos', Math.abs(cosine) < EquationSolver.EPSILON ? 0 : cosine);
+        }
+    };
+    
+    // 函数图像：表达式编译、按间断分段采样，以及零点、极值点的数值求解
+    const Grapher = {
+        // 把 f(x) 表达式编译为函数；求值出错（如超出定义域）或结果不是有限数时返回 NaN
+        compile: function(text, angleUnit) {
+            const ast = ExpressionEngine.parse(ExpressionEngine.tokenize(text));
+            this.checkVariables(ast, 'x');
+            
+            const arithmetic = FloatArithmetic.withAngleUnit(angleUnit);
+            return (x) => {
+                try {
+                    const value = Number(ExpressionEngine.evaluate(ast, { arithmetic, variables: { x } }));
+                    return isFinite(value) ? value : NaN;
+                } catch (error) {
+                    if (error instanceof CalculationError) return NaN;
+                    throw error;
+                }
+            };
+        },
+        
+        // 只允许使用自变量 variable
+        checkVariables: function(node, variable) {
+            switch(node.type) {
+                case 'variable':
+                    if (node.name !== variable) throw new CalculationError(`未定义的变量: ${node.name}`);
+                    break;
+                case 'unary': case 'postfix':
+                    this.checkVariables(node.operand, variable);
+                    break;
+                case 'binary':
+                    this.checkVariables(node.left, variable);
+                    this.checkVariables(node.right, variable);
+                    break;
+                case 'call':
+                    node.args.forEach(arg => this.checkVariables(arg, variable));
+                    break;
+            }
+        },
+        
+        // 约 count 个刻度的整齐间距：1、2、5 × 10ⁿ
+        tickStep: function(range, count) {
+            const rough = range / Math.max(count, 1);
+            const power = 10 ** Math.floor(Math.log10(rough));
+            return [1, 2, 5, 10].find(m => m * power >= rough) * power;
+        },
+        
+        // 在 [xMin, xMax] 上等距取 count + 1 个点
+        sample: function(fn, xMin, xMax, count) {
+            const xs = [];
+            const ys = [];
+            for (let i = 0; i <= count; i++) {
+                const x = xMin + (xMax - xMin) * i / count;
+                xs.push(x);
+                ys.push(fn(x));
+            }
+            return { xs, ys };
+        },
+        
+        // 相邻两点之间是否间断：中点无定义，或中点远超两端（如 tan 的渐近线、1/x² 的极点）
+        // 两端相差很大时向变化更剧烈的一半继续细分
+        isJump: function(fn, x0, y0, x1, y1, height, depth = 0) {
+            const middle = (x0 + x1) / 2;
+            const value = fn(middle);
+            if (isNaN(value)) return true;
+            if (value > Math.max(y0, y1) + height || value < Math.min(y0, y1) - height) return true;
+            if (Math.abs(y1 - y0) <= height || depth >= 10) return false;
+            
+            return Math.abs(value - y0) > Math.abs(y1 - value)
+                ? this.isJump(fn, x0, y0, middle, value, height, depth + 1)
+                : this.isJump(fn, middle, value, x1, y1, height, depth + 1);
+        },
+        
+        // 在无定义点与间断处断开，得到若干连续的曲线段
+        segments: function(fn, samples, height) {
+            const { xs, ys } = samples;
+            const segments = [];
+            let current = [];
+            
+            xs.forEach((x, i) => {
+                const broken = isNaN(ys[i]) || (current.length > 0 && this.isJump(fn, xs[i - 1], ys[i - 1], x, ys[i], height));
+                if (broken && current.length) {
+                    segments.push(current);
+                    current = [];
+                }
+                if (!isNaN(ys[i])) current.push({ x, y: ys[i] });
+            });
+            if (current.length) segments.push(current);
+            return segments;
+        },
+        
+        // 采样值变号处用二分法求零点；跨越间断的变号（如 tan 的渐近线）不算
+        roots: function(fn, samples, height) {
+            const { xs, ys } = samples;
+            const roots = [];
+            
+            xs.forEach((x, i) => {
+                if (ys[i] === 0) {
+                    roots.push(x);
+                    return;
+                }
+                if (i === 0 || !(ys[i - 1] * ys[i] < 0)) return;
+                if (this.isJump(fn, xs[i - 1], ys[i - 1], x, ys[i], height)) return;
+                
+                const root = this.bisect(fn, xs[i - 1], x, ys[i - 1]);
+                if (Math.abs(fn(root)) <= 1e-6 * (1 + Math.min(Math.abs(ys[i - 1]), Math.abs(ys[i])))) roots.push(root);
+            });
+            return roots;
+        },
+        
+        bisect: function(fn, a, b, fa) {
+            for (let step = 0; step < 200; step++) {
+                const middle = (a + b) / 2;
+                if (middle === a || middle === b) break;
+                
+                const value = fn(middle);
+                if (value === 0) return middle;
+                if ((value < 0) === (fa < 0)) {
+                    a = middle;
+                    fa = value;
+                } else {
+                    b = middle;
+                }
+            }
+            return (a + b) / 2;
+        },
+        
+        // 采样值由升转降（或由降转升）处求极值点：先用中心差分的导数二分，导数不变号时用黄金分割搜索
+        extrema: function(fn, samples, height) {
+            const { xs, ys } = samples;
+            const points = [];
+            let lastSign = 0;
+            let start = 0;
+            
+            for (let i = 1; i < xs.length; i++) {
+                const difference = ys[i] - ys[i - 1];
+                if (isNaN(difference)) {
+                    lastSign = 0;
+                    continue;
+                }
+                if (difference === 0) continue;
+                
+                const sign = Math.sign(difference);
+                if (lastSign && sign !== lastSign && !this.hasJump(fn, samples, start, i, height)) {
+                    const maximum = lastSign > 0;
+                    const x = this.extremum(fn, xs[start], xs[i], maximum);
+                    const y = fn(x);
+                    if (!isNaN(y)) points.push({ x, y, kind: maximum ? 'max' : 'min' });
+                }
+                lastSign = sign;
+                start = i - 1;
+            }
+            return points;
+        },
+        
+        // 第 from 到第 to 个采样点之间是否有间断
+        hasJump: function(fn, samples, from, to, height) {
+            const { xs, ys } = samples;
+            for (let i = from + 1; i <= to; i++) {
+                if (this.isJump(fn, xs[i - 1], ys[i - 1], xs[i], ys[i], height)) return true;
+            }
+            return false;
+        },
+        
+        extremum: function(fn, a, b, maximum) {
+            const slope = (x) => {
+                const h = 1e-5 * Math.max(1, Math.abs(x));
+                return (fn(x + h) - fn(x - h)) / (2 * h);
+            };
+            const slopeA = slope(a);
+            if (slopeA * slope(b) < 0) return this.bisect(slope, a, b, slopeA);
+            
+            const ratio = (Math.sqrt(5) - 1) / 2;
+            const score = (x) => (maximum ? fn(x) : -fn(x));
+            let c = b - ratio * (b - a);
+            let d = a + ratio * (b - a);
+            let scoreC = score(c);
+            let scoreD = score(d);
+            for (let step = 0; step < 100 && c < d; step++) {
+                if (scoreC > scoreD) {
+                    b = d;
+                    d = c;
+                    scoreD = scoreC;
+                    c = b - ratio * (b - a);
+                    scoreC = score(c);
+                } else {
+                    a = c;
+                    c = d;
+                    scoreC = scoreD;
+                    d = a + ratio * (b - a);
+                    scoreD = score(d);
+                }
+            }
+            return (a + b) / 2;
+        },
+        
+        // 坐标显示 10 位有效数字，相对视野宽度可忽略的值视为 0
+        formatCoordinate: function(value, span) {
+            if (Math.abs(value) <= 1e-9 * span) value = 0;
+            return FloatArithmetic.toString(Number(value.toPrecision(10)));
+        }
+    };
+    
+    // 数值微积分：导数（Ridders 外推）、定积分（自适应 Gauss–Kronrod）与 Σ / Π
+    // 可能耗时的计算写成生成器，每算完一步 yield 一次，由调用方分段执行
+    const Calculus = {
+        // 15 点 Kronrod 节点（正半轴，最后一个为中点）及权重；下标为奇数的节点同时是 7 点 Gauss 节点
+        KRONROD_NODES: [
+            0.991455371120812639206854697526329, 0.949107912342758524526189684047851,
+            0.864864423359769072789712788640926, 0.741531185599394439863864773280788,
+            0.586087235467691130294144845693013, 0.405845151377397166906606412076961,
+            0.207784955007898467600689403773245, 0
+        ],
+        KRONROD_WEIGHTS: [
+            0.022935322010529224963732008058970, 0.063092092629978553290700663189204,
+            0.104790010322250183839876322541518, 0.140653259715525918745189590510238,
+            0.169004726639267902826583426598550, 0.190350578064785409913256402421014,
+            0.204432940075298892414161999234649, 0.209482141084727828012999174891714
+        ],
+        GAUSS_WEIGHTS: [
+            0.129484966168869693270611432679082, 0.279705391489276667901467771423780,
+            0.381830050505118944950369775488975, 0.417959183673469387755102040816327
+        ],
+        ABSOLUTE_TOLERANCE: 1e-12,
+        RELATIVE_TOLERANCE: 1e-10,
+        MAX_INTERVALS: 2000,
+        
+        // 编译只含约束变量 variable 的表达式，返回以 arithmetic 的数值为参数的函数
+        compile: function(text, variable, arithmetic) {
+            const ast = ExpressionEngine.parse(ExpressionEngine.tokenize(text));
+            Grapher.checkVariables(ast, variable);
+            return (value) => ExpressionEngine.evaluate(ast, { arithmetic, variables: { [variable]: value } });
+        },
+        
+        // 转为实数函数；出错或结果不是有限数时指明出错的位置
+        real: function(fn, variable) {
+            return (x) => {
+                let value;
+                try {
+                    value = Number(fn(x));
+                } catch (error) {
+                    if (!(error instanceof CalculationError)) throw error;
+                    throw new CalculationError(`在 ${variable} = ${FloatArithmetic.toString(x)} 处：${error.message}`);
+                }
+                if (!isFinite(value)) throw new CalculationError(`在 ${variable} = ${FloatArithmetic.toString(x)} 处：结果超出范围`);
+                return value;
+            };
+        },
+        
+        centralDifference: function(fn, x, h) {
+            return (fn(x + h) - fn(x - h)) / (2 * h);
+        },
+        
+        // Ridders 方法：步长逐次缩小 1.4 倍，对中心差商做 Richardson 外推，取误差估计最小的值
+        derivative: function(fn, x) {
+            fn(x);
+            
+            // 初始步长跨出定义域时缩小步长重试
+            let h = 0.1 * Math.max(Math.abs(x), 1);
+            let column;
+            for (let attempt = 0; !column; attempt++) {
+                try {
+                    column = [this.centralDifference(fn, x, h)];
+                } catch (error) {
+                    if (!(error instanceof CalculationError) || attempt >= 8) throw error;
+                    h /= 10;
+                }
+            }
+            
+            let value = column[0];
+            let error = Infinity;
+            for (let i = 1; i < 10; i++) {
+                h /= 1.4;
+                const next = [this.centralDifference(fn, x, h)];
+                let factor = 1.4 * 1.4;
+                for (let j = 1; j <= i; j++) {
+                    next[j] = (next[j - 1] * factor - column[j - 1]) / (factor - 1);
+                    factor *= 1.4 * 1.4;
+                    const estimate = Math.max(Math.abs(next[j] - next[j - 1]), Math.abs(next[j] - column[j - 1]));
+                    if (estimate <= error) {
+                        error = estimate;
+                        value = next[j];
+                    }
+                }
+                // 高阶外推的误差开始变大，说明舍入误差已占主导
+                if (Math.abs(next[i] - column[i - 1]) >= 2 * error) break;
+                column = next;
+            }
+            return { value, error };
+        },
+        
+        // [a, b] 上的 15 点 Gauss–Kronrod 积分；按 QUADPACK 的方式由 K15 与 G7 之差估计误差
+        gaussKronrod: function(fn, a, b) {
+            const center = (a + b) / 2;
+            const half = (b - a) / 2;
+            const pairs = this.KRONROD_NODES.slice(0, 7).map(node => [fn(center - half * node), fn(center + half * node)]);
+            const middle = fn(center);
+            
+            let kronrod = this.KRONROD_WEIGHTS[7] * middle;
+            let gauss = this.GAUSS_WEIGHTS[3] * middle;
+            let absolute = this.KRONROD_WEIGHTS[7] * Math.abs(middle);
+            pairs.forEach(([left, right], j) => {
+                kronrod += this.KRONROD_WEIGHTS[j] * (left + right);
+                absolute += this.KRONROD_WEIGHTS[j] * (Math.abs(left) + Math.abs(right));
+                if (j % 2 === 1) gauss += this.GAUSS_WEIGHTS[(j - 1) / 2] * (left + right);
+            });
+            
+            const mean = kronrod / 2;
+            let spread = this.KRONROD_WEIGHTS[7] * Math.abs(middle - mean);
+            pairs.forEach(([left, right], j) => {
+                spread += this.KRONROD_WEIGHTS[j] * (Math.abs(left - mean) + Math.abs(right - mean));
+            });
+            spread *= half;
+            
+            let error = Math.abs(kronrod - gauss) * half;
+            if (spread !== 0 && error !== 0) error = spread * Math.min(1, Math.pow(200 * error / spread, 1.5));
+            return { a, b, value: kronrod * half, error, absolute: absolute * half };
+        },
+        
+        // 全局自适应积分：每步二分误差最大的子区间，直到总误差满足容差
+        // 返回 { value, error, converged }；子区间过多或无法再分时 converged 为 false
+        integrate: function*(fn, a, b) {
+            if (a === b) return { value: 0, error: 0, converged: true };
+            if (a > b) {
+                const result = yield* this.integrate(fn, b, a);
+                return { ...result, value: -result.value };
+            }
+            
+            let intervals = [this.gaussKronrod(fn, a, b)];
+            const total = (key) => intervals.reduce((sum, interval) => sum + interval[key], 0);
+            let value = intervals[0].value;
+            let error = intervals[0].error;
+            
+            // 被积函数正负抵消时，精度受限于 ∫|f| 的舍入误差
+            while (error > Math.max(this.ABSOLUTE_TOLERANCE, this.RELATIVE_TOLERANCE * Math.abs(value), 50 * Number.EPSILON * total('absolute'))) {
+                const worst = intervals.reduce((best, interval, k) => interval.error > intervals[best].error ? k : best, 0);
+                const { a: left, b: right } = intervals[worst];
+                const middle = (left + right) / 2;
+                if (intervals.length >= this.MAX_INTERVALS || middle <= left || middle >= right) {
+                    return { value, error, converged: false };
+                }
+                
+                intervals = [
+                    ...intervals.slice(0, worst),
+                    this.gaussKronrod(fn, left, middle),
+                    this.gaussKronrod(fn, middle, right),
+                    ...intervals.slice(worst + 1)
+                ];
+                value = total('value');
+                error = total('error');
+                yield;
+            }
+            return { value, error, converged: true };
+        },
+        
+        // 约束变量取 from 到 to 的每个整数，用 arithmetic 累加（或累乘）各项；空区间的和为 0、积为 1
+        series: function*(fn, arithmetic, from, to, product) {
+            let result = arithmetic.fromString(product ? '1' : '0');
+            for (let n = from; n <= to; n++) {
+                const term = fn(arithmetic.fromString(String(n)));
+                result = product ? arithmetic.multiply(result, term) : arithmetic.add(result, term);
+                yield;
+            }
+            return result;
+        }
+    };
+    
+    // 日期计算：日期用 UTC 1970-01-01 起的天数表示，不受时区和夏令时影响
+    // 工作日为周一至周五中不在节假日列表里的日子
+    const DateCalculator = {
+        DAY_MS: 86400000,
+        WEEKDAYS: ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'],
+        
+        fromParts: function(year, month, date) {
+            return Math.round(Date.UTC(year, month - 1, date) / this.DAY_MS);
+        },
+        
+        // 本地时区的今天
+        today: function() {
+            const now = new Date();
+            return this.fromParts(now.getFullYear(), now.getMonth() + 1, now.getDate());
+        },
+        
+        // YYYY-MM-DD，无效日期（如 2月30日）返回 null
+        parse: function(text) {
+            const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(text).trim());
+            if (!match) return null;
+            
+            const [year, month, date] = match.slice(1).map(Number);
+            const day = this.fromParts(year, month, date);
+            const parts = this.parts(day);
+            return parts.year === year && parts.month === month && parts.date === date ? day : null;
+        },
+        
+        parts: function(day) {
+            const date = new Date(day * this.DAY_MS);
+            return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, date: date.getUTCDate() };
+        },
+        
+        format: function(day) {
+            const { year, month, date } = this.parts(day);
+            if (year < 1 || year > 9999) throw new CalculationError('日期超出范围（公元 1 – 9999 年）');
+            const pad = (n, width) => String(n).padStart(width, '0');
+            return `${pad(year, 4)}-${pad(month, 2)}-${pad(date, 2)}`;
+        },
+        
+        // 0 为星期日；1970-01-01 是星期四
+        weekday: function(day) {
+            return ((day + 4) % 7 + 7) % 7;
+        },
+        
+        // ISO 8601 周：周一为一周的第一天，包含该年第一个星期四的周为第 1 周
+        isoWeek: function(day) {
+            const thursday = day - (this.weekday(day) + 6) % 7 + 3;
+            const year = this.parts(thursday).year;
+            return { year, week: Math.floor((thursday - this.fromParts(year, 1, 1)) / 7) + 1 };
+        },
+        
+        dayOfYear: function(day) {
+            return day - this.fromParts(this.parts(day).year, 1, 1) + 1;
+        },
+        
+        // 加减月份，目标月没有这一天时取月末（如 1月31日 + 1 个月 = 2月28日或29日）
+        addMonths: function(day, months) {
+            const { year, month, date } = this.parts(day);
+            const index = year * 12 + month - 1 + months;
+            const targetYear = Math.floor(index / 12);
+            const targetMonth = index - targetYear * 12 + 1;
+            const lastDate = this.parts(this.fromParts(targetYear, targetMonth + 1, 0)).date;
+            return this.fromParts(targetYear, targetMonth, Math.min(date, lastDate));
+        },
+        
+        // 相差的整月数与剩余天数；end 早于 start 时两者都为负
+        monthDifference: function(start, end) {
+            if (end < start) {
+                const { months, days } = this.monthDifference(end, start);
+                return { months: -months, days: -days };
+            }
+            
+            const a = this.parts(start);
+            const b = this.parts(end);
+            let months = (b.year - a.year) * 12 + b.month - a.month;
+            if (this.addMonths(start, months) > end) months--;
+            return { months, days: end - this.addMonths(start, months) };
+        },
+        
+        isBusinessDay: function(day, holidays) {
+            const weekday = this.weekday(day);
+            return weekday !== 0 && weekday !== 6 && !holidays.has(day);
+        },
+        
+        // 包含首尾两天的工作日数；end 早于 start 时为负
+        businessDays: function(start, end, holidays) {
+            if (end < start) return -this.businessDays(end, start, holidays);
+            
+            const weeks = Math.floor((end - start + 1) / 7);
+            let count = weeks * 5;
+            for (let day = start + weeks * 7; day <= end; day++) {
+                const weekday = this.weekday(day);
+                if (weekday !== 0 && weekday !== 6) count++;
+            }
+            holidays.forEach(day => {
+                const weekday = this.weekday(day);
+                if (day >= start && day <= end && weekday !== 0 && weekday !== 6) count--;
+            });
+            return count;
+        },
+        
+        // 向前或向后数 amount 个工作日（起始日不计）
+        addBusinessDays: function(day, amount, holidays) {
+            const step = Math.sign(amount);
+            for (let remaining = Math.abs(amount); remaining > 0;) {
+                day += step;
+                if (this.isBusinessDay(day, holidays)) remaining--;
+            }
+            return day;
+        },
+        
+        add: function(day, amount, unit, holidays) {
+            switch(unit) {
+                case 'days': return day + amount;
+                case 'weeks': return day + amount * 7;
+                case 'months': return this.addMonths(day, amount);
+                case 'years': return this.addMonths(day, amount * 12);
+                case 'businessDays': return this.addBusinessDays(day, amount, holidays);
+            }
+        },
+        
+        // 节假日条目：单日或以 ~ 连接的区间；返回日期集合与无法识别的条目
+        parseHolidays: function(entries) {
+            const days = new Set();
+            const invalid = [];
+            
+            entries.forEach(entry => {
+                const [first, last = first] = entry.split(/\s*[~～至]\s*/);
+                const start = this.parse(first);
+                const end = this.parse(last);
+                if (start === null || end === null || end < start || end - start >= CONFIG.MAX_HOLIDAY_RANGE) {
+                    invalid.push(entry);
+                    return;
+                }
+                for (let day = start; day <= end; day++) days.add(day);
+            });
+            return { days, invalid };
+        }
+    };
+    
+    // 财务计算：现金流流入为正、流出为负（与金融计算器的约定一致）
+    // 利率参数为百分数，i 表示每期利率的小数形式
+    const Finance = {
+        SCHEDULE_COLUMNS: ['期数', '还款额', '利息', '本金', '剩余本金'],
+        
+        // 年利率按每年计息次数复利，再折算为每个付款周期的利率
+        periodicRate: function(annualRate, perYear, compounding) {
+            return Math.pow(1 + annualRate / 100 / compounding, compounding / perYear) - 1;
+        },
+        
+        annualRate: function(i, perYear, compounding) {
+            return compounding * (Math.pow(1 + i, perYear / compounding) - 1) * 100;
+        },
+        
+        // 年金现值系数 (1 − (1 + i)⁻ⁿ) / i，i 很小时用 expm1 / log1p 保持精度
+        annuityFactor: function(i, n) {
+            return i === 0 ? n : -Math.expm1(-n * Math.log1p(i)) / i;
+        },
+        
+        // TVM 方程左边：PV + PMT·(1 + i·k)·(1 − (1 + i)⁻ᴺ) / i + FV·(1 + i)⁻ᴺ，k 为期初付款时的 1
+        tvmBalance: function({ n, i, pv, pmt, fv, begin }) {
+            return pv + pmt * (1 + (begin ? i : 0)) * this.annuityFactor(i, n) + fv * Math.pow(1 + i, -n);
+        },
+        
+        // 已知其余四项求 unknown（n、i、pv、pmt、fv 之一）
+        solveTvm: function(unknown, values) {
+            const { n, i, pv, pmt, fv, begin } = values;
+            const due = 1 + (begin ? i : 0);
+            let result;
+            
+            switch(unknown) {
+                case 'pv':
+                    result = -(pmt * due * this.annuityFactor(i, n) + fv * Math.pow(1 + i, -n));
+                    break;
+                case 'fv':
+                    result = -(pv + pmt * due * this.annuityFactor(i, n)) * Math.pow(1 + i, n);
+                    break;
+                case 'pmt':
+                    if (n === 0) throw new CalculationError('期数不能为 0');
+                    result = -(pv + fv * Math.pow(1 + i, -n)) / (due * this.annuityFactor(i, n));
+                    break;
+                case 'n':
+                    if (i === 0) {
+                        if (pmt === 0) throw new CalculationError('利率和每期付款不能同时为 0');
+                        result = -(pv + fv) / pmt;
+                    } else {
+                        // (1 + i)⁻ᴺ = (PV + A) / (A − FV)，其中 A = PMT·(1 + i·k) / i
+                        const annuity = pmt * due / i;
+                        result = -Math.log((pv + annuity) / (annuity - fv)) / Math.log1p(i);
+                    }
+                    break;
+                case 'i':
+                    if (n <= 0) throw new CalculationError('求利率时期数必须大于 0');
+                    result = this.findRate(rate => this.tvmBalance({ ...values, i: rate }));
+                    if (result === null) throw new CalculationError('找不到满足条件的利率，请检查现金流的正负号');
+                    break;
+            }
+            
+            if (!isFinite(result) || (unknown === 'n' && result < 0)) {
+                throw new CalculationError('在这些条件下无解，请检查现金流的正负号');
+            }
+            return result;
+        },
+        
+        // 在 (−1, ∞) 内找 fn 的零点：从 0 向两侧扫描变号区间再二分，有多个零点时取最接近 0 的
+        findRate: function(fn) {
+            const f0 = fn(0);
+            if (f0 === 0) return 0;
+            
+            const roots = [];
+            [x => x, x => 1 / (1 + x) - 1].forEach(toRate => {
+                let a = 0;
+                let fa = f0;
+                for (let x = 1e-6; x <= 1e3; x *= 1.2) {
+                    const b = toRate(x);
+                    const fb = fn(b);
+                    if (!isFinite(fb)) break;
+                    if (fb === 0 || (fb < 0) !== (fa < 0)) {
+                        roots.push(fb === 0 ? b : Grapher.bisect(fn, a, b, fa));
+                        break;
+                    }
+                    a = b;
+                    fa = fb;
+                }
+            });
+            
+            if (!roots.length) return null;
+            return roots.reduce((best, root) => Math.abs(root) < Math.abs(best) ? root : best);
+        },
+        
+        // 还款计划：等额本息（每期还款相同）或等额本金（每期本金相同）；最后一期结清尾差
+        schedule: function(principal, annualRate, periods, perYear, method) {
+            const i = annualRate / 100 / perYear;
+            const payment = principal / this.annuityFactor(i, periods);
+            const rows = [];
+            let balance = principal;
+            
+            for (let period = 1; period <= periods; period++) {
+                const interest = balance * i;
+                let repaid = method === 'equalPrincipal' ? principal / periods : payment - interest;
+                if (period === periods) repaid = balance;
+                
+                balance -= repaid;
+                rows.push({ period, payment: repaid + interest, interest, principal: repaid, balance: Math.max(balance, 0) });
+            }
+            return rows;
+        },
+        
+        // 还款计划表格的文本（含表头），金额保留两位小数
+        scheduleTable: function(rows) {
+            return [
+                this.SCHEDULE_COLUMNS,
+                ...rows.map(row => [String(row.period), ...[row.payment, row.interest, row.principal, row.balance].map(value => value.toFixed(2))])
+            ];
+        },
+        
+        // 复利终值与实际年利率；frequency 为每年计息次数或 'continuous'（连续复利）
+        compound: function(principal, annualRate, years, frequency) {
+            const r = annualRate / 100;
+            const growth = frequency === 'continuous' ? Math.exp(r * years) : Math.pow(1 + r / frequency, frequency * years);
+            const effectiveRate = frequency === 'continuous' ? Math.expm1(r) : Math.pow(1 + r / frequency, frequency) - 1;
+            const amount = principal * growth;
+            return { amount, interest: amount - principal, effectiveRate: effectiveRate * 100 };
+        },
+        
+        // 净现值：第 0 期的现金流不折现
+        npv: function(i, flows) {
+            return flows.reduce((sum, flow, t) => sum + flow * Math.pow(1 + i, -t), 0);
+        },
+        
+        // 内部收益率；现金流没有变号时不存在
+        irr: function(flows) {
+            if (!flows.some(flow => flow > 0) || !flows.some(flow => flow < 0)) return null;
+            return this.findRate(i => this.npv(i, flows));
+        },
+        
+        // 累计现金流由负转为非负的期数，期内按线性插值；始终未回收时为 null
+        payback: function(flows, i = 0) {
+            let total = 0;
+            for (let t = 0; t < flows.length; t++) {
+                const flow = flows[t] * Math.pow(1 + i, -t);
+                if (total < 0 && total + flow >= 0) return t - 1 + -total / flow;
+                total += flow;
+            }
+            return null;
+        }
+    };
+    
+    // 涟漪效果池（优化DOM操作）
+    class RipplePool {
+        constructor() {
+            this.pool = [];
+            this.activeRipples = new Set();
+            this.maxPoolSize = 20;
+            this.initPool();
+        }
+        
+        initPool() {
+            for (let i = 0; i < this.maxPoolSize; i++) {
+                const ripple = document.createElement('div');
+                ripple.className = 'btn-ripple';
+                ripple.style.position = 'absolute';
+                ripple.style.pointerEvents = 'none';
+                ripple.style.zIndex = '0';
+                ripple.style.borderRadius = '50%';
+                ripple.style.transform = 'scale(0)';
+                this.pool.push(ripple);
+            }
+        }
+        
+        getRipple() {
+            if (this.pool.length > 0) {
+                return this.pool.pop();
+            }
+            // 如果池为空，创建新的
+            const ripple = document.createElement('div');
+            ripple.className = 'btn-ripple';
+            return ripple;
+        }
+        
+        returnRipple(ripple) {
+            if (this.pool.length < this.maxPoolSize) {
+                ripple.style.display = 'none';
+                ripple.style.opacity = '0';
+                ripple.style.transform = 'scale(0)';
+                this.pool.push(ripple);
+            } else {
+                // 如果池已满，直接移除DOM元素
+                if (ripple.parentNode) {
+                    ripple.parentNode.removeChild(ripple);
+                }
+            }
+        }
+        
+        createEffect(button, x, y, color, intensity, duration) {
+            const ripple = this.getRipple();
+            const rect = button.getBoundingClientRect();
+            
+            ripple.style.left = `${x - rect.left}px`;
+            ripple.style.top = `${y - rect.top}px`;
+            ripple.style.background = color;
+            ripple.style.opacity = intensity.toString();
+            ripple.style.animationDuration = `${duration}s`;
+            
+            button.appendChild(ripple);
+            this.activeRipples.add(ripple);
+            
+            // 显示涟漪
+            requestAnimationFrame(() => {
+                ripple.style.display = 'block';
+                ripple.style.animation = `ripple ${duration}s linear`;
+            });
+            
+            // 动画结束后回收
+            setTimeout(() => {
+                if (ripple.parentNode) {
+                    ripple.parentNode.removeChild(ripple);
+                }
+                this.activeRipples.delete(ripple);
+                this.returnRipple(ripple);
+            }, duration * 1000);
+        }
+        
+        cleanup() {
+            this.activeRipples.forEach(ripple => {
+                if (ripple.parentNode) {
+                    ripple.parentNode.removeChild(ripple);
+                }
+            });
+            this.activeRipples.clear();
+        }
+    }
+    
+    // 光点效果池
+    class LightSpotPool {
+        constructor(container) {
+            this.container = container;
+            this.pool = [];
+            this.activeSpots = new Set();
+            this.maxPoolSize = 15;
+            this.initPool();
+        }
+        
+        initPool() {
+            for (let i = 0; i < this.maxPoolSize; i++) {
+                const spot = document.createElement('div');
+                spot.className = 'light-spot';
+                spot.style.position = 'absolute';
+                spot.style.pointerEvents = 'none';
+                spot.style.zIndex = '1';
+                spot.style.borderRadius = '50%';
+                spot.style.opacity = '0';
+                this.pool.push(spot);
+            }
+        }
+        
+        createSpot(x, y, radius, intensity, duration, color) {
+            const spot = this.pool.length > 0 ? this.pool.pop() : document.createElement('div');
+            spot.className = 'light-spot';
+            
+            spot.style.left = `${x}px`;
+            spot.style.top = `${y}px`;
+            spot.style.width = `${radius}px`;
+            spot.style.height = `${radius}px`;
+            spot.style.background = `radial-gradient(circle, ${color}${Math.round(intensity * 255).toString(16).padStart(2, '0')} 0%, rgba(255, 255, 255, 0) 70%)`;
+            spot.style.setProperty('--ripple-radius', radius);
+            spot.style.setProperty('--ripple-intensity', intensity);
+            spot.style.setProperty('--ripple-duration', `${duration}s`);
+            
+            this.container.appendChild(spot);
+            this.activeSpots.add(spot);
+            
+            // 显示光点
+            requestAnimationFrame(() => {
+                spot.style.opacity = '1';
+                spot.style.animation = `lightPulse ${duration}s ease-out`;
+            });
+            
+            // 动画结束后回收
+            setTimeout(() => {
+                spot.style.opacity = '0';
+                setTimeout(() => {
+                    if (spot.parentNode === this.container) {
+                        this.container.removeChild(spot);
+                    }
+                    this.activeSpots.delete(spot);
+                    this.returnSpot(spot);
+                }, 50);
+            }, duration * 1000);
+        }
+        
+        returnSpot(spot) {
+            if (this.pool.length < this.maxPoolSize) {
+                this.pool.push(spot);
+            }
+        }
+        
+        cleanup() {
+            this.activeSpots.forEach(spot => {
+                if (spot.parentNode === this.container) {
+                    this.container.removeChild(spot);
+                }
+            });
+            this.activeSpots.clear();
+        }
+    }
+    
+    // 计算器核心类
+    class Calculator {
+        constructor() {
+            this.currentInput = '0';
+            this.previousInput = '';
+            this.operation = null;
+            this.resetScreen = false;
+            this.mode = 'standard';
+            // 已输入的表达式记号（不含正在输入的 currentInput）
+            this.expression = [];
+            // 是否正在等待下一个操作数（刚输入运算符或左括号）
+            this.awaitingOperand = false;
+            // 上一次运算的最后一个运算符与操作数（连续按等号时重复），以及 K 常数模式锁定的运算
+            this.lastOperation = null;
+            this.constantOperation = null;
+            // 分数模式下按 S⇔D 以小数显示的输入（currentInput 改变后自动恢复分数显示）
+            this.decimalViewOf = null;
+            // 科学模式的 INV / HYP 修饰键，作用于下一次 sin、cos、tan
+            this.inverseMode = false;
+            this.hyperbolicMode = false;
+            this.isScientific = false;
+            this.isFullscreen = false;
+            this.currentBase = 'dec';
+            this.history = [];
+            // 存储器与命名变量，数值统一保存为十进制字符串（分数模式下保存为精确分数）
+            this.memory = { register: null, variables: {} };
+            // 用户维护的汇率表与换算的两种货币
+            this.currencies = { ...CONFIG.DEFAULT_CURRENCIES, rates: { ...CONFIG.DEFAULT_CURRENCIES.rates } };
+            // 统计数据，数值保存为十进制字符串；双变量录入时先按 DATA 暂存 x
+            this.statistics = { ...CONFIG.DEFAULT_STATISTICS, single: [], paired: [] };
+            this.pendingStatisticsX = null;
+            // 函数图像：表达式（含编译结果）、视野范围、追踪位置与拖动状态
+            this.graph = { expressions: [], view: null, tracing: false, traceX: null, drag: null };
+            // 正在分段执行的耗时计算（{ cancelled }），同一时间只有一个
+            this.activeTask = null;
+            // 命名矩阵、正在编辑的矩阵与所选运算；matrixResult 为显示屏上的矩阵结果
+            this.matrices = { ...CONFIG.DEFAULT_MATRICES, slots: {} };
+            this.matrixResult = null;
+            // 日期计算的所选功能、推算单位与节假日条目
+            this.dates = { ...CONFIG.DEFAULT_DATES, holidays: [] };
+            // 财务计算的所选功能与最近一次算出的还款计划（用于导出）
+            this.finance = { ...CONFIG.DEFAULT_FINANCE };
+            this.financeSchedule = null;
+            // 快捷键：动作 → 按键列表；keyCapture 为正在录入新按键的动作
+            this.keymap = {};
+            this.keyCapture = null;
+            // 撤销与重做：undoState 为最近记录的状态（JSON），状态改变后把它压入撤销栈
+            this.undoStack = [];
+            this.redoStack = [];
+            this.undoState = null;
+            this.undoScheduled = false;
+            // 通知上的操作按钮（如“撤销”）与自动隐藏的计时器
+            this.notificationAction = null;
+            this.notificationTimer = null;
+            // 按 = 完成的表达式及其结果，结果仍在主行时显示在副显示行
+            this.completed = null;
+            this.promoteTimer = null;
+            
+            // 光效配置
+            this.effectsConfig = { ...CONFIG.DEFAULT_EFFECTS };
+            
+            // 计算设置
+            this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+            
+            // 性能优化对象
+            this.ripplePool = null;
+            this.lightSpotPool = null;
+            this.buttonGridMap = new Map();
+            this.buttonPositions = [];
+            this.gridColumns = 4;
+            
+            // DOM元素缓存
+            this.elements = {};
+            
+            // 初始化
+            this.init();
+        }
+        
+        init() {
+            this.cacheElements();
+            this.loadEffectsConfig();
+            this.loadSettings();
+            this.loadHistory();
+            this.loadMemory();
+            this.loadCurrencies();
+            this.loadStatistics();
+            this.loadMatrices();
+            this.loadDates();
+            this.loadFinance();
+            this.loadKeymap();
+            this.initEventListeners();
+            this.initPerformancePools();
+            this.initButtonGridMap();
+            this.updateDisplay();
+            this.updateCSSVariables();
+            this.updateSliderVisuals();
+            this.undoState = this.captureState();
+            
+            // 初始加载效果
+            setTimeout(() => {
+                this.showLoading(false);
+                this.showNotification('计算器已就绪');
+            }, 800);
+        }
+        
+        cacheElements() {
+            // 缓存所有DOM元素，减少DOM查询
+            this.elements = {
+                display: document.getElementById('display'),
+                exactCopyBtn: document.getElementById('exactCopyBtn'),
+                expressionLine: document.getElementById('expressionLine'),
+                previewLine: document.getElementById('previewLine'),
+                calculator: document.getElementById('calculator'),
+                lightField: document.getElementById('lightField'),
+                buttons: document.getElementById('buttons'),
+                moreOptions: document.getElementById('moreOptions'),
+                colorPanel: document.getElementById('colorPanel'),
+                effectSettingsPanel: document.getElementById('effectSettingsPanel'),
+                conversionPanel: document.getElementById('conversionPanel'),
+                historyPanel: document.getElementById('historyPanel'),
+                memoryBar: document.getElementById('memoryBar'),
+                memoryIndicator: document.getElementById('memoryIndicator'),
+                constantIndicator: document.getElementById('constantIndicator'),
+                variablesPanel: document.getElementById('variablesPanel'),
+                variablesList: document.getElementById('variablesList'),
+                clearVariablesBtn: document.getElementById('clearVariablesBtn'),
+                closeVariablesPanel: document.getElementById('closeVariablesPanel'),
+                historyBtn: document.getElementById('historyBtn'),
+                historyList: document.getElementById('historyList'),
+                historyEmpty: document.getElementById('historyEmpty'),
+                clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+                closeHistoryPanel: document.getElementById('closeHistoryPanel'),
+                unitsBtn: document.getElementById('unitsBtn'),
+                unitsPanel: document.getElementById('unitsPanel'),
+                closeUnitsPanel: document.getElementById('closeUnitsPanel'),
+                unitCategories: document.getElementById('unitCategories'),
+                unitFromValue: document.getElementById('unitFromValue'),
+                unitToValue: document.getElementById('unitToValue'),
+                unitFromSelect: document.getElementById('unitFromSelect'),
+                unitToSelect: document.getElementById('unitToSelect'),
+                unitSwapBtn: document.getElementById('unitSwapBtn'),
+                unitFormula: document.getElementById('unitFormula'),
+                currencyBtn: document.getElementById('currencyBtn'),
+                dateBtn: document.getElementById('dateBtn'),
+                datePanel: document.getElementById('datePanel'),
+                closeDatePanel: document.getElementById('closeDatePanel'),
+                toggleHolidaysBtn: document.getElementById('toggleHolidaysBtn'),
+                dateHolidays: document.getElementById('dateHolidays'),
+                dateHolidaysText: document.getElementById('dateHolidaysText'),
+                saveHolidaysBtn: document.getElementById('saveHolidaysBtn'),
+                dateTools: document.getElementById('dateTools'),
+                dateStart: document.getElementById('dateStart'),
+                dateEnd: document.getElementById('dateEnd'),
+                dateBase: document.getElementById('dateBase'),
+                dateSign: document.getElementById('dateSign'),
+                dateAmount: document.getElementById('dateAmount'),
+                dateUnit: document.getElementById('dateUnit'),
+                dateInfo: document.getElementById('dateInfo'),
+                dateResults: document.getElementById('dateResults'),
+                financeBtn: document.getElementById('financeBtn'),
+                financePanel: document.getElementById('financePanel'),
+                closeFinancePanel: document.getElementById('closeFinancePanel'),
+                financeTools: document.getElementById('financeTools'),
+                financeHint: document.getElementById('financeHint'),
+                financeResults: document.getElementById('financeResults'),
+                financeSchedule: document.getElementById('financeSchedule'),
+                exportScheduleBtn: document.getElementById('exportScheduleBtn'),
+                copyFormats: document.querySelectorAll('[data-copy-format]'),
+                copyValueBtn: document.getElementById('copyValueBtn'),
+                pasteValueBtn: document.getElementById('pasteValueBtn'),
+                openKeymapBtn: document.getElementById('openKeymapBtn'),
+                openKeySheetBtn: document.getElementById('openKeySheetBtn'),
+                keymapPanel: document.getElementById('keymapPanel'),
+                keymapList: document.getElementById('keymapList'),
+                closeKeymapPanel: document.getElementById('closeKeymapPanel'),
+                resetKeymapBtn: document.getElementById('resetKeymapBtn'),
+                showKeySheetBtn: document.getElementById('showKeySheetBtn'),
+                keySheet: document.getElementById('keySheet'),
+                keySheetGroups: document.getElementById('keySheetGroups'),
+                closeKeySheet: document.getElementById('closeKeySheet'),
+                printKeySheetBtn: document.getElementById('printKeySheetBtn'),
+                currencyPanel: document.getElementById('currencyPanel'),
+                closeCurrencyPanel: document.getElementById('closeCurrencyPanel'),
+                currencyFromValue: document.getElementById('currencyFromValue'),
+                currencyToValue: document.getElementById('currencyToValue'),
+                currencyFromSelect: document.getElementById('currencyFromSelect'),
+                currencyToSelect: document.getElementById('currencyToSelect'),
+                currencySwapBtn: document.getElementById('currencySwapBtn'),
+                currencyBase: document.getElementById('currencyBase'),
+                currencyUpdated: document.getElementById('currencyUpdated'),
+                currencyList: document.getElementById('currencyList'),
+                currencyCodeInput: document.getElementById('currencyCodeInput'),
+                currencyRateInput: document.getElementById('currencyRateInput'),
+                addCurrencyBtn: document.getElementById('addCurrencyBtn'),
+                toggleCurrencyImport: document.getElementById('toggleCurrencyImport'),
+                currencyImport: document.getElementById('currencyImport'),
+                currencyImportText: document.getElementById('currencyImportText'),
+                currencyImportFile: document.getElementById('currencyImportFile'),
+                importCurrencyBtn: document.getElementById('importCurrencyBtn'),
+                toolBar: document.getElementById('toolBar'),
+                businessBar: document.getElementById('businessBar'),
+                solverPanel: document.getElementById('solverPanel'),
+                closeSolverPanel: document.getElementById('closeSolverPanel'),
+                solverTypes: document.getElementById('solverTypes'),
+                solverSizes: document.getElementById('solverSizes'),
+                solverEquation: document.getElementById('solverEquation'),
+                solverInputs: document.getElementById('solverInputs'),
+                solveBtn: document.getElementById('solveBtn'),
+                solverResults: document.getElementById('solverResults'),
+                matrixResult: document.getElementById('matrixResult'),
+                matrixResultLabel: document.getElementById('matrixResultLabel'),
+                matrixResultGrid: document.getElementById('matrixResultGrid'),
+                matrixStoreSelect: document.getElementById('matrixStoreSelect'),
+                closeMatrixResult: document.getElementById('closeMatrixResult'),
+                matrixPanel: document.getElementById('matrixPanel'),
+                closeMatrixPanel: document.getElementById('closeMatrixPanel'),
+                clearMatrixBtn: document.getElementById('clearMatrixBtn'),
+                matrixSlots: document.getElementById('matrixSlots'),
+                matrixRowsSelect: document.getElementById('matrixRowsSelect'),
+                matrixColsSelect: document.getElementById('matrixColsSelect'),
+                matrixInputs: document.getElementById('matrixInputs'),
+                matrixOperationSelect: document.getElementById('matrixOperationSelect'),
+                matrixLeftSelect: document.getElementById('matrixLeftSelect'),
+                matrixRightSelect: document.getElementById('matrixRightSelect'),
+                matrixComputeBtn: document.getElementById('matrixComputeBtn'),
+                calculusPanel: document.getElementById('calculusPanel'),
+                closeCalculusPanel: document.getElementById('closeCalculusPanel'),
+                calculusKinds: document.getElementById('calculusKinds'),
+                calculusFormula: document.getElementById('calculusFormula'),
+                calculusExpression: document.getElementById('calculusExpression'),
+                calculusVariable: document.getElementById('calculusVariable'),
+                calculusFrom: document.getElementById('calculusFrom'),
+                calculusTo: document.getElementById('calculusTo'),
+                calculusBtn: document.getElementById('calculusBtn'),
+                calculusHint: document.getElementById('calculusHint'),
+                graphPanel: document.getElementById('graphPanel'),
+                closeGraphPanel: document.getElementById('closeGraphPanel'),
+                addGraphBtn: document.getElementById('addGraphBtn'),
+                graphExpressions: document.getElementById('graphExpressions'),
+                graphCanvas: document.getElementById('graphCanvas'),
+                graphTrace: document.getElementById('graphTrace'),
+                graphToolbar: document.getElementById('graphToolbar'),
+                graphTraceBtn: document.getElementById('graphTraceBtn'),
+                graphHint: document.getElementById('graphHint'),
+                graphPoints: document.getElementById('graphPoints'),
+                statisticsPanel: document.getElementById('statisticsPanel'),
+                closeStatisticsPanel: document.getElementById('closeStatisticsPanel'),
+                clearStatisticsBtn: document.getElementById('clearStatisticsBtn'),
+                statisticsList: document.getElementById('statisticsList'),
+                statisticsXInput: document.getElementById('statisticsXInput'),
+                statisticsSecondInput: document.getElementById('statisticsSecondInput'),
+                addStatisticsBtn: document.getElementById('addStatisticsBtn'),
+                statisticsResults: document.getElementById('statisticsResults'),
+                statisticsRegression: document.getElementById('statisticsRegression'),
+                regressionSelect: document.getElementById('regressionSelect'),
+                regressionEquation: document.getElementById('regressionEquation'),
+                regressionResults: document.getElementById('regressionResults'),
+                overlay: document.getElementById('overlay'),
+                closeColorPanel: document.getElementById('closeColorPanel'),
+                closeEffectPanel: document.getElementById('closeEffectPanel'),
+                closeConversionPanel: document.getElementById('closeConversionPanel'),
+                conversionInput: document.getElementById('conversionInput'),
+                conversionResult: document.getElementById('conversionResult'),
+                backArrow: document.getElementById('backArrow'),
+                fullscreenBtn: document.getElementById('fullscreenBtn'),
+                modeBtn: document.getElementById('modeBtn'),
+                currentMode: document.getElementById('currentMode'),
+                clearBtn: document.getElementById('clearBtn'),
+                deleteBtn: document.getElementById('deleteBtn'),
+                conversionBtn: document.getElementById('conversionBtn'),
+                baseIndicator: document.getElementById('baseIndicator'),
+                angleUnitBtn: document.getElementById('angleUnitBtn'),
+                inverseBtn: document.getElementById('inverseBtn'),
+                hyperbolicBtn: document.getElementById('hyperbolicBtn'),
+                trigButtons: document.querySelectorAll('[data-scientific="sin"], [data-scientific="cos"], [data-scientific="tan"]'),
+                notification: document.getElementById('notification'),
+                notificationContent: document.getElementById('notificationContent'),
+                notificationAction: document.getElementById('notificationAction'),
+                loading: document.getElementById('loading'),
+                loadingCancelBtn: document.getElementById('loadingCancelBtn'),
+                
+                // 光效设置元素
+                rippleColorRange: document.getElementById('rippleColorRange'),
+                rippleIntensityRange: document.getElementById('rippleIntensityRange'),
+                rippleRadiusRange: document.getElementById('rippleRadiusRange'),
+                rippleDurationRange: document.getElementById('rippleDurationRange'),
+                neighborRadiusRange: document.getElementById('neighborRadiusRange'),
+                rippleColorValue: document.getElementById('rippleColorValue'),
+                rippleIntensityValue: document.getElementById('rippleIntensityValue'),
+                rippleRadiusValue: document.getElementById('rippleRadiusValue'),
+                rippleDurationValue: document.getElementById('rippleDurationValue'),
+                neighborRadiusValue: document.getElementById('neighborRadiusValue'),
+                
+                // 程序员模式元素
+                programmerBar: document.getElementById('programmerBar'),
+                baseValues: document.querySelectorAll('.base-value'),
+                wordSizeBtn: document.getElementById('wordSizeBtn'),
+                signedBtn: document.getElementById('signedBtn'),
+                
+                // 统计模式元素
+                statisticsBar: document.getElementById('statisticsBar'),
+                statisticsCount: document.getElementById('statisticsCount'),
+                statisticsPending: document.getElementById('statisticsPending'),
+                statisticsKindBtn: document.getElementById('statisticsKindBtn'),
+                statisticsListBtn: document.getElementById('statisticsListBtn'),
+                statisticsDataBtn: document.getElementById('statisticsDataBtn'),
+                
+                // 计算设置元素
+                decimalModeToggle: document.getElementById('decimalModeToggle'),
+                fractionModeToggle: document.getElementById('fractionModeToggle'),
+                complexModeToggle: document.getElementById('complexModeToggle'),
+                complexPolarToggle: document.getElementById('complexPolarToggle'),
+                mixedFractionToggle: document.getElementById('mixedFractionToggle'),
+                decimalPrecisionRange: document.getElementById('decimalPrecisionRange'),
+                notations: document.querySelectorAll('[data-notation]'),
+                displayDecimalsRange: document.getElementById('displayDecimalsRange'),
+                displayDecimalsValue: document.getElementById('displayDecimalsValue'),
+                thousandsGroupingToggle: document.getElementById('thousandsGroupingToggle'),
+                baseGroupings: document.querySelectorAll('[data-base-grouping]'),
+                decimalPrecisionValue: document.getElementById('decimalPrecisionValue'),
+                
+                // 颜色选项
+                colorOptions: document.querySelectorAll('.color-option'),
+                
+                // 转换按钮
+                conversionBtns: document.querySelectorAll('.conversion-btn'),
+                
+                // 数学符号
+                mathSymbols: document.querySelectorAll('.math-symbol')
+            };
+        }
+        
+        initPerformancePools() {
+            this.ripplePool = new RipplePool();
+            this.lightSpotPool = new LightSpotPool(this.elements.lightField);
+        }
+        
+        initButtonGridMap() {
+            // 只统计当前模式下可见的按钮
+            const buttonElements = Array.from(this.elements.buttons.querySelectorAll('.btn'))
+                .filter(btn => window.getComputedStyle(btn).display !== 'none');
+            
+            this.gridColumns = CONFIG.MODES[this.mode].columns;
+            this.buttonGridMap.clear();
+            this.buttonPositions.length = 0;
+            
+            buttonElements.forEach((btn, index) => {
+                const row = Math.floor(index / this.gridColumns);
+                const col = index % this.gridColumns;
+                this.buttonGridMap.set(btn, {row, col, index});
+                this.buttonPositions.push({btn, row, col, index});
+            });
+        }
+        
+        initEventListeners() {
+            // 使用事件委托优化按钮点击
+            this.elements.buttons.addEventListener('click', (e) => {
+                const button = e.target.closest('.btn');
+                if (!button) return;
+                
+                e.stopPropagation();
+                this.handleButtonClick(button, e);
+            });
+            
+            // 数学符号点击
+            this.elements.mathSymbols.forEach(symbol => {
+                symbol.addEventListener('click', (e) => {
+                    this.handleMathSymbol(symbol, e);
+                });
+            });
+            
+            // 科学计算按钮（使用事件委托）
+            this.elements.buttons.addEventListener('click', (e) => {
+                const sciBtn = e.target.closest('.scientific-btn');
+                if (sciBtn && this.isScientific) {
+                    e.stopPropagation();
+                    this.handleScientificButton(sciBtn, e);
+                }
+            });
+            
+            // 切换角度单位
+            this.elements.angleUnitBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cycleAngleUnit();
+            });
+            
+            // 复制被缩写的完整整数
+            this.elements.exactCopyBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.copyExactValue();
+            });
+            
+            // 程序员模式：切换进制
+            this.elements.baseValues.forEach(item => {
+                item.addEventListener('click', () => {
+                    this.setBase(item.getAttribute('data-base'));
+                });
+            });
+            
+            // 程序员模式：字长与符号
+            this.elements.wordSizeBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.wordSizeBtn, e, () => {
+                    this.cycleWordSize();
+                });
+            });
+            
+            this.elements.signedBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.signedBtn, e, () => {
+                    this.toggleSigned();
+                });
+            });
+            
+            // 统计模式：数据类型、数据表与 DATA 键
+            this.elements.statisticsKindBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.statisticsKindBtn, e, () => {
+                    this.toggleStatisticsKind();
+                });
+            });
+            
+            this.elements.statisticsListBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.statisticsListBtn, e, () => {
+                    this.openStatisticsPanel();
+                });
+            });
+            
+            this.elements.statisticsDataBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.statisticsDataBtn, e, () => {
+                    this.enterStatisticsData();
+                });
+            });
+            
+            // 更多选项
+            this.elements.moreOptions.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.moreOptions, e, () => {
+                    this.elements.effectSettingsPanel.classList.add('show');
+                    this.elements.overlay.classList.add('show');
+                });
+            });
+            
+            // 进制转换
+            this.elements.conversionBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.conversionBtn, e, () => {
+                    this.elements.conversionInput.value = this.currentInput;
+                    this.elements.conversionPanel.classList.add('show');
+                    this.elements.overlay.classList.add('show');
+                });
+            });
+            
+            // 历史记录
+            this.elements.historyBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.historyBtn, e, () => {
+                    this.renderHistory();
+                    this.elements.historyPanel.classList.add('show');
+                    this.elements.overlay.classList.add('show');
+                });
+            });
+            
+            // 点击算式载入整个表达式，点击其余部分载入结果
+            this.elements.historyList.addEventListener('click', (e) => {
+                const item = e.target.closest('.history-item');
+                if (!item) return;
+                
+                const entry = this.history[parseInt(item.getAttribute('data-index'))];
+                if (e.target.closest('.history-expression')) {
+                    this.recallExpression(entry);
+                } else {
+                    this.recallResult(entry);
+                }
+                this.closePanel(this.elements.historyPanel);
+            });
+            
+            this.elements.clearHistoryBtn.addEventListener('click', () => {
+                this.clearHistory();
+            });
+            
+            // 单位换算
+            this.elements.unitsBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.unitsBtn, e, () => {
+                    this.openUnitsPanel();
+                });
+            });
+            
+            this.elements.unitCategories.addEventListener('click', (e) => {
+                const chip = e.target.closest('.unit-category');
+                if (chip) this.selectUnitCategory(chip.getAttribute('data-category'));
+            });
+            
+            // 两侧输入框都可编辑，换算方向随输入的一侧而定
+            this.elements.unitFromValue.addEventListener('input', () => this.updateUnitConversion('from'));
+            this.elements.unitToValue.addEventListener('input', () => this.updateUnitConversion('to'));
+            
+            this.elements.unitFromSelect.addEventListener('change', (e) => {
+                this.setUnitSelection({ from: e.target.value });
+                this.updateUnitConversion('from');
+            });
+            
+            this.elements.unitToSelect.addEventListener('change', (e) => {
+                this.setUnitSelection({ to: e.target.value });
+                this.updateUnitConversion('from');
+            });
+            
+            this.elements.unitSwapBtn.addEventListener('click', () => {
+                this.swapUnits();
+            });
+            
+            // 把某一侧的换算结果填入计算器
+            this.elements.unitsPanel.addEventListener('click', (e) => {
+                const apply = e.target.closest('.unit-apply');
+                if (apply) this.applyUnitValue(apply.getAttribute('data-side'));
+            });
+            
+            // 汇率换算
+            this.elements.currencyBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.currencyBtn, e, () => {
+                    this.openCurrencyPanel();
+                });
+            });
+            
+            this.elements.dateBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.dateBtn, e, () => {
+                    this.openDatePanel();
+                });
+            });
+            
+            this.elements.closeDatePanel.addEventListener('click', () => {
+                this.closePanel(this.elements.datePanel);
+            });
+            
+            this.elements.dateTools.addEventListener('click', (e) => {
+                const chip = e.target.closest('.solver-chip');
+                if (chip) this.selectDateTool(chip.getAttribute('data-tool'));
+            });
+            
+            // 修改任一日期或数量后立即重新计算
+            ['input', 'change'].forEach(type => {
+                this.elements.datePanel.querySelectorAll('.date-section').forEach(section => {
+                    section.addEventListener(type, () => {
+                        this.dates.unit = this.elements.dateUnit.value;
+                        this.saveDates();
+                        this.renderDateResults();
+                    });
+                });
+            });
+            
+            this.elements.dateResults.addEventListener('click', (e) => {
+                const result = e.target.closest('.result-item[data-value]');
+                if (result) this.applyResultValue(this.elements.datePanel, result.getAttribute('data-label'), result.getAttribute('data-value'));
+            });
+            
+            this.elements.toggleHolidaysBtn.addEventListener('click', () => {
+                this.elements.dateHolidays.classList.toggle('show');
+            });
+            
+            this.elements.saveHolidaysBtn.addEventListener('click', () => {
+                this.saveHolidays(this.elements.dateHolidaysText.value);
+            });
+            
+            this.elements.financeBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.financeBtn, e, () => {
+                    this.openFinancePanel();
+                });
+            });
+            
+            this.elements.closeFinancePanel.addEventListener('click', () => {
+                this.closePanel(this.elements.financePanel);
+            });
+            
+            this.elements.financeTools.addEventListener('click', (e) => {
+                const chip = e.target.closest('.solver-chip');
+                if (chip) this.selectFinanceTool(chip.getAttribute('data-tool'));
+            });
+            
+            // 修改任一输入后保存并重新计算
+            ['input', 'change'].forEach(type => {
+                this.elements.financePanel.querySelectorAll('.finance-section').forEach(section => {
+                    section.addEventListener(type, () => {
+                        this.saveFinance();
+                        this.renderFinanceResults();
+                    });
+                });
+            });
+            
+            this.elements.financePanel.addEventListener('click', (e) => {
+                const solve = e.target.closest('[data-solve]');
+                if (solve) this.solveTvm(solve.getAttribute('data-solve'));
+            });
+            
+            this.elements.financeResults.addEventListener('click', (e) => {
+                const result = e.target.closest('.result-item[data-value]');
+                if (result) this.applyResultValue(this.elements.financePanel, result.getAttribute('data-label'), result.getAttribute('data-value'));
+            });
+            
+            this.elements.exportScheduleBtn.addEventListener('click', () => {
+                this.exportSchedule();
+            });
+            
+            // 剪贴板：复制格式与复制、粘贴按钮
+            this.elements.copyFormats.forEach(chip => {
+                chip.addEventListener('click', () => {
+                    this.selectCopyFormat(chip.getAttribute('data-copy-format'));
+                });
+            });
+            
+            this.elements.copyValueBtn.addEventListener('click', () => {
+                this.copyValue();
+            });
+            
+            this.elements.pasteValueBtn.addEventListener('click', () => {
+                this.pasteValue();
+            });
+            
+            // 快捷键设置与速查表
+            this.elements.openKeymapBtn.addEventListener('click', () => {
+                this.openKeymapPanel();
+            });
+            
+            this.elements.openKeySheetBtn.addEventListener('click', () => {
+                this.openKeySheet();
+            });
+            
+            this.elements.closeKeymapPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.keymapPanel);
+            });
+            
+            this.elements.resetKeymapBtn.addEventListener('click', () => {
+                this.resetKeymap();
+            });
+            
+            this.elements.showKeySheetBtn.addEventListener('click', () => {
+                this.openKeySheet();
+            });
+            
+            this.elements.keymapList.addEventListener('click', (e) => {
+                const item = e.target.closest('.keymap-item');
+                if (!item) return;
+                
+                const id = item.getAttribute('data-key-action');
+                const key = e.target.closest('.keymap-key');
+                if (key) {
+                    this.removeKeyBinding(id, key.getAttribute('data-combo'));
+                } else if (e.target.closest('.keymap-add')) {
+                    this.startKeyCapture(id);
+                }
+            });
+            
+            this.elements.closeKeySheet.addEventListener('click', () => {
+                this.closeKeySheet();
+            });
+            
+            this.elements.printKeySheetBtn.addEventListener('click', () => {
+                this.printKeySheet();
+            });
+            
+            this.elements.currencyFromValue.addEventListener('input', () => this.updateCurrencyConversion('from'));
+            this.elements.currencyToValue.addEventListener('input', () => this.updateCurrencyConversion('to'));
+            
+            this.elements.currencyFromSelect.addEventListener('change', (e) => {
+                this.currencies.from = e.target.value;
+                this.saveCurrencies();
+                this.updateCurrencyConversion('from');
+            });
+            
+            this.elements.currencyToSelect.addEventListener('change', (e) => {
+                this.currencies.to = e.target.value;
+                this.saveCurrencies();
+                this.updateCurrencyConversion('from');
+            });
+            
+            this.elements.currencySwapBtn.addEventListener('click', () => {
+                this.swapCurrencies();
+            });
+            
+            this.elements.currencyUpdated.addEventListener('change', (e) => {
+                this.currencies.updated = e.target.value;
+                this.saveCurrencies();
+            });
+            
+            // 汇率表：修改汇率、设为基准、删除
+            this.elements.currencyList.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('currency-rate')) return;
+                const code = e.target.closest('.currency-item').getAttribute('data-code');
+                this.setCurrencyRate(code, e.target.value);
+            });
+            
+            this.elements.currencyList.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-action]');
+                if (!action) return;
+                
+                const code = action.closest('.currency-item').getAttribute('data-code');
+                if (action.getAttribute('data-action') === 'base') {
+                    this.setBaseCurrency(code);
+                } else {
+                    this.deleteCurrency(code);
+                }
+            });
+            
+            this.elements.addCurrencyBtn.addEventListener('click', () => {
+                this.setCurrencyRate(this.elements.currencyCodeInput.value, this.elements.currencyRateInput.value);
+            });
+            
+            this.elements.toggleCurrencyImport.addEventListener('click', () => {
+                this.elements.currencyImport.classList.toggle('show');
+            });
+            
+            // 选择文件时读入文本框，确认后再导入
+            this.elements.currencyImportFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                
+                const reader = new FileReader();
+                reader.onload = () => {
+                    this.elements.currencyImportText.value = reader.result;
+                };
+                reader.readAsText(file);
+            });
+            
+            this.elements.importCurrencyBtn.addEventListener('click', () => {
+                this.importCurrencyRates(this.elements.currencyImportText.value);
+            });
+            
+            this.elements.currencyPanel.addEventListener('click', (e) => {
+                const apply = e.target.closest('.unit-apply');
+                if (apply) this.applyCurrencyValue(apply.getAttribute('data-side'));
+            });
+            
+            // 统计数据表：修改或删除数据项
+            this.elements.statisticsList.addEventListener('change', (e) => {
+                const field = e.target.getAttribute('data-field');
+                if (!field) return;
+                const index = parseInt(e.target.closest('.statistics-item').getAttribute('data-index'));
+                this.updateStatisticsEntry(index, field, e.target.value);
+            });
+            
+            this.elements.statisticsList.addEventListener('click', (e) => {
+                const remove = e.target.closest('[data-action="delete"]');
+                if (remove) this.deleteStatisticsEntry(parseInt(remove.closest('.statistics-item').getAttribute('data-index')));
+            });
+            
+            this.elements.addStatisticsBtn.addEventListener('click', () => {
+                this.addStatisticsEntry(this.elements.statisticsXInput.value, this.elements.statisticsSecondInput.value);
+            });
+            
+            this.elements.clearStatisticsBtn.addEventListener('click', () => {
+                this.clearStatistics();
+            });
+            
+            this.elements.regressionSelect.addEventListener('change', (e) => {
+                this.statistics.regression = e.target.value;
+                this.saveStatistics();
+                this.renderStatisticsResults();
+            });
+            
+            // 点击统计结果填入计算器
+            this.elements.statisticsPanel.addEventListener('click', (e) => {
+                const result = e.target.closest('.result-item[data-value]');
+                if (result) this.applyResultValue(this.elements.statisticsPanel, result.getAttribute('data-label'), result.getAttribute('data-value'));
+            });
+            
+            // 科学模式工具键
+            this.elements.toolBar.addEventListener('click', (e) => {
+                const key = e.target.closest('.tool-key');
+                if (!key) return;
+                
+                this.handleButtonEffect(key, e, () => {
+                    this.handleToolKey(key.getAttribute('data-tool'));
+                });
+            });
+            
+            // 标准模式商用键：税率、加税、除税、百分比变化与利润率
+            this.elements.businessBar.addEventListener('click', (e) => {
+                const key = e.target.closest('.business-key');
+                if (!key) return;
+                
+                this.handleButtonEffect(key, e, () => {
+                    this.handleBusinessKey(key.getAttribute('data-business'));
+                });
+            });
+            
+            // 方程求解：选择类型与规模，回车或按“求解”计算
+            this.elements.solverTypes.addEventListener('click', (e) => {
+                const chip = e.target.closest('.solver-chip');
+                if (chip) this.selectSolver({ type: chip.getAttribute('data-type') });
+            });
+            
+            this.elements.solverSizes.addEventListener('click', (e) => {
+                const chip = e.target.closest('.solver-chip');
+                if (chip) this.selectSolver({ size: parseInt(chip.getAttribute('data-size')) });
+            });
+            
+            this.elements.solverInputs.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.solveEquation();
+            });
+            
+            this.elements.solveBtn.addEventListener('click', () => {
+                this.solveEquation();
+            });
+            
+            this.elements.solverResults.addEventListener('click', (e) => {
+                const result = e.target.closest('.result-item[data-value]');
+                if (result) this.applyResultValue(this.elements.solverPanel, result.getAttribute('data-label'), result.getAttribute('data-value'));
+            });
+            
+            // 数值微积分：选择类型，回车或按“计算”求值
+            this.elements.calculusKinds.addEventListener('click', (e) => {
+                const chip = e.target.closest('.solver-chip');
+                if (chip) this.selectCalculusKind(chip.getAttribute('data-kind'));
+            });
+            
+            this.elements.calculusPanel.addEventListener('input', () => {
+                this.updateCalculusFormula();
+            });
+            
+            this.elements.calculusPanel.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.tagName === 'INPUT') this.computeCalculus();
+            });
+            
+            this.elements.calculusBtn.addEventListener('click', () => {
+                this.computeCalculus();
+            });
+            
+            this.elements.loadingCancelBtn.addEventListener('click', () => {
+                this.cancelTask();
+            });
+            
+            // 通知上的操作按钮
+            this.elements.notificationAction.addEventListener('click', () => {
+                const action = this.notificationAction;
+                if (!action) return;
+                this.hideNotification();
+                action.handler();
+            });
+            
+            // 矩阵：选择、改变大小与编辑元素
+            this.elements.matrixSlots.addEventListener('click', (e) => {
+                const chip = e.target.closest('.solver-chip');
+                if (chip) this.selectMatrix(chip.getAttribute('data-matrix'));
+            });
+            
+            [this.elements.matrixRowsSelect, this.elements.matrixColsSelect].forEach(select => {
+                select.addEventListener('change', () => {
+                    this.resizeMatrix(parseInt(this.elements.matrixRowsSelect.value), parseInt(this.elements.matrixColsSelect.value));
+                });
+            });
+            
+            this.elements.matrixInputs.addEventListener('input', (e) => {
+                const row = parseInt(e.target.getAttribute('data-row'));
+                const col = parseInt(e.target.getAttribute('data-col'));
+                this.matrices.slots[this.matrices.active].values[row][col] = e.target.value;
+                this.saveMatrices();
+            });
+            
+            this.elements.clearMatrixBtn.addEventListener('click', () => {
+                this.clearMatrix();
+            });
+            
+            // 矩阵运算：所选运算与运算对象
+            [this.elements.matrixOperationSelect, this.elements.matrixLeftSelect, this.elements.matrixRightSelect].forEach(select => {
+                select.addEventListener('change', () => {
+                    this.matrices.operation = this.elements.matrixOperationSelect.value;
+                    this.matrices.left = this.elements.matrixLeftSelect.value;
+                    this.matrices.right = this.elements.matrixRightSelect.value;
+                    this.saveMatrices();
+                    this.renderMatrixOperation();
+                });
+            });
+            
+            this.elements.matrixComputeBtn.addEventListener('click', () => {
+                this.computeMatrix();
+            });
+            
+            // 显示屏上的矩阵结果：点击元素填入计算器，或存入命名矩阵
+            this.elements.matrixResultGrid.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const cell = e.target.closest('.matrix-cell[data-value]');
+                if (!cell) return;
+                this.applyResultValue(this.elements.matrixPanel, cell.getAttribute('data-label'), cell.getAttribute('data-value'));
+                this.hideMatrixResult();
+            });
+            
+            this.elements.matrixStoreSelect.addEventListener('change', () => {
+                const name = this.elements.matrixStoreSelect.value;
+                this.elements.matrixStoreSelect.value = '';
+                if (name) this.storeMatrixResult(name);
+            });
+            
+            this.elements.closeMatrixResult.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideMatrixResult();
+            });
+            
+            // 函数图像：编辑表达式
+            this.elements.graphExpressions.addEventListener('input', (e) => {
+                if (!e.target.classList.contains('graph-input')) return;
+                const index = parseInt(e.target.closest('.graph-expression').getAttribute('data-index'));
+                this.setGraphExpression(index, e.target.value);
+            });
+            
+            this.elements.graphExpressions.addEventListener('click', (e) => {
+                const remove = e.target.closest('[data-action="delete"]');
+                if (remove) this.removeGraphExpression(parseInt(remove.closest('.graph-expression').getAttribute('data-index')));
+            });
+            
+            this.elements.addGraphBtn.addEventListener('click', () => {
+                this.addGraphExpression();
+            });
+            
+            // 拖动平移、滚轮缩放；追踪模式下拖动改为移动追踪线
+            const canvas = this.elements.graphCanvas;
+            canvas.addEventListener('pointerdown', (e) => {
+                canvas.setPointerCapture(e.pointerId);
+                this.graph.drag = { x: e.offsetX, y: e.offsetY };
+                if (this.graph.tracing) this.traceGraphAt(e.offsetX);
+            });
+            
+            canvas.addEventListener('pointermove', (e) => {
+                if (this.graph.tracing) {
+                    if (this.graph.drag || e.pointerType === 'mouse') this.traceGraphAt(e.offsetX);
+                } else if (this.graph.drag) {
+                    this.panGraph(e.offsetX - this.graph.drag.x, e.offsetY - this.graph.drag.y);
+                    this.graph.drag = { x: e.offsetX, y: e.offsetY };
+                }
+            });
+            
+            ['pointerup', 'pointercancel'].forEach(type => {
+                canvas.addEventListener(type, () => {
+                    this.graph.drag = null;
+                });
+            });
+            
+            canvas.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                this.zoomGraph(e.deltaY < 0 ? 1 / CONFIG.GRAPH_ZOOM_STEP : CONFIG.GRAPH_ZOOM_STEP, e.offsetX, e.offsetY);
+            }, { passive: false });
+            
+            this.elements.graphToolbar.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-graph-action]');
+                if (!action) return;
+                
+                const { width, height } = this.graphSize();
+                switch(action.getAttribute('data-graph-action')) {
+                    case 'zoom-in':
+                        this.zoomGraph(1 / CONFIG.GRAPH_ZOOM_STEP, width / 2, height / 2);
+                        break;
+                    case 'zoom-out':
+                        this.zoomGraph(CONFIG.GRAPH_ZOOM_STEP, width / 2, height / 2);
+                        break;
+                    case 'reset':
+                        this.resetGraphView();
+                        this.drawGraph();
+                        break;
+                    case 'trace':
+                        this.toggleGraphTrace();
+                        break;
+                }
+            });
+            
+            // 点击零点、极值点或交点，把横坐标填入计算器
+            this.elements.graphPoints.addEventListener('click', (e) => {
+                const result = e.target.closest('.result-item[data-value]');
+                if (result) this.applyResultValue(this.elements.graphPanel, result.getAttribute('data-label'), result.getAttribute('data-value'));
+            });
+            
+            // 存储器按键
+            this.elements.memoryBar.addEventListener('click', (e) => {
+                const key = e.target.closest('.memory-key');
+                if (!key) return;
+                
+                this.handleButtonEffect(key, e, () => {
+                    this.handleMemoryKey(key.getAttribute('data-memory'));
+                });
+            });
+            
+            // 命名变量：存入或调用
+            this.elements.variablesList.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-action]');
+                if (!action) return;
+                
+                const name = action.closest('.variable-item').getAttribute('data-variable');
+                if (action.getAttribute('data-action') === 'store') {
+                    this.storeVariable(name);
+                } else {
+                    this.recallVariable(name);
+                }
+            });
+            
+            this.elements.clearVariablesBtn.addEventListener('click', () => {
+                this.memory.variables = {};
+                this.saveMemory();
+                this.renderVariables();
+                this.showNotification('变量已全部清除');
+            });
+            
+            // 转换按钮
+            this.elements.conversionBtns.forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.handleConversion(btn);
+                });
+            });
+            
+            // 颜色选项
+            this.elements.colorOptions.forEach(option => {
+                option.addEventListener('click', () => {
+                    this.handleColorOption(option);
+                });
+            });
+            
+            // 关闭面板
+            this.elements.closeColorPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.colorPanel);
+            });
+            
+            this.elements.closeEffectPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.effectSettingsPanel);
+            });
+            
+            this.elements.closeConversionPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.conversionPanel);
+            });
+            
+            this.elements.closeHistoryPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.historyPanel);
+            });
+            
+            this.elements.closeVariablesPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.variablesPanel);
+            });
+            
+            this.elements.closeUnitsPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.unitsPanel);
+            });
+            
+            this.elements.closeCurrencyPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.currencyPanel);
+            });
+            
+            this.elements.closeStatisticsPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.statisticsPanel);
+            });
+            
+            this.elements.closeSolverPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.solverPanel);
+            });
+            
+            this.elements.closeGraphPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.graphPanel);
+            });
+            
+            this.elements.closeCalculusPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.calculusPanel);
+            });
+            
+            this.elements.closeMatrixPanel.addEventListener('click', () => {
+                this.closePanel(this.elements.matrixPanel);
+            });
+            
+            // 遮罩层点击
+            this.elements.overlay.addEventListener('click', () => {
+                this.closeAllPanels();
+            });
+            
+            // 返回箭头
+            this.elements.backArrow.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.backArrow, e, () => {
+                    this.showNotification('返回主界面');
+                });
+            });
+            
+            // 全屏按钮
+            this.elements.fullscreenBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.fullscreenBtn, e, () => {
+                    this.toggleFullscreen();
+                });
+            });
+            
+            // 模式切换
+            this.elements.modeBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.modeBtn, e, () => {
+                    this.toggleMode();
+                });
+            });
+            
+            // 清除按钮
+            this.elements.clearBtn.addEventListener('click', (e) => {
+                this.handleButtonEffect(this.elements.clearBtn, e, () => {
+                    this.clear();
+                });
+            });
+            
+            // 删除按钮（优化长按）
+            this.setupDeleteButton();
+            
+            // 在显示屏上左滑撤销、右滑重做
+            this.setupUndoGesture();
+            
+            // 小数点按钮
+            document.getElementById('decimalBtn').addEventListener('click', (e) => {
+                const btn = document.getElementById('decimalBtn');
+                this.handleButtonEffect(btn, e, () => {
+                    this.addDecimal();
+                });
+            });
+            
+            // 等号按钮
+            document.getElementById('equalsBtn').addEventListener('click', (e) => {
+                const btn = document.getElementById('equalsBtn');
+                this.handleButtonEffect(btn, e, () => {
+                    this.calculate();
+                });
+            });
+            
+            // 光效设置滑块
+            this.setupEffectSliders();
+            
+            // 计算设置
+            this.setupCalculationSettings();
+            
+            // 键盘支持
+            this.setupKeyboardSupport();
+            
+            // 窗口调整
+            window.addEventListener('resize', PerformanceUtils.debounce(() => {
+                this.adjustLayout();
+                this.fitDisplay();
+            }, CONFIG.DEBOUNDE_DELAY));
+            
+            // 全屏变化监听
+            document.addEventListener('fullscreenchange', () => {
+                this.isFullscreen = !!document.fullscreenElement;
+                document.body.classList.toggle('fullscreen', this.isFullscreen);
+            });
+        }
+        
+        setupDeleteButton() {
+            let deleteLongPressTimer = null;
+            let isDeleteLongPress = false;
+            
+            const handleShortPress = () => {
+                this.deleteLastCharacter();
+            };
+            
+            const handleLongPress = () => {
+                isDeleteLongPress = true;
+                this.clear();
+                this.showNotification('已全部清除', 5000, { label: '撤销', handler: () => this.undo() });
+                this.elements.deleteBtn.classList.add('vibrate');
+                setTimeout(() => this.elements.deleteBtn.classList.remove('vibrate'), 150);
+            };
+            
+            // 鼠标事件
+            this.elements.deleteBtn.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+                isDeleteLongPress = false;
+                deleteLongPressTimer = setTimeout(handleLongPress, 500);
+            });
+            
+            this.elements.deleteBtn.addEventListener('mouseup', (e) => {
+                e.stopPropagation();
+                clearTimeout(deleteLongPressTimer);
+                
+                if (!isDeleteLongPress) {
+                    this.handleButtonEffect(this.elements.deleteBtn, e, handleShortPress);
+                }
+                
+                isDeleteLongPress = false;
+            });
+            
+            this.elements.deleteBtn.addEventListener('mouseleave', () => {
+                clearTimeout(deleteLongPressTimer);
+                isDeleteLongPress = false;
+            });
+            
+            // 触摸事件
+            this.elements.deleteBtn.addEventListener('touchstart', (e) => {
+                e.stopPropagation();
+                isDeleteLongPress = false;
+                deleteLongPressTimer = setTimeout(handleLongPress, 300);
+            });
+            
+            this.elements.deleteBtn.addEventListener('touchend', (e) => {
+                e.stopPropagation();
+                clearTimeout(deleteLongPressTimer);
+                
+                if (!isDeleteLongPress) {
+                    this.handleButtonEffect(this.elements.deleteBtn, e, handleShortPress);
+                }
+                
+                isDeleteLongPress = false;
+            });
+        }
+        
+        setupEffectSliders() {
+            // 涟漪颜色
+            this.elements.rippleColorRange.addEventListener('input', PerformanceUtils.throttle((e) => {
+                const hue = parseInt(e.target.value);
+                this.effectsConfig.rippleColor = `hsl(${hue}, 100%, 50%)`;
+                this.effectsConfig.glowColor = this.effectsConfig.rippleColor;
+                this.elements.rippleColorValue.textContent = `Hue: ${hue}°`;
+                this.updateCSSVariables();
+                this.updateSliderVisuals();
+                this.saveEffectsConfig();
+                
+                // 更新颜色选项活动状态
+                this.elements.colorOptions.forEach(opt => opt.classList.remove('active'));
+            }, 50));
+            
+            // 涟漪强度
+            this.elements.rippleIntensityRange.addEventListener('input', PerformanceUtils.throttle((e) => {
+                const value = parseInt(e.target.value);
+                this.effectsConfig.rippleIntensity = value / 100;
+                this.elements.rippleIntensityValue.textContent = `${value}%`;
+                this.updateCSSVariables();
+                this.updateSliderVisuals();
+                this.saveEffectsConfig();
+            }, 50));
+            
+            // 涟漪半径
+            this.elements.rippleRadiusRange.addEventListener('input', PerformanceUtils.throttle((e) => {
+                const value = parseInt(e.target.value);
+                this.effectsConfig.rippleRadius = value;
+                this.elements.rippleRadiusValue.textContent = `${value}px`;
+                this.updateCSSVariables();
+                this.updateSliderVisuals();
+                this.saveEffectsConfig();
+            }, 50));
+            
+            // 涟漪持续时间
+            this.elements.rippleDurationRange.addEventListener('input', PerformanceUtils.throttle((e) => {
+                const value = parseInt(e.target.value);
+                this.effectsConfig.rippleDuration = value / 10;
+                this.elements.rippleDurationValue.textContent = `${this.effectsConfig.rippleDuration.toFixed(1)}s`;
+                this.updateCSSVariables();
+                this.updateSliderVisuals();
+                this.saveEffectsConfig();
+            }, 50));
+            
+            // 相邻按钮影响范围
+            this.elements.neighborRadiusRange.addEventListener('input', PerformanceUtils.throttle((e) => {
+                const value = parseInt(e.target.value);
+                this.effectsConfig.neighborRadius = value;
+                this.elements.neighborRadiusValue.textContent = `${value}`;
+                this.updateSliderVisuals();
+                this.saveEffectsConfig();
+            }, 50));
+        }
+        
+        setupCalculationSettings() {
+            // 精确小数模式
+            this.elements.decimalModeToggle.addEventListener('change', (e) => {
+                this.setCalculationMode('decimalMode', e.target.checked);
+                this.showNotification(this.settings.decimalMode
+                    ? `已开启精确小数模式（${this.settings.decimalPrecision}位有效数字）`
+                    : '已关闭精确小数模式');
+            });
+            
+            // 分数模式（与精确小数、复数模式互斥）
+            this.elements.fractionModeToggle.addEventListener('change', (e) => {
+                this.setCalculationMode('fractionMode', e.target.checked);
+                this.showNotification(e.target.checked ? '已开启分数模式' : '已关闭分数模式');
+            });
+            
+            // 带分数显示：5/3 显示为 1 2/3
+            this.elements.mixedFractionToggle.addEventListener('change', (e) => {
+                this.settings.mixedFractions = e.target.checked;
+                this.saveSettings();
+                
+                // 重新显示已算出的分数结果
+                if (this.isFractionActive() && this.resetScreen && this.currentInput.includes('/')) {
+                    const arithmetic = this.getArithmetic();
+                    this.currentInput = arithmetic.toString(arithmetic.fromString(this.currentInput));
+                    this.updateDisplay();
+                }
+            });
+            
+            // 复数模式
+            this.elements.complexModeToggle.addEventListener('change', (e) => {
+                this.setCalculationMode('complexMode', e.target.checked);
+                this.showNotification(e.target.checked ? '已开启复数模式' : '已关闭复数模式');
+            });
+            
+            // 复数以极坐标 r∠θ 显示，θ 使用当前角度单位
+            this.elements.complexPolarToggle.addEventListener('change', (e) => {
+                const from = this.getArithmetic();
+                this.settings.complexPolar = e.target.checked;
+                this.saveSettings();
+                
+                if (this.isComplexActive()) {
+                    this.convertEntries(from, this.getArithmetic());
+                    this.updateDisplay();
+                }
+            });
+            
+            // 有效位数
+            this.elements.decimalPrecisionRange.addEventListener('input', PerformanceUtils.throttle((e) => {
+                const value = parseInt(e.target.value);
+                this.settings.decimalPrecision = value;
+                this.elements.decimalPrecisionValue.textContent = `${value}`;
+                this.updateSliderVisuals();
+                this.saveSettings();
+            }, 50));
+            
+            // 显示格式
+            this.elements.notations.forEach(chip => {
+                chip.addEventListener('click', () => {
+                    this.setDisplayFormat({ notation: chip.getAttribute('data-notation') });
+                });
+            });
+            
+            this.elements.displayDecimalsRange.addEventListener('input', PerformanceUtils.throttle((e) => {
+                this.setDisplayFormat({ displayDecimals: parseInt(e.target.value) });
+                this.updateSliderVisuals();
+            }, 50));
+            
+            this.elements.thousandsGroupingToggle.addEventListener('change', (e) => {
+                this.setDisplayFormat({ thousandsGrouping: e.target.checked });
+            });
+            
+            this.elements.baseGroupings.forEach(chip => {
+                chip.addEventListener('click', () => {
+                    this.setDisplayFormat({ baseGrouping: chip.getAttribute('data-base-grouping') });
+                });
+            });
+        }
+        
+        setupKeyboardSupport() {
+            document.addEventListener('keydown', (e) => {
+                // 正在录入新的快捷键
+                if (this.keyCapture && this.elements.keymapPanel.classList.contains('show')) {
+                    this.captureKey(e);
+                    return;
+                }
+                this.keyCapture = null;
+                
+                const key = e.key;
+                if (e.repeat) return;
+                // Esc 依次用于取消耗时计算、关闭速查表、关闭面板
+                if (key === 'Escape' && this.activeTask) {
+                    this.cancelTask();
+                    return;
+                }
+                if (key === 'Escape' && this.elements.keySheet.classList.contains('show')) {
+                    this.closeKeySheet();
+                    return;
+                }
+                if (key === 'Escape' && this.elements.overlay.classList.contains('show')) {
+                    this.closeAllPanels();
+                    return;
+                }
+                // 面板输入框中的按键以及面板打开时的按键不作为计算器按键
+                if (e.target.closest && e.target.closest('input, textarea, select')) return;
+                if (this.elements.overlay.classList.contains('show') || this.elements.keySheet.classList.contains('show')) return;
+                
+                const action = this.findKeyAction(this.keyComboFromEvent(e));
+                if (!action) return;
+                
+                e.preventDefault();
+                this.runKeyAction(action);
+            });
+            
+            // 没有选中文字时复制显示值；输入框以外的粘贴送入计算器
+            document.addEventListener('copy', (e) => {
+                if (e.target.closest && e.target.closest('input, textarea, select')) return;
+                if (String(window.getSelection()) !== '') return;
+                
+                const text = this.copyText(this.settings.copyFormat);
+                if (text === null) return;
+                e.preventDefault();
+                e.clipboardData.setData('text/plain', text);
+                this.showNotification(`已复制: ${text}`);
+            });
+            
+            document.addEventListener('paste', (e) => {
+                if (e.target.closest && e.target.closest('input, textarea, select')) return;
+                if (this.elements.overlay.classList.contains('show') || this.elements.keySheet.classList.contains('show')) return;
+                
+                e.preventDefault();
+                this.pasteText(e.clipboardData.getData('text/plain'));
+            });
+        }
+        
+        // 按键事件 → 按键写法；带 Ctrl、Alt 或 Meta 时字母和数字按物理键位（e.code）取，避免 macOS 上 Alt 组合变成特殊字符
+        keyComboFromEvent(e) {
+            if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+            
+            const chord = e.ctrlKey || e.altKey || e.metaKey;
+            let key = e.key === ' ' ? 'Space' : e.key;
+            if (chord) {
+                const match = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '');
+                if (match) key = match[1] || match[2];
+                else if (key.length === 1) key = key.toUpperCase();
+            }
+            
+            const modifiers = [];
+            if (e.ctrlKey) modifiers.push('Ctrl');
+            if (e.altKey) modifiers.push('Alt');
+            if (e.shiftKey && (chord || key.length > 1)) modifiers.push('Shift');
+            if (e.metaKey) modifiers.push('Meta');
+            return [...modifiers, key].join('+');
+        }
+        
+        formatKeyCombo(combo) {
+            const names = { Escape: 'Esc', Delete: 'Del', Insert: 'Ins' };
+            return combo.replace(/(^|\+)(Escape|Delete|Insert)$/, (match, separator, key) => separator + names[key]);
+        }
+        
+        keyActionModes(id) {
+            return CONFIG.KEY_ACTIONS[id].modes || Object.keys(CONFIG.MODES);
+        }
+        
+        // 名称后注明只在部分模式下生效，如 sin（科学）
+        keyActionLabel(id) {
+            const action = CONFIG.KEY_ACTIONS[id];
+            if (!action.modes) return action.label;
+            return `${action.label}（${action.modes.map(mode => CONFIG.MODES[mode].label).join('/')}）`;
+        }
+        
+        // 当前模式下绑定了 combo 的动作
+        findKeyAction(combo) {
+            if (!combo) return null;
+            return Object.keys(this.keymap).find(id => this.keymap[id].includes(combo) && this.keyActionModes(id).includes(this.mode)) || null;
+        }
+        
+        // keymap 中与 id 有共同生效模式、且已使用 combo 的其他动作
+        findKeyConflict(keymap, id, combo) {
+            const modes = this.keyActionModes(id);
+            return Object.keys(keymap).find(other => other !== id && keymap[other].includes(combo) &&
+                this.keyActionModes(other).some(mode => modes.includes(mode))) || null;
+        }
+        
+        runKeyAction(id) {
+            const action = CONFIG.KEY_ACTIONS[id];
+            if (action.method) {
+                this[action.method]();
+                return;
+            }
+            
+            const button = document.querySelector(action.target);
+            if (!button) return;
+            button.click();
+            
+            // 视觉反馈
+            button.style.transform = 'translateY(1px) scale(0.98)';
+            setTimeout(() => {
+                button.style.transform = '';
+            }, 150);
+        }
+        
+        // 读取自定义快捷键，丢弃冲突的按键；没有保存过的动作使用默认按键（已被占用的除外）
+        loadKeymap() {
+            const saved = StorageManager.load(CONFIG.KEYMAP_KEY) || {};
+            const keymap = {};
+            const unsaved = [];
+            
+            Object.keys(CONFIG.KEY_ACTIONS).forEach(id => {
+                if (!Array.isArray(saved[id])) {
+                    unsaved.push(id);
+                    return;
+                }
+                keymap[id] = [];
+                saved[id].forEach(combo => {
+                    if (typeof combo !== 'string' || combo === '' || keymap[id].includes(combo)) return;
+                    if (!this.findKeyConflict(keymap, id, combo)) keymap[id].push(combo);
+                });
+            });
+            unsaved.forEach(id => {
+                keymap[id] = CONFIG.KEY_ACTIONS[id].keys.filter(combo => !this.findKeyConflict(keymap, id, combo));
+            });
+            
+            this.keymap = keymap;
+        }
+        
+        saveKeymap() {
+            StorageManager.save(CONFIG.KEYMAP_KEY, this.keymap);
+        }
+        
+        openKeymapPanel() {
+            this.closeAllPanels();
+            this.keyCapture = null;
+            this.renderKeymap();
+            this.elements.keymapPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+        }
+        
+        // 按分组列出动作及其按键，点击按键删除，点击 + 录入新按键
+        renderKeymap() {
+            const fragment = document.createDocumentFragment();
+            let group = null;
+            
+            Object.entries(CONFIG.KEY_ACTIONS).forEach(([id, action]) => {
+                if (action.group !== group) {
+                    group = action.group;
+                    const title = document.createElement('div');
+                    title.className = 'keymap-group';
+                    title.textContent = group;
+                    fragment.appendChild(title);
+                }
+                
+                const item = document.createElement('div');
+                item.className = 'keymap-item';
+                item.setAttribute('data-key-action', id);
+                
+                const label = document.createElement('span');
+                label.className = 'keymap-label';
+                label.textContent = this.keyActionLabel(id);
+                
+                const keys = document.createElement('div');
+                keys.className = 'keymap-keys';
+                this.keymap[id].forEach(combo => {
+                    const key = document.createElement('span');
+                    key.className = 'keymap-key';
+                    key.setAttribute('data-combo', combo);
+                    key.title = '点击删除';
+                    key.textContent = this.formatKeyCombo(combo);
+                    keys.appendChild(key);
+                });
+                
+                const add = document.createElement('span');
+                add.className = 'keymap-add';
+                add.classList.toggle('capturing', this.keyCapture === id);
+                add.textContent = this.keyCapture === id ? '请按键…' : '+';
+                
+                item.append(label, keys, add);
+                fragment.appendChild(item);
+            });
+            
+            this.elements.keymapList.innerHTML = '';
+            this.elements.keymapList.appendChild(fragment);
+        }
+        
+        startKeyCapture(id) {
+            this.keyCapture = id;
+            this.renderKeymap();
+        }
+        
+        // 录入新按键：Esc 取消；按键已被同一模式下的其他动作使用时提示冲突，不绑定
+        captureKey(e) {
+            const combo = this.keyComboFromEvent(e);
+            if (!combo) return;
+            
+            e.preventDefault();
+            const id = this.keyCapture;
+            this.keyCapture = null;
+            
+            if (combo === 'Escape') {
+                this.renderKeymap();
+                return;
+            }
+            
+            const conflict = this.findKeyConflict(this.keymap, id, combo);
+            if (conflict) {
+                this.showNotification(`${this.formatKeyCombo(combo)} 已用于「${this.keyActionLabel(conflict)}」`);
+            } else if (!this.keymap[id].includes(combo)) {
+                this.keymap[id].push(combo);
+                this.saveKeymap();
+                this.showNotification(`「${CONFIG.KEY_ACTIONS[id].label}」已绑定 ${this.formatKeyCombo(combo)}`);
+            }
+            this.renderKeymap();
+        }
+        
+        removeKeyBinding(id, combo) {
+            this.keymap[id] = this.keymap[id].filter(item => item !== combo);
+            this.saveKeymap();
+            this.renderKeymap();
+            this.showNotification(`已删除「${CONFIG.KEY_ACTIONS[id].label}」的按键 ${this.formatKeyCombo(combo)}`);
+        }
+        
+        resetKeymap() {
+            this.keymap = {};
+            Object.entries(CONFIG.KEY_ACTIONS).forEach(([id, action]) => {
+                this.keymap[id] = [...action.keys];
+            });
+            this.keyCapture = null;
+            this.saveKeymap();
+            this.renderKeymap();
+            this.showNotification('已恢复默认快捷键');
+        }
+        
+        // 速查表：按分组列出全部快捷键，可以打印
+        openKeySheet() {
+            const groups = new Map();
+            Object.entries(CONFIG.KEY_ACTIONS).forEach(([id, action]) => {
+                if (!groups.has(action.group)) groups.set(action.group, []);
+                groups.get(action.group).push(id);
+            });
+            
+            const fragment = document.createDocumentFragment();
+            groups.forEach((ids, name) => {
+                const group = document.createElement('div');
+                group.className = 'key-sheet-group';
+                
+                const title = document.createElement('div');
+                title.className = 'keymap-group';
+                title.textContent = name;
+                group.appendChild(title);
+                
+                ids.forEach(id => {
+                    const row = document.createElement('div');
+                    row.className = 'key-sheet-row';
+                    
+                    const label = document.createElement('span');
+                    label.textContent = this.keyActionLabel(id);
+                    
+                    const keys = document.createElement('span');
+                    keys.className = 'key-sheet-keys';
+                    keys.textContent = this.keymap[id].map(combo => this.formatKeyCombo(combo)).join(' / ') || '—';
+                    
+                    row.append(label, keys);
+                    group.appendChild(row);
+                });
+                fragment.appendChild(group);
+            });
+            
+            this.elements.keySheetGroups.innerHTML = '';
+            this.elements.keySheetGroups.appendChild(fragment);
+            this.elements.keySheet.classList.add('show');
+        }
+        
+        closeKeySheet() {
+            this.elements.keySheet.classList.remove('show');
+        }
+        
+        // 打印时只保留速查表
+        printKeySheet() {
+            document.body.classList.add('printing-key-sheet');
+            window.print();
+            document.body.classList.remove('printing-key-sheet');
+        }
+        
+        // 加载光效配置
+        loadEffectsConfig() {
+            const savedConfig = StorageManager.load(CONFIG.STORAGE_KEY);
+            if (savedConfig) {
+                this.effectsConfig = { ...CONFIG.DEFAULT_EFFECTS, ...savedConfig };
+                
+                // 更新滑块值
+                this.elements.rippleColorRange.value = this.getHueFromColor(this.effectsConfig.rippleColor);
+                this.elements.rippleIntensityRange.value = Math.round(this.effectsConfig.rippleIntensity * 100);
+                this.elements.rippleRadiusRange.value = this.effectsConfig.rippleRadius;
+                this.elements.rippleDurationRange.value = Math.round(this.effectsConfig.rippleDuration * 10);
+                this.elements.neighborRadiusRange.value = this.effectsConfig.neighborRadius;
+                
+                // 更新活动颜色选项
+                this.updateActiveColorOption();
+                
+                this.showNotification('已加载保存的光效设置');
+            }
+        }
+        
+        // 保存光效配置
+        saveEffectsConfig() {
+            StorageManager.save(CONFIG.STORAGE_KEY, this.effectsConfig);
+        }
+        
+        // 加载计算设置
+        loadSettings() {
+            const savedSettings = StorageManager.load(CONFIG.SETTINGS_KEY);
+            if (savedSettings) {
+                this.settings = { ...CONFIG.DEFAULT_SETTINGS, ...savedSettings };
+            }
+            
+            // 互斥的计算模式只保留第一个开启的
+            let enabled = false;
+            Object.entries(CONFIG.CALCULATION_MODES).forEach(([key, className]) => {
+                this.settings[key] = this.settings[key] && !enabled;
+                enabled = enabled || this.settings[key];
+                this.elements[`${key}Toggle`].checked = this.settings[key];
+                this.elements.calculator.classList.toggle(className, this.settings[key]);
+            });
+            this.elements.mixedFractionToggle.checked = this.settings.mixedFractions;
+            this.elements.complexPolarToggle.checked = this.settings.complexPolar;
+            this.elements.decimalPrecisionRange.value = this.settings.decimalPrecision;
+            this.elements.decimalPrecisionValue.textContent = `${this.settings.decimalPrecision}`;
+            if (!CONFIG.ANGLE_UNITS[this.settings.angleUnit]) this.settings.angleUnit = 'deg';
+            
+            // 已删除的分类或单位回到默认值
+            const unitConversion = this.settings.unitConversion || {};
+            const category = UnitConverter.CATEGORIES[unitConversion.category];
+            if (!category || !category.units[unitConversion.from] || !category.units[unitConversion.to]) {
+                this.settings.unitConversion = { ...CONFIG.DEFAULT_SETTINGS.unitConversion };
+            }
+            
+            const solver = this.settings.solver || {};
+            if (!CONFIG.SOLVER_TYPES[solver.type] || !CONFIG.SOLVER_TYPES[solver.type].sizes[solver.size]) {
+                this.settings.solver = { ...CONFIG.DEFAULT_SETTINGS.solver };
+            }
+            if (!CONFIG.CALCULUS_KINDS[this.settings.calculus]) this.settings.calculus = CONFIG.DEFAULT_SETTINGS.calculus;
+            const taxRate = Number(this.settings.taxRate);
+            if (typeof this.settings.taxRate !== 'string' || !(taxRate >= 0 && taxRate <= CONFIG.MAX_TAX_RATE)) {
+                this.settings.taxRate = CONFIG.DEFAULT_SETTINGS.taxRate;
+            }
+            if (!CONFIG.COPY_FORMATS[this.settings.copyFormat]) this.settings.copyFormat = CONFIG.DEFAULT_SETTINGS.copyFormat;
+            if (!CONFIG.NOTATIONS[this.settings.notation]) this.settings.notation = CONFIG.DEFAULT_SETTINGS.notation;
+            if (!CONFIG.BASE_GROUPINGS[this.settings.baseGrouping]) this.settings.baseGrouping = CONFIG.DEFAULT_SETTINGS.baseGrouping;
+            const decimals = this.settings.displayDecimals;
+            if (!Number.isInteger(decimals) || decimals < 0 || decimals > CONFIG.MAX_DISPLAY_DECIMALS) {
+                this.settings.displayDecimals = CONFIG.DEFAULT_SETTINGS.displayDecimals;
+            }
+            this.updateAngleIndicator();
+            this.updateTaxKeys();
+            this.updateCopyFormats();
+            this.updateDisplayFormatOptions();
+        }
+        
+        // 保存计算设置
+        saveSettings() {
+            StorageManager.save(CONFIG.SETTINGS_KEY, this.settings);
+        }
+        
+        // 从颜色获取色调
+        getHueFromColor(color) {
+            if (color.startsWith('hsl')) {
+                const match = color.match(/hsl\((\d+)/);
+                return match ? parseInt(match[1]) : 50;
+            }
+            
+            // 处理十六进制颜色
+            const hex = color.replace('#', '');
+            const r = parseInt(hex.substr(0, 2), 16) / 255;
+            const g = parseInt(hex.substr(2, 2), 16) / 255;
+            const b = parseInt(hex.substr(4, 2), 16) / 255;
+            
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            let h;
+            
+            if (max === min) {
+                h = 0;
+            } else {
+                const d = max - min;
+                switch(max) {
+                    case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+                    case g: h = (b - r) / d + 2; break;
+                    case b: h = (r - g) / d + 4; break;
+                }
+                h /= 6;
+            }
+            
+            return Math.round(h * 360);
+        }
+        
+        // 更新活动颜色选项
+        updateActiveColorOption() {
+            this.elements.colorOptions.forEach(option => {
+                const color = option.getAttribute('data-color');
+                option.classList.toggle('active', color === this.effectsConfig.glowColor);
+            });
+        }
+        
+        // 按钮点击处理
+        handleButtonClick(button, e) {
+            this.hideMatrixResult();
+            const rect = button.getBoundingClientRect();
+            const x = rect.left + rect.width / 2;
+            const y = rect.top + rect.height / 2;
+            
+            // 创建光效
+            this.createLightSpot(x, y);
+            this.createRippleEffect(button, e.clientX, e.clientY);
+            this.addButtonGlow(button);
+            this.addNeighborButtonEffects(button);
+            
+            // 处理按钮逻辑
+            if (button.classList.contains('btn-number')) {
+                this.handleNumberButton(button);
+            } else if (button.classList.contains('btn-operator') && !button.classList.contains('btn-clear')) {
+                this.handleOperatorButton(button);
+            } else if (button.classList.contains('btn-programmer')) {
+                this.handleProgrammerButton(button);
+            }
+        }
+        
+        // 数字按钮处理
+        handleNumberButton(button) {
+            const value = button.getAttribute('data-number');
+            
+            // 小数点按钮没有 data-number，由 addDecimal 单独处理
+            if (value === null) return;
+            
+            // 进制限制检查
+            if (this.currentBase !== 'dec') {
+                if (this.currentBase === 'bin' && !/^[01]+$/.test(value)) {
+                    this.showNotification('二进制只能输入0和1');
+                    return;
+                } else if (this.currentBase === 'oct' && !/^[0-7]+$/.test(value)) {
+                    this.showNotification('八进制只能输入0-7');
+                    return;
+                }
+            }
+            
+            if (/[A-F]/.test(value) && this.currentBase !== 'hex') {
+                this.showNotification('只有十六进制可以输入A-F');
+                return;
+            }
+            
+            this.beginOperand();
+            
+            // 程序员模式下检查字长范围
+            if (this.mode === 'programmer') {
+                const nextInput = (this.currentInput === '0' || this.resetScreen) ? value : this.currentInput + value;
+                if (!this.getArithmetic().fitsWord(nextInput)) {
+                    this.showNotification(`超出${this.settings.wordSize}位字长范围`);
+                    return;
+                }
+            }
+            
+            // 复数模式下 i 只能作为数字的最后一位
+            if (!this.resetScreen && this.currentInput.endsWith('i')) {
+                this.showNotification('虚数单位后不能继续输入');
+                return;
+            }
+            
+            // 精确小数模式下限制输入的有效位数
+            if (this.settings.decimalMode && this.mode !== 'programmer' && !this.resetScreen &&
+                this.countSignificantDigits(this.currentInput + value) > this.settings.decimalPrecision) {
+                this.showNotification(`最多输入${this.settings.decimalPrecision}位有效数字`);
+                return;
+            }
+            
+            if (this.currentInput === '0' || this.resetScreen) {
+                this.currentInput = value;
+                this.resetScreen = false;
+            } else {
+                this.currentInput += value;
+            }
+            
+            this.updateDisplay();
+        }
+        
+        // 统计输入中的有效数字位数
+        countSignificantDigits(text) {
+            return text.replace(/[^0-9]/g, '').replace(/^0+/, '').length;
+        }
+        
+        // 操作符按钮处理
+        handleOperatorButton(button) {
+            const value = button.textContent;
+            
+            // 程序员模式下 % 为取余运算
+            if (value === '%' && this.mode === 'programmer') {
+                this.appendOperator('MOD');
+                return;
+            }
+            
+            if (value === '%') {
+                this.applyPercent();
+                return;
+            }
+            
+            // 只有二元运算符进入表达式（⌫ 等按钮另有处理）
+            if (!ExpressionEngine.BINARY_OPERATORS[value]) return;
+            
+            this.appendOperator(value);
+        }
+        
+        // 表达式最后一个记号
+        lastToken() {
+            return this.expression[this.expression.length - 1];
+        }
+        
+        // 表达式是否以完整操作数（右括号或后缀运算符）结尾，此时 currentInput 仅用于显示
+        endsWithOperand() {
+            const last = this.lastToken();
+            return !this.awaitingOperand && !!last && (last.type === 'rparen' || last.type === 'postfix');
+        }
+        
+        // 未闭合的左括号数量
+        getOpenParenCount() {
+            return this.expression.reduce((depth, token) => {
+                if (token.type === 'lparen') return depth + 1;
+                if (token.type === 'rparen') return depth - 1;
+                return depth;
+            }, 0);
+        }
+        
+        // 开始输入新的操作数（紧跟右括号时自动补乘号）
+        beginOperand() {
+            if (this.endsWithOperand()) {
+                this.expression.push({ type: 'operator', value: '×' });
+                this.resetScreen = true;
+            }
+            this.awaitingOperand = false;
+        }
+        
+        // 追加二元运算符
+        appendOperator(operator) {
+            const last = this.lastToken();
+            
+            if (this.awaitingOperand) {
+                if (last && last.type === 'operator') {
+                    if (operator === '-' && last.value !== '+' && last.value !== '-') {
+                        // 乘除、乘方之后的减号作为负号，如 2 × -3
+                        this.expression.push({ type: 'operator', value: '-' });
+                        return;
+                    }
+                    
+                    // 连续输入运算符时替换前一个
+                    while (this.lastToken() && this.lastToken().type === 'operator') {
+                        this.expression.pop();
+                    }
+                    if (this.lastToken() && this.lastToken().type === 'lparen') {
+                        this.awaitingOperand = true;
+                        if (operator === '-') this.expression.push({ type: 'operator', value: '-' });
+                        return;
+                    }
+                } else {
+                    // 左括号之后只接受负号
+                    if (operator === '-') this.expression.push({ type: 'operator', value: '-' });
+                    return;
+                }
+            } else if (!this.endsWithOperand()) {
+                this.expression.push({ type: 'number', value: this.currentInput });
+            }
+            
+            this.expression.push({ type: 'operator', value: operator });
+            this.awaitingOperand = true;
+            this.resetScreen = true;
+            
+            // 显示可以立即求值的部分，如 2 + 3 + 显示 5，而 2 + 3 × 仍显示 3
+            const pending = this.evaluatePendingSegment(operator);
+            if (pending !== null) {
+                this.currentInput = pending;
+                this.updateDisplay();
+            }
+            
+            this.previousInput = this.currentInput;
+            this.operation = operator;
+        }
+        
+        // 计算新运算符左侧优先级不低于它的部分
+        evaluatePendingSegment(operator) {
+            const tokens = this.expression.slice(0, -1);
+            const start = this.findSegmentStart(tokens, operator);
+            if (start >= tokens.length) return null;
+            
+            try {
+                return this.evaluateTokens(tokens.slice(start));
+            } catch (error) {
+                if (error instanceof CalculationError) return null;
+                throw error;
+            }
+        }
+        
+        // tokens 末尾作为 operator 左操作数的部分从哪里开始（遇到优先级更低的运算符或未闭合的左括号为止）
+        findSegmentStart(tokens, operator) {
+            const info = ExpressionEngine.BINARY_OPERATORS[operator];
+            let start = tokens.length;
+            let depth = 0;
+            
+            for (let i = tokens.length - 1; i >= 0; i--) {
+                const token = tokens[i];
+                
+                if (token.type === 'rparen') {
+                    depth++;
+                } else if (token.type === 'lparen') {
+                    if (depth === 0) break;
+                    depth--;
+                } else if (depth === 0 && token.type === 'operator' && ExpressionEngine.isBinaryOperator(tokens, i)) {
+                    const precedence = ExpressionEngine.BINARY_OPERATORS[token.value].precedence;
+                    if (precedence < info.precedence || (info.rightAssociative && precedence === info.precedence)) break;
+                }
+                
+                start = i;
+            }
+            
+            return start;
+        }
+        
+        // 多个记号组成的操作数加上括号（已是单个括号组时不再加）
+        groupTokens(tokens) {
+            let depth = 0;
+            const grouped = tokens.length === 1 || tokens.every((token, index) => {
+                if (token.type === 'lparen') depth++;
+                if (token.type === 'rparen') depth--;
+                return index === 0 ? token.type === 'lparen' : (depth > 0) === (index < tokens.length - 1);
+            });
+            return grouped ? tokens : [{ type: 'lparen' }, ...tokens, { type: 'rparen' }];
+        }
+        
+        // 百分号按前面的运算符取商用含义，并立即得出结果：
+        // a + b% 加成、a − b% 折扣（a 为运算符左边的值），a × b% 求 a 的 b%，a ÷ b% 求 a 是 b 的百分之几
+        // 没有待算的运算时只把当前值除以 100
+        applyPercent() {
+            const operandStart = this.endsWithOperand() ? this.getTrailingOperandStart() : this.expression.length;
+            const operator = this.expression[operandStart - 1];
+            
+            if (this.awaitingOperand || !operator || operator.type !== 'operator' ||
+                !ExpressionEngine.isBinaryOperator(this.expression, operandStart - 1)) {
+                if (this.endsWithOperand()) {
+                    this.expression.push({ type: 'postfix', value: '%' });
+                    this.refreshOperandValue();
+                } else {
+                    const arithmetic = this.getArithmetic();
+                    try {
+                        this.currentInput = arithmetic.toString(arithmetic.percent(arithmetic.fromString(this.currentInput)));
+                    } catch (error) {
+                        if (!(error instanceof CalculationError)) throw error;
+                        this.showNotification(error.message);
+                    }
+                }
+                this.updateDisplay();
+                return;
+            }
+            
+            const head = this.expression.slice(0, operandStart);
+            const operand = this.endsWithOperand() ? this.expression.slice(operandStart) : [{ type: 'number', value: this.currentInput }];
+            const percent = [...operand, { type: 'postfix', value: '%' }];
+            let tokens = [...head, ...percent];
+            
+            // 加减时百分数以左边的值为基数：200 + 10% 记为 200 + 200 × 10%
+            if (operator.value === '+' || operator.value === '-') {
+                const left = head.slice(this.findSegmentStart(head.slice(0, -1), operator.value), -1);
+                tokens = [...head, ...this.groupTokens(left), { type: 'operator', value: '×' }, ...percent];
+            }
+            
+            for (let i = this.getOpenParenCount(); i > 0; i--) {
+                tokens.push({ type: 'rparen' });
+            }
+            
+            // 百分比运算不能用连续按等号重复
+            if (this.completeCalculation(tokens, 'percent') !== null) this.lastOperation = null;
+        }
+        
+        // 左括号
+        openParenthesis() {
+            if (!this.awaitingOperand) {
+                if (this.endsWithOperand()) {
+                    this.expression.push({ type: 'operator', value: '×' });
+                } else if (this.expression.length > 0 || (!this.resetScreen && this.currentInput !== '0')) {
+                    // 数字后直接输入括号视为乘法，如 2(3+4)
+                    this.expression.push({ type: 'number', value: this.currentInput });
+                    this.expression.push({ type: 'operator', value: '×' });
+                }
+            }
+            
+            this.expression.push({ type: 'lparen' });
+            this.awaitingOperand = true;
+            this.currentInput = '0';
+            this.resetScreen = true;
+        }
+        
+        // 右括号
+        closeParenthesis() {
+            if (this.getOpenParenCount() === 0) {
+                this.showNotification('没有需要闭合的括号');
+                return;
+            }
+            
+            const last = this.lastToken();
+            if (this.awaitingOperand && last.type === 'lparen') {
+                this.showNotification('括号内不能为空');
+                return;
+            }
+            
+            if (!this.endsWithOperand()) {
+                this.expression.push({ type: 'number', value: this.currentInput });
+            }
+            
+            this.expression.push({ type: 'rparen' });
+            this.awaitingOperand = false;
+            this.resetScreen = true;
+            this.refreshOperandValue();
+        }
+        
+        // 表达式末尾完整操作数的起始位置
+        getTrailingOperandStart() {
+            let index = this.expression.length - 1;
+            while (index >= 0 && this.expression[index].type === 'postfix') index--;
+            
+            let depth = 0;
+            for (; index >= 0; index--) {
+                const token = this.expression[index];
+                if (token.type === 'rparen') {
+                    depth++;
+                } else if (token.type === 'lparen' && --depth === 0) {
+                    break;
+                }
+            }
+            
+            if (index > 0 && this.expression[index - 1].type === 'function') index--;
+            return index;
+        }
+        
+        // 以末尾括号组的值刷新显示
+        refreshOperandValue() {
+            try {
+                this.currentInput = this.evaluateTokens(this.expression.slice(this.getTrailingOperandStart()));
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.currentInput = '错误';
+                this.showNotification(error.message);
+            }
+        }
+        
+        // 对当前操作数应用函数
+        applyFunctionToOperand(func) {
+            if (this.endsWithOperand()) {
+                // 作用于括号组：(2+3) → sin(2+3)
+                const start = this.getTrailingOperandStart();
+                if (this.expression[start].type === 'lparen' && this.lastToken().type === 'rparen') {
+                    this.expression.splice(start, 0, { type: 'function', value: func });
+                } else {
+                    this.expression.splice(start, 0, { type: 'function', value: func }, { type: 'lparen' });
+                    this.expression.push({ type: 'rparen' });
+                }
+                this.refreshOperandValue();
+                return;
+            }
+            
+            this.currentInput = this.scientificCalculation(func, this.currentInput);
+            this.awaitingOperand = false;
+            this.resetScreen = true;
+        }
+        
+        // 对当前操作数应用后缀运算（! !!）
+        applyPostfixToOperand(postfix) {
+            if (this.endsWithOperand()) {
+                this.expression.push({ type: 'postfix', value: postfix });
+                this.refreshOperandValue();
+                return;
+            }
+            
+            this.currentInput = this.scientificCalculation(ExpressionEngine.POSTFIX_OPERATORS[postfix], this.currentInput);
+            this.awaitingOperand = false;
+            this.resetScreen = true;
+        }
+        
+        // 程序员模式按钮处理（位运算、移位、循环移位）
+        handleProgrammerButton(button) {
+            const operator = button.getAttribute('data-programmer');
+            
+            if (operator === 'NOT') {
+                this.applyFunctionToOperand('not');
+            } else {
+                this.appendOperator(operator);
+            }
+            
+            this.updateDisplay();
+        }
+        
+        // 切换进制，当前输入和表达式中的数字一并转换
+        setBase(base) {
+            if (base === this.currentBase) return;
+            
+            const from = this.getArithmetic();
+            this.currentBase = base;
+            this.convertEntries(from, this.getArithmetic());
+            this.updateDisplay();
+        }
+        
+        // 循环切换字长 64 → 32 → 16 → 8
+        cycleWordSize() {
+            const from = this.getArithmetic();
+            const sizes = CONFIG.WORD_SIZES;
+            this.settings.wordSize = sizes[(sizes.indexOf(this.settings.wordSize) + 1) % sizes.length];
+            this.saveSettings();
+            this.recordUndoState();
+            this.convertEntries(from, this.getArithmetic());
+            this.updateDisplay();
+            this.showNotification(`字长: ${this.settings.wordSize}位`);
+        }
+        
+        // 切换有符号/无符号
+        toggleSigned() {
+            const from = this.getArithmetic();
+            this.settings.signed = !this.settings.signed;
+            this.saveSettings();
+            this.recordUndoState();
+            this.convertEntries(from, this.getArithmetic());
+            this.updateDisplay();
+            this.showNotification(this.settings.signed ? '有符号（补码）' : '无符号');
+        }
+        
+        // 按新的进制/字长重新表示当前输入和表达式中的数字
+        convertEntries(from, to) {
+            this.mapEntries((text) => {
+                try {
+                    return to.toString(from.fromString(text));
+                } catch (error) {
+                    if (error instanceof CalculationError) return '0';
+                    throw error;
+                }
+            });
+        }
+        
+        // 对当前输入、表达式和重复运算中的每个数字应用 convert
+        mapEntries(convert) {
+            this.currentInput = convert(this.currentInput);
+            if (this.previousInput) this.previousInput = convert(this.previousInput);
+            const convertTokens = (tokens) => tokens.forEach(token => {
+                if (token.type === 'number') token.value = convert(token.value);
+            });
+            
+            convertTokens(this.expression);
+            if (this.lastOperation) convertTokens(this.lastOperation.operand);
+            if (this.constantOperation) convertTokens(this.constantOperation.operand);
+            this.updateConstantIndicator();
+        }
+        
+        // 更新程序员模式的多进制数值与字长信息
+        updateProgrammerBar() {
+            let value = null;
+            try {
+                value = this.getArithmetic().fromString(this.currentInput);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+            }
+            
+            this.elements.baseValues.forEach(item => {
+                const base = item.getAttribute('data-base');
+                const arithmetic = new ProgrammerArithmetic(this.settings.wordSize, this.settings.signed, base);
+                item.querySelector('.base-digits').textContent = value === null ? '-' : arithmetic.toString(value);
+                item.classList.toggle('active', base === this.currentBase);
+            });
+            
+            this.elements.wordSizeBtn.textContent = `${this.settings.wordSize}位`;
+            this.elements.signedBtn.textContent = this.settings.signed ? '有符号' : '无符号';
+        }
+        
+        // 科学计算按钮处理
+        handleScientificButton(button, e) {
+            const rect = button.getBoundingClientRect();
+            const x = rect.left + rect.width / 2;
+            const y = rect.top + rect.height / 2;
+            
+            this.createLightSpot(x, y);
+            this.createRippleEffect(button, e.clientX, e.clientY);
+            this.addButtonGlow(button);
+            
+            // nPr、nCr 为二元运算符，x!! 为后缀运算符
+            const func = button.getAttribute('data-scientific');
+            if (func === 'INV') {
+                this.inverseMode = !this.inverseMode;
+                this.updateTrigButtons();
+            } else if (func === 'HYP') {
+                this.hyperbolicMode = !this.hyperbolicMode;
+                this.updateTrigButtons();
+            } else if (ExpressionEngine.BINARY_OPERATORS[func]) {
+                this.appendOperator(func);
+            } else if (ExpressionEngine.POSTFIX_OPERATORS[func]) {
+                this.applyPostfixToOperand(func);
+            } else {
+                this.applyFunctionToOperand(this.resolveTrigFunction(func));
+            }
+            this.updateDisplay();
+        }
+        
+        // 按 INV / HYP 修饰键得到实际的三角函数名，如 INV + HYP + sin → asinh
+        resolveTrigFunction(func) {
+            if (!['sin', 'cos', 'tan'].includes(func)) return func;
+            
+            const name = `${this.inverseMode ? 'a' : ''}${func}${this.hyperbolicMode ? 'h' : ''}`;
+            this.inverseMode = false;
+            this.hyperbolicMode = false;
+            this.updateTrigButtons();
+            return name;
+        }
+        
+        // 更新修饰键状态与三角函数按钮文字
+        updateTrigButtons() {
+            this.elements.inverseBtn.classList.toggle('active', this.inverseMode);
+            this.elements.hyperbolicBtn.classList.toggle('active', this.hyperbolicMode);
+            
+            this.elements.trigButtons.forEach(button => {
+                const func = button.getAttribute('data-scientific');
+                button.textContent = `${func}${this.hyperbolicMode ? 'h' : ''}${this.inverseMode ? '⁻¹' : ''}`;
+            });
+        }
+        
+        // 循环切换角度单位 DEG → RAD → GRAD
+        cycleAngleUnit() {
+            const units = Object.keys(CONFIG.ANGLE_UNITS);
+            this.settings.angleUnit = units[(units.indexOf(this.settings.angleUnit) + 1) % units.length];
+            this.saveSettings();
+            this.updateAngleIndicator();
+            this.showNotification(`角度单位: ${CONFIG.ANGLE_UNITS[this.settings.angleUnit].name}`);
+        }
+        
+        updateAngleIndicator() {
+            this.elements.angleUnitBtn.textContent = CONFIG.ANGLE_UNITS[this.settings.angleUnit].label;
+        }
+        
+        // 数学符号处理
+        // π、e 的数值文本；精确小数模式按设置的精度取值
+        constantText(name) {
+            const arithmetic = this.getArithmetic();
+            if (arithmetic instanceof DecimalArithmetic) return arithmetic.toString(arithmetic.constant(name));
+            return (name === 'π' ? Math.PI : Math.E).toString();
+        }
+        
+        handleMathSymbol(symbol, e) {
+            this.hideMatrixResult();
+            const rect = symbol.getBoundingClientRect();
+            const x = rect.left + rect.width / 2;
+            const y = rect.top + rect.height / 2;
+            
+            this.createLightSpot(x, y);
+            
+            const sym = symbol.getAttribute('data-symbol');
+            
+            switch(sym) {
+                case 'π':
+                case 'e':
+                    this.beginOperand();
+                    this.currentInput = this.constantText(sym);
+                    this.resetScreen = true;
+                    break;
+                case '√':
+                    this.applyFunctionToOperand('sqrt');
+                    break;
+                case '^':
+                    this.appendOperator('^');
+                    break;
+                case '!':
+                    this.applyPostfixToOperand('!');
+                    break;
+                case 'K':
+                    this.toggleConstantMode();
+                    break;
+                case 'a b/c':
+                    this.enterFraction();
+                    break;
+                case 'S⇔D':
+                    this.toggleFractionView();
+                    break;
+                case 'i':
+                    this.enterImaginaryUnit();
+                    break;
+                case '(':
+                    this.openParenthesis();
+                    break;
+                case ')':
+                    this.closeParenthesis();
+                    break;
+            }
+            
+            this.updateDisplay();
+        }
+        
+        // 颜色选项处理
+        handleColorOption(option) {
+            const color = option.getAttribute('data-color');
+            this.effectsConfig.glowColor = color;
+            this.effectsConfig.rippleColor = color;
+            
+            document.documentElement.style.setProperty('--glow-color', color);
+            this.updateCSSVariables();
+            this.updateSliderVisuals();
+            
+            // 更新颜色滑块值
+            const hue = this.getHueFromColor(color);
+            this.elements.rippleColorRange.value = hue;
+            
+            this.elements.colorPanel.classList.remove('show');
+            this.elements.overlay.classList.remove('show');
+            
+            // 更新活动状态
+            this.elements.colorOptions.forEach(opt => opt.classList.remove('active'));
+            option.classList.add('active');
+            
+            this.saveEffectsConfig();
+            this.showNotification(`光效颜色已更改为${option.querySelector('.color-name').textContent}`);
+        }
+        
+        // 进制转换处理
+        handleConversion(button) {
+            const conversion = button.getAttribute('data-conversion');
+            const inputValue = this.elements.conversionInput.value.trim();
+            
+            if (!inputValue) {
+                this.elements.conversionResult.textContent = '请输入数字';
+                return;
+            }
+            
+            let result;
+            
+            switch(conversion) {
+                case 'dec2bin':
+                    result = this.convertBase(inputValue, 'dec', 'bin');
+                    break;
+                case 'dec2oct':
+                    result = this.convertBase(inputValue, 'dec', 'oct');
+                    break;
+                case 'dec2hex':
+                    result = this.convertBase(inputValue, 'dec', 'hex');
+                    break;
+                case 'bin2dec':
+                    result = this.convertBase(inputValue, 'bin', 'dec');
+                    break;
+                case 'oct2dec':
+                    result = this.convertBase(inputValue, 'oct', 'dec');
+                    break;
+                case 'hex2dec':
+                    result = this.convertBase(inputValue, 'hex', 'dec');
+                    break;
+            }
+            
+            this.elements.conversionResult.textContent = result;
+            
+            // 更新当前显示值
+            if (conversion.startsWith('dec2')) {
+                this.currentInput = result;
+                this.updateDisplay();
+            }
+        }
+        
+        // 按钮光效处理（通用）
+        handleButtonEffect(button, e, callback) {
+            const rect = button.getBoundingClientRect();
+            const x = rect.left + rect.width / 2;
+            const y = rect.top + rect.height / 2;
+            
+            this.createLightSpot(x, y);
+            this.createRippleEffect(button, e.clientX, e.clientY);
+            this.addButtonGlow(button);
+            this.addNeighborButtonEffects(button);
+            
+            if (callback) callback();
+        }
+        
+        // 创建光点效果
+        createLightSpot(x, y) {
+            this.lightSpotPool.createSpot(
+                x, y,
+                this.effectsConfig.rippleRadius,
+                this.effectsConfig.rippleIntensity,
+                this.effectsConfig.rippleDuration,
+                this.effectsConfig.rippleColor
+            );
+            
+            this.elements.lightField.style.opacity = '1';
+        }
+        
+        // 创建涟漪效果
+        createRippleEffect(button, x, y) {
+            this.ripplePool.createEffect(
+                button,
+                x, y,
+                this.effectsConfig.rippleColor,
+                this.effectsConfig.rippleIntensity,
+                this.effectsConfig.rippleDuration
+            );
+        }
+        
+        // 添加按钮光效
+        addButtonGlow(button) {
+            button.classList.add('btn-glow');
+            setTimeout(() => {
+                button.classList.remove('btn-glow');
+            }, 300);
+        }
+        
+        // 获取相邻按钮
+        getNeighborButtons(button, radius = this.effectsConfig.neighborRadius) {
+            const neighbors = [];
+            const buttonInfo = this.buttonGridMap.get(button);
+            
+            if (!buttonInfo) return neighbors;
+            
+            const {row, col} = buttonInfo;
+            
+            this.buttonPositions.forEach(item => {
+                if (item.btn === button) return;
+                
+                const rowDiff = Math.abs(item.row - row);
+                const colDiff = Math.abs(item.col - col);
+                const distance = Math.max(rowDiff, colDiff);
+                
+                if (distance <= radius) {
+                    neighbors.push(item.btn);
+                }
+            });
+            
+            return neighbors;
+        }
+        
+        // 添加相邻按钮光效
+        addNeighborButtonEffects(button) {
+            const neighbors = this.getNeighborButtons(button, this.effectsConfig.neighborRadius);
+            
+            neighbors.forEach(neighbor => {
+                neighbor.classList.add('btn-neighbor-glow');
+                
+                setTimeout(() => {
+                    neighbor.classList.remove('btn-neighbor-glow');
+                }, 800);
+            });
+        }
+        
+        // 更新滑块视觉效果
+        updateSliderVisuals() {
+            // 更新颜色滑块
+            const hue = parseInt(this.elements.rippleColorRange.value);
+            const color = `hsl(${hue}, 100%, 50%)`;
+            document.getElementById('colorTrack').style.background = color;
+            document.getElementById('colorThumb').style.left = `${(hue / 360) * 100}%`;
+            document.getElementById('colorTrack').style.setProperty('--slider-value', `${(hue / 360) * 100}%`);
+            
+            // 更新强度滑块
+            const intensityPercent = parseInt(this.elements.rippleIntensityRange.value);
+            document.getElementById('intensityTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
+            document.getElementById('intensityThumb').style.left = `${intensityPercent}%`;
+            document.getElementById('intensityTrack').style.setProperty('--slider-value', `${intensityPercent}%`);
+            
+            // 更新半径滑块
+            const radiusPercent = ((parseInt(this.elements.rippleRadiusRange.value) - 50) / 150) * 100;
+            document.getElementById('radiusTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
+            document.getElementById('radiusThumb').style.left = `${radiusPercent}%`;
+            document.getElementById('radiusTrack').style.setProperty('--slider-value', `${radiusPercent}%`);
+            
+            // 更新持续时间滑块
+            const durationPercent = ((parseInt(this.elements.rippleDurationRange.value) - 3) / 12) * 100;
+            document.getElementById('durationTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
+            document.getElementById('durationThumb').style.left = `${durationPercent}%`;
+            document.getElementById('durationTrack').style.setProperty('--slider-value', `${durationPercent}%`);
+            
+            // 更新相邻范围滑块
+            const neighborPercent = (parseInt(this.elements.neighborRadiusRange.value) / 4) * 100;
+            document.getElementById('neighborTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
+            document.getElementById('neighborThumb').style.left = `${neighborPercent}%`;
+            document.getElementById('neighborTrack').style.setProperty('--slider-value', `${neighborPercent}%`);
+            
+            // 更新有效位数滑块
+            const precisionPercent = ((parseInt(this.elements.decimalPrecisionRange.value) - 12) / (CONFIG.MAX_DECIMAL_PRECISION - 12)) * 100;
+            document.getElementById('precisionTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
+            document.getElementById('precisionThumb').style.left = `${precisionPercent}%`;
+            document.getElementById('precisionTrack').style.setProperty('--slider-value', `${precisionPercent}%`);
+            
+            // 更新小数位数滑块
+            const decimalsPercent = (parseInt(this.elements.displayDecimalsRange.value) / CONFIG.MAX_DISPLAY_DECIMALS) * 100;
+            document.getElementById('displayDecimalsTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
+            document.getElementById('displayDecimalsThumb').style.left = `${decimalsPercent}%`;
+            document.getElementById('displayDecimalsTrack').style.setProperty('--slider-value', `${decimalsPercent}%`);
+        }
+        
+        // 更新CSS变量
+        updateCSSVariables() {
+            document.documentElement.style.setProperty('--ripple-color', this.effectsConfig.rippleColor);
+            document.documentElement.style.setProperty('--ripple-intensity', this.effectsConfig.rippleIntensity);
+            document.documentElement.style.setProperty('--ripple-radius', this.effectsConfig.rippleRadius);
+            document.documentElement.style.setProperty('--ripple-duration', `${this.effectsConfig.rippleDuration}s`);
+        }
+        
+        // 更新显示
+        updateDisplay() {
+            let displayText = this.currentInput;
+            const isInteger = /^-?\d+$/.test(displayText);
+            
+            // 分数模式下 S⇔D 切换为小数显示，数值本身保持精确
+            const decimalView = this.isFractionActive() && this.decimalViewOf === this.currentInput;
+            if (decimalView) {
+                const arithmetic = this.getArithmetic();
+                displayText = arithmetic.toDecimalText(arithmetic.fromString(displayText));
+            }
+            
+            // 正在输入的数字只分组，算出的结果按记数法显示
+            displayText = this.formatDisplay(displayText, !this.resetScreen, decimalView);
+            this.elements.display.textContent = displayText;
+            this.fitDisplay();
+            
+            // 整数以科学记数法显示时提供复制完整数字的入口
+            this.elements.exactCopyBtn.classList.toggle('show', isInteger && /e/.test(displayText));
+            this.updateExpressionLine();
+            
+            if (this.mode === 'programmer') {
+                this.updateProgrammerBar();
+            }
+            this.updateBaseIndicator();
+            this.recordUndoState();
+        }
+        
+        // 副显示行：左侧为正在输入的表达式，右侧为实时预览的结果
+        updateExpressionLine() {
+            let expressionText = '';
+            let previewText = '';
+            
+            if (this.expression.length > 0) {
+                expressionText = ExpressionEngine.stringify(this.expression);
+                const preview = this.previewResult();
+                if (preview !== null) previewText = `= ${this.formatDisplay(preview, false)}`;
+            } else if (this.completed && this.completed.result === this.currentInput) {
+                expressionText = `${this.completed.expression} =`;
+            } else {
+                this.completed = null;
+            }
+            
+            this.elements.expressionLine.textContent = expressionText;
+            this.elements.previewLine.textContent = previewText;
+        }
+        
+        // 按当前输入求出表达式的值；刚输入运算符或左括号时忽略未完成的尾部，无法求值时返回 null
+        previewResult() {
+            let tokens;
+            if (this.awaitingOperand) {
+                tokens = [...this.expression];
+                while (tokens.length > 0 && ['operator', 'lparen', 'function', 'comma'].includes(tokens[tokens.length - 1].type)) {
+                    tokens.pop();
+                }
+                if (tokens.length === 0) return null;
+                
+                const depth = tokens.reduce((count, token) => {
+                    if (token.type === 'lparen') return count + 1;
+                    if (token.type === 'rparen') return count - 1;
+                    return count;
+                }, 0);
+                for (let i = depth; i > 0; i--) {
+                    tokens.push({ type: 'rparen' });
+                }
+            } else {
+                tokens = this.buildExpressionTokens();
+            }
+            
+            try {
+                return this.evaluateTokens(tokens);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                return null;
+            }
+        }
+        
+        // 结果从副显示行移入主行的动画，时长与光晕跟随光效设置
+        promoteResult() {
+            const display = this.elements.display;
+            clearTimeout(this.promoteTimer);
+            display.classList.remove('promote');
+            requestAnimationFrame(() => {
+                display.classList.add('promote');
+                this.promoteTimer = setTimeout(() => {
+                    display.classList.remove('promote');
+                }, this.effectsConfig.rippleDuration * 1000);
+            });
+        }
+        
+        // 按显示设置格式化数值文本；typing 为正在输入，exact 时自动记数法保留全部有效数字
+        formatDisplay(text, typing, exact = false) {
+            if (this.mode === 'programmer') {
+                const size = CONFIG.BASE_GROUPINGS[this.settings.baseGrouping][this.currentBase];
+                if (size) return NumberFormat.groupDigits(text, size);
+                return this.currentBase === 'dec' && this.settings.thousandsGrouping ? NumberFormat.groupThousands(text) : text;
+            }
+            
+            let formatted = text;
+            if (!typing && NumberFormat.REAL.test(text)) {
+                formatted = NumberFormat.formatReal(text, {
+                    notation: this.settings.notation,
+                    decimals: this.settings.displayDecimals,
+                    exact: exact || this.settings.decimalMode
+                });
+            }
+            return this.settings.thousandsGrouping ? NumberFormat.groupThousands(formatted) : formatted;
+        }
+        
+        setDisplayFormat(changes) {
+            Object.assign(this.settings, changes);
+            this.saveSettings();
+            this.updateDisplayFormatOptions();
+            this.updateDisplay();
+        }
+        
+        updateDisplayFormatOptions() {
+            this.elements.notations.forEach(chip => {
+                chip.classList.toggle('active', chip.getAttribute('data-notation') === this.settings.notation);
+            });
+            this.elements.baseGroupings.forEach(chip => {
+                chip.classList.toggle('active', chip.getAttribute('data-base-grouping') === this.settings.baseGrouping);
+            });
+            this.elements.displayDecimalsRange.value = this.settings.displayDecimals;
+            this.elements.displayDecimalsValue.textContent = `${this.settings.displayDecimals}`;
+            this.elements.thousandsGroupingToggle.checked = this.settings.thousandsGrouping;
+        }
+        
+        // 长数值缩小字号以完整显示，缩到 MIN_DISPLAY_FONT_SIZE 后换行
+        fitDisplay() {
+            const display = this.elements.display;
+            display.style.fontSize = '';
+            display.classList.remove('wrap');
+            if (display.scrollWidth <= display.clientWidth) return;
+            
+            let size = Math.floor(parseFloat(getComputedStyle(display).fontSize) * display.clientWidth / display.scrollWidth);
+            display.style.fontSize = `${Math.max(size, CONFIG.MIN_DISPLAY_FONT_SIZE)}px`;
+            // 字距不随字号缩放，按实际宽度再微调
+            while (display.scrollWidth > display.clientWidth && size > CONFIG.MIN_DISPLAY_FONT_SIZE) {
+                size--;
+                display.style.fontSize = `${size}px`;
+            }
+            if (display.scrollWidth > display.clientWidth) display.classList.add('wrap');
+        }
+        
+        // 复制当前结果的全部数字
+        copyExactValue() {
+            if (!navigator.clipboard) {
+                this.showNotification('当前浏览器不支持复制');
+                return;
+            }
+            
+            const digits = this.currentInput.replace('-', '').length;
+            navigator.clipboard.writeText(this.currentInput)
+                .then(() => this.showNotification(`已复制全部 ${digits} 位数字`))
+                .catch(() => this.showNotification('复制失败'));
+        }
+        
+        // 按复制格式得到显示值的文本；显示不是有效数字时返回 null
+        copyText(format) {
+            const raw = this.readDisplayValue();
+            if (raw === null || format === 'raw') return raw;
+            
+            if (format === 'formatted') return this.elements.display.textContent;
+            if (this.mode !== 'programmer') return raw;
+            
+            const sign = this.currentInput.startsWith('-') ? '-' : '';
+            return sign + ClipboardText.PREFIXES[this.currentBase] + this.currentInput.replace('-', '');
+        }
+        
+        // 设置中的复制按钮
+        copyValue() {
+            if (!navigator.clipboard) {
+                this.showNotification('当前浏览器不支持复制');
+                return;
+            }
+            
+            const text = this.copyText(this.settings.copyFormat);
+            if (text === null) return;
+            navigator.clipboard.writeText(text)
+                .then(() => this.showNotification(`已复制: ${text}`))
+                .catch(() => this.showNotification('复制失败'));
+        }
+        
+        // 设置中的粘贴按钮
+        pasteValue() {
+            if (!navigator.clipboard || !navigator.clipboard.readText) {
+                this.showNotification('当前浏览器不支持读取剪贴板，请使用 Ctrl+V');
+                return;
+            }
+            
+            navigator.clipboard.readText()
+                .then(text => this.pasteText(text))
+                .catch(() => this.showNotification('无法读取剪贴板'));
+        }
+        
+        selectCopyFormat(format) {
+            this.settings.copyFormat = format;
+            this.saveSettings();
+            this.updateCopyFormats();
+        }
+        
+        updateCopyFormats() {
+            this.elements.copyFormats.forEach(chip => {
+                chip.classList.toggle('active', chip.getAttribute('data-copy-format') === this.settings.copyFormat);
+            });
+        }
+        
+        // 粘贴：单个数字作为当前操作数，其他内容作为表达式载入；无法接受时说明原因
+        pasteText(text) {
+            text = text.trim();
+            if (text === '') {
+                this.showNotification('剪贴板中没有文本');
+                return;
+            }
+            if (text.length > CONFIG.MAX_PASTE_LENGTH) {
+                this.showNotification(`无法粘贴：内容过长（${text.length} 个字符）`);
+                return;
+            }
+            
+            const ignored = [];
+            try {
+                const number = ClipboardText.parseNumber(text, this.mode === 'programmer' ? this.currentBase : 'dec', ignored);
+                if (!number) {
+                    this.pasteExpression(text);
+                    return;
+                }
+                
+                const value = this.pastedNumber(number);
+                this.insertOperand(value);
+                this.showNotification(ignored.length ? `已粘贴: ${value}（已忽略${ignored.join('、')}）` : `已粘贴: ${value}`);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(`无法粘贴：${error.message}`);
+            }
+        }
+        
+        // 识别出的数字 → 当前模式与进制下的输入文本
+        pastedNumber(number) {
+            const arithmetic = this.getArithmetic();
+            
+            if (this.mode === 'programmer') {
+                let value = number.integer;
+                if (value === undefined) {
+                    const decimal = Decimal.parse(number.decimal);
+                    if (!decimal.isInteger()) throw new CalculationError(`程序员模式只支持整数: ${number.decimal}`);
+                    if (decimal.digitCount() + decimal.exponent > 20) throw new CalculationError(`${number.decimal} 超出 ${this.settings.wordSize} 位字长`);
+                    value = decimal.toBigInt();
+                }
+                
+                // 有符号数按补码接受，允许 -2^(n-1) 到 2^n − 1
+                if (value > arithmetic.mask || value < -((arithmetic.mask >> 1n) + 1n)) {
+                    throw new CalculationError(`${value} 超出 ${this.settings.wordSize} 位字长`);
+                }
+                return arithmetic.toString(arithmetic.wrap(value));
+            }
+            
+            // 科学计数法展开为普通小数，超出范围时由运算方式报错
+            let text = number.integer !== undefined ? number.integer.toString() : number.decimal;
+            if (/e/i.test(text)) text = Decimal.parse(text).toString();
+            arithmetic.toString(arithmetic.fromString(text));
+            return text;
+        }
+        
+        // 载入粘贴的表达式，替换未完成的表达式；最后一个数字可以继续编辑
+        pasteExpression(text) {
+            const tokens = this.pastedTokens(text);
+            const last = tokens[tokens.length - 1];
+            if (last.type === 'operator' || last.type === 'lparen' || last.type === 'function') {
+                throw new CalculationError(`表达式不完整: ${ExpressionEngine.stringify(tokens)}`);
+            }
+            
+            // 补全括号后检查语法
+            const depth = tokens.reduce((count, token) => count + (token.type === 'lparen') - (token.type === 'rparen'), 0);
+            ExpressionEngine.parse([...tokens, ...Array.from({ length: Math.max(depth, 0) }, () => ({ type: 'rparen' }))]);
+            
+            this.resetExpression();
+            if (last.type === 'number') {
+                this.expression = tokens.slice(0, -1);
+                this.currentInput = last.value;
+                this.resetScreen = false;
+            } else {
+                this.expression = tokens;
+                this.refreshOperandValue();
+            }
+            
+            this.updateDisplay();
+            this.showNotification(`已粘贴表达式: ${ExpressionEngine.stringify(tokens)}`);
+        }
+        
+        // 文本 → 计算器的记号序列：常数与变量代入数值，逐个检查数字、运算符与函数在当前模式下是否可用
+        pastedTokens(text) {
+            const programmer = this.mode === 'programmer';
+            const arithmetic = this.getArithmetic();
+            let tokens = ExpressionEngine.tokenize(ClipboardText.normalizeExpression(text, programmer));
+            if (programmer && this.currentBase === 'hex') tokens = ClipboardText.mergeHexDigits(tokens);
+            if (tokens.length === 0) throw new CalculationError('剪贴板中没有表达式');
+            
+            const result = [];
+            // 相邻的操作数补上乘号，如 2π、3(4+5)；两个数字直接相邻（如 1.2.3）不接受
+            const beginOperand = (literal) => {
+                const last = result[result.length - 1];
+                if (!last || !ExpressionEngine.isBinaryOperator(result, result.length)) return;
+                if (literal && last.type === 'number') throw new CalculationError(`无法识别的数字: ${last.value}${literal}`);
+                result.push({ type: 'operator', value: '×' });
+            };
+            const pushNumber = (value, literal) => {
+                beginOperand(literal);
+                arithmetic.fromString(value);
+                result.push({ type: 'number', value });
+            };
+            
+            tokens.forEach(token => {
+                const last = result[result.length - 1];
+                switch(token.type) {
+                    case 'number':
+                        pushNumber(token.value, token.value);
+                        break;
+                    case 'constant':
+                        if (programmer) throw new CalculationError(`程序员模式不支持常数 ${token.value}`);
+                        pushNumber(this.constantText(token.value));
+                        break;
+                    case 'identifier':
+                        if (token.value === 'i' && this.isComplexActive()) {
+                            // 3+4i 的虚部并入前面的数字
+                            if (last && last.type === 'number' && !last.value.endsWith('i')) last.value += 'i';
+                            else pushNumber('i');
+                        } else if (token.value === 'i' && !programmer) {
+                            throw new CalculationError('虚数单位 i 需要开启复数模式');
+                        } else if (this.memory.variables[token.value] !== undefined) {
+                            pushNumber(this.convertNumber(this.memory.variables[token.value], { mode: 'standard' }));
+                        } else {
+                            throw new CalculationError(`无法识别: ${token.value}`);
+                        }
+                        break;
+                    case 'function':
+                        if (programmer && !['not', 'square', 'cube'].includes(token.value)) {
+                            throw new CalculationError(`程序员模式不支持 ${token.value}`);
+                        }
+                        beginOperand();
+                        result.push(token);
+                        break;
+                    case 'postfix':
+                        // 程序员模式的 % 为取余
+                        if (programmer && token.value === '%') {
+                            result.push({ type: 'operator', value: 'MOD' });
+                        } else if (typeof arithmetic[ExpressionEngine.POSTFIX_OPERATORS[token.value]] !== 'function') {
+                            throw new CalculationError(`当前模式不支持 ${token.value} 运算`);
+                        } else {
+                            result.push(token);
+                        }
+                        break;
+                    case 'operator': {
+                        const info = ExpressionEngine.BINARY_OPERATORS[token.value];
+                        if (ExpressionEngine.isBinaryOperator(result, result.length) && typeof arithmetic[info.method] !== 'function') {
+                            throw new CalculationError(`当前模式不支持 ${token.value} 运算`);
+                        }
+                        result.push(token);
+                        break;
+                    }
+                    case 'comma':
+                        throw new CalculationError('无法识别的字符: ,');
+                    case 'lparen':
+                        beginOperand();
+                        result.push(token);
+                        break;
+                    default:
+                        result.push(token);
+                }
+            });
+            
+            // 计算器中的函数与后缀运算符只作用于括号组：√9 → √(9)，12% → (12)%
+            return result.reduce((wrapped, token, index) => {
+                const previous = result[index - 1];
+                if (previous && previous.type === 'function' && token.type !== 'lparen') {
+                    if (token.type !== 'number') throw new CalculationError(`${ExpressionEngine.stringify([previous])} 之后需要括号`);
+                    wrapped.push({ type: 'lparen' }, token, { type: 'rparen' });
+                } else if (token.type === 'postfix' && wrapped.length > 0 && wrapped[wrapped.length - 1].type === 'number') {
+                    wrapped.splice(-1, 0, { type: 'lparen' });
+                    wrapped.push({ type: 'rparen' }, token);
+                } else {
+                    wrapped.push(token);
+                }
+                return wrapped;
+            }, []);
+        }
+        
+        // 更新进制指示器
+        updateBaseIndicator() {
+            let baseText = '';
+            switch(this.currentBase) {
+                case 'dec': baseText = 'DEC'; break;
+                case 'bin': baseText = 'BIN'; break;
+                case 'oct': baseText = 'OCT'; break;
+                case 'hex': baseText = 'HEX'; break;
+            }
+            this.elements.baseIndicator.textContent = baseText;
+            this.elements.baseIndicator.classList.add('show');
+            
+            setTimeout(() => {
+                this.elements.baseIndicator.classList.remove('show');
+            }, 3000);
+        }
+        
+        // 显示通知
+        // action 为通知上的操作按钮 { label, handler }；新的通知替换旧的，计时重新开始
+        showNotification(message, duration = 2000, action = null) {
+            this.elements.notificationContent.textContent = message;
+            this.notificationAction = action;
+            this.elements.notificationAction.textContent = action ? action.label : '';
+            this.elements.notificationAction.classList.toggle('show', action !== null);
+            this.elements.notification.classList.add('show');
+            
+            clearTimeout(this.notificationTimer);
+            this.notificationTimer = setTimeout(() => this.hideNotification(), duration);
+        }
+        
+        hideNotification() {
+            clearTimeout(this.notificationTimer);
+            this.notificationAction = null;
+            this.elements.notification.classList.remove('show');
+        }
+        
+        // 显示/隐藏加载
+        showLoading(show) {
+            if (show) {
+                this.elements.loading.classList.add('show');
+            } else {
+                this.elements.loading.classList.remove('show');
+            }
+        }
+        
+        // 进制转换
+        convertBase(value, fromBase, toBase) {
+            let decimalValue;
+            
+            switch(fromBase) {
+                case 'dec':
+                    decimalValue = parseInt(value, 10);
+                    break;
+                case 'bin':
+                    decimalValue = parseInt(value, 2);
+                    break;
+                case 'oct':
+                    decimalValue = parseInt(value, 8);
+                    break;
+                case 'hex':
+                    decimalValue = parseInt(value, 16);
+                    break;
+                default:
+                    return '错误';
+            }
+            
+            if (isNaN(decimalValue)) {
+                return '无效输入';
+            }
+            
+            switch(toBase) {
+                case 'dec':
+                    return decimalValue.toString(10);
+                case 'bin':
+                    return decimalValue.toString(2);
+                case 'oct':
+                    return decimalValue.toString(8);
+                case 'hex':
+                    return decimalValue.toString(16).toUpperCase();
+                default:
+                    return '错误';
+            }
+        }
+        
+        // 科学计算
+        scientificCalculation(func, value) {
+            const arithmetic = this.getArithmetic();
+            
+            try {
+                const num = arithmetic.fromString(String(value));
+                
+                switch(func) {
+                    case 'factorial': case 'doubleFactorial':
+                        return arithmetic.toString(arithmetic[func](num));
+                    default:
+                        if (!ExpressionEngine.FUNCTIONS.includes(func)) return value;
+                        return arithmetic.toString(arithmetic.applyFunction(func, num));
+                }
+            } catch (error) {
+                if (error instanceof CalculationError) {
+                    this.showNotification(error.message);
+                    return '错误';
+                }
+                throw error;
+            }
+        }
+        
+        // 当前使用的运算方式
+        getArithmetic() {
+            if (this.mode === 'programmer') {
+                return new ProgrammerArithmetic(this.settings.wordSize, this.settings.signed, this.currentBase);
+            }
+            if (this.settings.complexMode) {
+                return new ComplexArithmetic(this.settings.complexPolar, this.settings.angleUnit);
+            }
+            if (this.settings.fractionMode) {
+                return new FractionArithmetic(this.settings.mixedFractions, this.settings.angleUnit);
+            }
+            if (this.settings.decimalMode) {
+                return new DecimalArithmetic(this.settings.decimalPrecision, this.settings.angleUnit);
+            }
+            return FloatArithmetic.withAngleUnit(this.settings.angleUnit);
+        }
+        
+        // 对记号序列求值，返回结果字符串
+        evaluateTokens(tokens) {
+            const arithmetic = this.getArithmetic();
+            const ast = ExpressionEngine.parse(tokens);
+            return arithmetic.toString(ExpressionEngine.evaluate(ast, { arithmetic }));
+        }
+        
+        // 补全当前操作数和未闭合的括号，得到完整表达式
+        buildExpressionTokens() {
+            const tokens = [...this.expression];
+            
+            if (!this.endsWithOperand()) {
+                tokens.push({ type: 'number', value: this.currentInput });
+            }
+            
+            for (let i = this.getOpenParenCount(); i > 0; i--) {
+                tokens.push({ type: 'rparen' });
+            }
+            
+            return tokens;
+        }
+        
+        // 计算
+        calculate() {
+            let tokens;
+            let kind = 'normal';
+            
+            if (this.expression.length > 0) {
+                tokens = this.buildExpressionTokens();
+            } else {
+                // 没有待算的表达式时重复上一次运算，常数模式下使用锁定的运算
+                const operation = this.constantOperation || this.lastOperation;
+                if (!operation) return;
+                
+                tokens = [
+                    { type: 'number', value: this.currentInput },
+                    { type: 'operator', value: operation.operator },
+                    ...operation.operand.map(token => ({ ...token }))
+                ];
+                kind = this.constantOperation ? 'constant' : 'repeat';
+            }
+            
+            if (this.completeCalculation(tokens, kind) !== null) this.promoteResult();
+        }
+        
+        // 对完整的表达式求值，记录历史并显示结果；出错时提示并返回 null
+        completeCalculation(tokens, kind) {
+            let result;
+            
+            try {
+                result = this.evaluateTokens(tokens);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return null;
+            }
+            
+            // 先记录历史，再重置运算状态
+            this.addToHistory(this.createHistoryEntry(tokens, result, kind));
+            if (kind === 'normal') this.lastOperation = this.extractLastOperation(tokens);
+            
+            this.currentInput = result;
+            this.expression = [];
+            this.awaitingOperand = false;
+            this.operation = null;
+            this.previousInput = '';
+            this.resetScreen = true;
+            this.completed = { expression: ExpressionEngine.stringify(tokens), result };
+            this.updateDisplay();
+            return result;
+        }
+        
+        // TAX+ 加税（× (1 + 税率)）、TAX− 除税（÷ (1 + 税率)）；有待算的表达式时作用于整个表达式
+        applyTax(add) {
+            const base = this.buildExpressionTokens();
+            const rate = this.settings.taxRate;
+            let baseValue;
+            try {
+                baseValue = this.evaluateTokens(base);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            
+            const tokens = [
+                ...this.groupTokens(base),
+                { type: 'operator', value: add ? '×' : '÷' },
+                { type: 'lparen' },
+                { type: 'number', value: '1' },
+                { type: 'operator', value: '+' },
+                { type: 'number', value: rate },
+                { type: 'postfix', value: '%' },
+                { type: 'rparen' }
+            ];
+            const result = this.completeCalculation(tokens, 'tax');
+            if (result === null) return;
+            this.lastOperation = null;
+            
+            const arithmetic = this.getArithmetic();
+            const [gross, net] = add ? [result, baseValue] : [baseValue, result];
+            const tax = arithmetic.toString(arithmetic.subtract(arithmetic.fromString(gross), arithmetic.fromString(net)));
+            this.showNotification(`${add ? '含税价' : '不含税价'} ${result}，税额 ${tax}（税率 ${rate}%）`, 3000);
+        }
+        
+        // 税率键：刚输入数值时把它设为税率，否则显示当前税率
+        setTaxRate() {
+            if (this.resetScreen || this.awaitingOperand) {
+                this.showNotification(`当前税率 ${this.settings.taxRate}%，输入数值后按“税率”修改`);
+                return;
+            }
+            
+            let rate;
+            try {
+                rate = Number(this.complexToReal(this.fractionToDecimal(this.currentInput)));
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                rate = NaN;
+            }
+            if (!(rate >= 0 && rate <= CONFIG.MAX_TAX_RATE)) {
+                this.showNotification(`税率必须在 0 – ${CONFIG.MAX_TAX_RATE}% 之间`);
+                return;
+            }
+            
+            this.settings.taxRate = FloatArithmetic.toString(rate);
+            this.saveSettings();
+            this.updateTaxKeys();
+            this.resetScreen = true;
+            this.showNotification(`税率已设为 ${this.settings.taxRate}%`);
+        }
+        
+        updateTaxKeys() {
+            this.elements.businessBar.querySelectorAll('[data-business^="tax"]').forEach(key => {
+                key.title = `税率 ${this.settings.taxRate}%`;
+            });
+        }
+        
+        // 标准模式商用键
+        handleBusinessKey(key) {
+            this.hideMatrixResult();
+            
+            switch(key) {
+                case 'rate':
+                    this.setTaxRate();
+                    break;
+                case 'tax+':
+                case 'tax-':
+                    this.applyTax(key === 'tax+');
+                    break;
+                case 'Δ%':
+                    this.appendOperator('Δ%');
+                    break;
+                case 'margin':
+                    this.finance.tool = 'margin';
+                    this.saveFinance();
+                    this.openFinancePanel();
+                    break;
+            }
+        }
+        
+        // 取出最外层最右边的二元运算符及其右侧的操作数，如 2 × (3 + 4) → × (3 + 4)
+        extractLastOperation(tokens) {
+            let depth = 0;
+            
+            for (let i = tokens.length - 1; i > 0; i--) {
+                const token = tokens[i];
+                if (token.type === 'rparen') {
+                    depth++;
+                } else if (token.type === 'lparen') {
+                    depth--;
+                } else if (depth === 0 && token.type === 'operator' && ExpressionEngine.isBinaryOperator(tokens, i)) {
+                    return {
+                        operator: token.value,
+                        operand: tokens.slice(i + 1).map(item => ({ ...item }))
+                    };
+                }
+            }
+            
+            return null;
+        }
+        
+        // 切换 K 常数模式：锁定上一次运算，之后每次按等号都对显示值应用该运算
+        toggleConstantMode() {
+            if (this.constantOperation) {
+                this.constantOperation = null;
+                this.updateConstantIndicator();
+                this.showNotification('已关闭常数模式');
+                return;
+            }
+            
+            // 有未完成的表达式时先求值，如 5 × 3 K 锁定 × 3
+            if (this.expression.length > 0) this.calculate();
+            if (!this.lastOperation) {
+                this.showNotification('请先完成一次运算，再锁定常数');
+                return;
+            }
+            
+            this.constantOperation = {
+                operator: this.lastOperation.operator,
+                operand: this.lastOperation.operand.map(token => ({ ...token }))
+            };
+            this.updateConstantIndicator();
+            this.showNotification(`常数模式: ${this.formatOperation(this.constantOperation)}`);
+        }
+        
+        formatOperation(operation) {
+            return `${operation.operator} ${ExpressionEngine.stringify(operation.operand)}`;
+        }
+        
+        updateConstantIndicator() {
+            const indicator = this.elements.constantIndicator;
+            indicator.classList.toggle('show', !!this.constantOperation);
+            indicator.textContent = this.constantOperation ? `K ${this.formatOperation(this.constantOperation)}` : 'K';
+        }
+        
+        // 数制改变后，按旧数制记录的重复运算与常数失效
+        clearRepeatOperations() {
+            this.lastOperation = null;
+            this.constantOperation = null;
+            this.updateConstantIndicator();
+        }
+        
+        // 生成结构化的历史记录，operator 为表达式最外层的运算
+        // kind：normal 普通计算、repeat 连续按等号、constant K 常数模式（面板计算的记录另见 addPanelResult）
+        createHistoryEntry(tokens, result, kind = 'normal') {
+            const root = ExpressionEngine.parse(tokens);
+            let operator = null;
+            switch(root.type) {
+                case 'binary': case 'postfix':
+                    operator = root.operator;
+                    break;
+                case 'unary':
+                    operator = '-';
+                    break;
+                case 'call':
+                    operator = root.name;
+                    break;
+            }
+            
+            return {
+                expression: ExpressionEngine.stringify(tokens),
+                tokens: tokens.map(token => ({ ...token })),
+                operands: tokens.filter(token => token.type === 'number').map(token => token.value),
+                operator,
+                result,
+                kind,
+                timestamp: Date.now(),
+                mode: this.mode,
+                base: this.currentBase
+            };
+        }
+        
+        // 添加到历史记录
+        addToHistory(entry) {
+            this.history.unshift(entry);
+            if (this.history.length > CONFIG.MAX_HISTORY) {
+                this.history.pop();
+            }
+            this.saveHistory();
+        }
+        
+        // 加载历史记录（忽略无法识别的旧数据）
+        loadHistory() {
+            const savedHistory = StorageManager.load(CONFIG.HISTORY_KEY);
+            if (Array.isArray(savedHistory)) {
+                this.history = savedHistory
+                    .filter(entry => entry && typeof entry.result === 'string' && Array.isArray(entry.tokens) && CONFIG.MODES[entry.mode])
+                    .slice(0, CONFIG.MAX_HISTORY);
+            }
+        }
+        
+        saveHistory() {
+            StorageManager.save(CONFIG.HISTORY_KEY, this.history);
+        }
+        
+        clearHistory() {
+            this.history = [];
+            this.saveHistory();
+            this.renderHistory();
+            this.showNotification('历史记录已清空');
+        }
+        
+        // 渲染历史记录列表
+        renderHistory() {
+            const fragment = document.createDocumentFragment();
+            
+            this.history.forEach((entry, index) => {
+                const item = document.createElement('div');
+                item.className = 'history-item';
+                item.setAttribute('data-index', index);
+                
+                const expression = document.createElement('div');
+                expression.className = 'history-expression';
+                expression.textContent = entry.expression;
+                
+                const result = document.createElement('div');
+                result.className = 'history-result';
+                result.textContent = `= ${entry.result}`;
+                
+                const meta = document.createElement('div');
+                meta.className = 'history-meta';
+                const labels = [this.formatHistoryTime(entry.timestamp), CONFIG.MODES[entry.mode].label];
+                if (entry.mode === 'programmer') labels.push(entry.base.toUpperCase());
+                if (entry.kind === 'repeat') labels.push('重复 =');
+                if (entry.kind === 'constant') labels.push('K 常数');
+                if (entry.kind === 'calculus') labels.push('数值微积分');
+                if (entry.kind === 'matrix') labels.push('矩阵');
+                if (entry.kind === 'percent') labels.push('百分比');
+                if (entry.kind === 'tax') labels.push('税额');
+                meta.textContent = labels.join(' · ');
+                
+                item.append(expression, result, meta);
+                fragment.appendChild(item);
+            });
+            
+            this.elements.historyList.innerHTML = '';
+            this.elements.historyList.appendChild(fragment);
+            this.elements.historyEmpty.classList.toggle('show', this.history.length === 0);
+        }
+        
+        // 当天只显示时间，否则显示月日和时间
+        formatHistoryTime(timestamp) {
+            const date = new Date(timestamp);
+            const pad = (n) => String(n).padStart(2, '0');
+            const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            
+            if (date.toDateString() === new Date().toDateString()) return time;
+            return `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${time}`;
+        }
+        
+        // 把 source（{ mode, base }）下的数字转换为当前模式与进制下的表示
+        convertNumber(text, source) {
+            if (!this.isFractionActive()) text = this.fractionToDecimal(text);
+            if (!this.isComplexActive()) text = this.complexToReal(text);
+            
+            const fromProgrammer = source.mode === 'programmer';
+            const toProgrammer = this.mode === 'programmer';
+            if (!fromProgrammer && !toProgrammer) return text;
+            if (fromProgrammer && toProgrammer && source.base === this.currentBase) return text;
+            
+            const decimalText = fromProgrammer
+                ? new ProgrammerArithmetic(this.settings.wordSize, this.settings.signed, source.base).fromString(text).toString()
+                : text;
+            if (!toProgrammer) return decimalText;
+            
+            const arithmetic = this.getArithmetic();
+            return arithmetic.toString(arithmetic.fromDecimalString(decimalText));
+        }
+        
+        // 把数值作为当前操作数插入
+        insertOperand(value) {
+            this.beginOperand();
+            this.currentInput = value;
+            this.resetScreen = true;
+            this.updateDisplay();
+        }
+        
+        // 调用历史结果作为当前操作数
+        recallResult(entry) {
+            let value;
+            try {
+                value = this.convertNumber(entry.result, entry);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            
+            this.insertOperand(value);
+            this.showNotification(`已调用结果: ${entry.result}`);
+        }
+        
+        // 载入整个表达式，最后一个数字可以继续编辑
+        recallExpression(entry) {
+            let tokens;
+            try {
+                tokens = entry.tokens.map(token => token.type === 'number'
+                    ? { type: 'number', value: this.convertNumber(token.value, entry) }
+                    : { ...token });
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            
+            this.resetExpression();
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === 'number') {
+                this.expression = tokens.slice(0, -1);
+                this.currentInput = last.value;
+                this.resetScreen = false;
+            } else {
+                this.expression = tokens;
+                this.refreshOperandValue();
+            }
+            
+            this.updateDisplay();
+            this.showNotification(`已载入: ${entry.expression}`);
+        }
+        
+        // 存储器按键：MC 清除、MR 调用、M+ / M− 累加、MS 存入
+        handleMemoryKey(key) {
+            switch(key) {
+                case 'MC':
+                    this.memory.register = null;
+                    this.showNotification('存储器已清除');
+                    break;
+                case 'MR':
+                    if (this.memory.register === null) {
+                        this.showNotification('存储器为空');
+                        return;
+                    }
+                    try {
+                        this.insertOperand(this.convertNumber(this.memory.register, { mode: 'standard' }));
+                    } catch (error) {
+                        if (!(error instanceof CalculationError)) throw error;
+                        this.showNotification(error.message);
+                    }
+                    return;
+                case 'M+':
+                case 'M-':
+                    this.accumulateMemory(key === 'M+' ? 'add' : 'subtract');
+                    break;
+                case 'MS': {
+                    const value = this.readDisplayValue();
+                    if (value === null) return;
+                    this.memory.register = value;
+                    this.resetScreen = true;
+                    this.showNotification(`已存入 M: ${value}`);
+                    break;
+                }
+                case 'vars':
+                    this.renderVariables();
+                    this.elements.variablesPanel.classList.add('show');
+                    this.elements.overlay.classList.add('show');
+                    return;
+            }
+            
+            this.saveMemory();
+            this.updateMemoryIndicator();
+        }
+        
+        // 读取显示的数值并转为十进制字符串，无效时提示并返回 null
+        readDisplayValue() {
+            const arithmetic = this.getArithmetic();
+            try {
+                const value = arithmetic.toString(arithmetic.fromString(this.currentInput));
+                return this.mode === 'programmer' ? arithmetic.fromString(value).toString() : value;
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification('当前显示不是有效数字');
+                return null;
+            }
+        }
+        
+        // 用当前运算方式把显示值加到（或减出）存储器
+        accumulateMemory(method) {
+            const arithmetic = this.getArithmetic();
+            
+            try {
+                const stored = arithmetic.fromString(this.convertNumber(this.memory.register || '0', { mode: 'standard' }));
+                const result = arithmetic.toString(arithmetic[method](stored, arithmetic.fromString(this.currentInput)));
+                this.memory.register = this.mode === 'programmer' ? arithmetic.fromString(result).toString() : result;
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            
+            this.resetScreen = true;
+            this.showNotification(`M = ${this.memory.register}`);
+        }
+        
+        storeVariable(name) {
+            const value = this.readDisplayValue();
+            if (value === null) return;
+            
+            this.memory.variables[name] = value;
+            this.resetScreen = true;
+            this.saveMemory();
+            this.renderVariables();
+            this.showNotification(`已存入 ${name}: ${value}`);
+        }
+        
+        recallVariable(name) {
+            const value = this.memory.variables[name];
+            if (value === undefined) {
+                this.showNotification(`变量 ${name} 未赋值`);
+                return;
+            }
+            
+            try {
+                this.insertOperand(this.convertNumber(value, { mode: 'standard' }));
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            this.closePanel(this.elements.variablesPanel);
+        }
+        
+        // 渲染命名变量列表
+        renderVariables() {
+            const fragment = document.createDocumentFragment();
+            
+            CONFIG.MEMORY_VARIABLES.forEach(name => {
+                const item = document.createElement('div');
+                item.className = 'variable-item';
+                item.setAttribute('data-variable', name);
+                
+                const label = document.createElement('div');
+                label.className = 'variable-name';
+                label.textContent = name;
+                
+                const value = document.createElement('div');
+                value.className = 'variable-value';
+                value.textContent = this.memory.variables[name] !== undefined ? this.memory.variables[name] : '—';
+                
+                const store = document.createElement('div');
+                store.className = 'variable-action';
+                store.setAttribute('data-action', 'store');
+                store.textContent = '存入';
+                
+                const recall = document.createElement('div');
+                recall.className = 'variable-action';
+                recall.setAttribute('data-action', 'recall');
+                recall.textContent = '调用';
+                
+                item.append(label, value, store, recall);
+                fragment.appendChild(item);
             });
-            this.activeSpots.clear();
+            
+            this.elements.variablesList.innerHTML = '';
+            this.elements.variablesList.appendChild(fragment);
         }
-    }
-    
-    // 计算器核心类
-    class Calculator {
-        constructor() {
-            this.currentInput = '0';
-            this.previousInput = '';
-            this.operation = null;
-            this.resetScreen = false;
-            this.isScientific = false;
-            this.isFullscreen = false;
-            this.currentBase = 'dec';
-            this.history = [];
+        
+        updateMemoryIndicator() {
+            const hasValue = this.memory.register !== null;
+            this.elements.memoryIndicator.classList.toggle('show', hasValue);
+            this.elements.memoryIndicator.title = hasValue ? `M = ${this.memory.register}` : '';
+        }
+        
+        // 加载存储器与变量（忽略无效数据）
+        loadMemory() {
+            const savedMemory = StorageManager.load(CONFIG.MEMORY_KEY);
+            if (savedMemory) {
+                if (typeof savedMemory.register === 'string') this.memory.register = savedMemory.register;
+                CONFIG.MEMORY_VARIABLES.forEach(name => {
+                    const value = savedMemory.variables && savedMemory.variables[name];
+                    if (typeof value === 'string') this.memory.variables[name] = value;
+                });
+            }
+            this.updateMemoryIndicator();
+        }
+        
+        saveMemory() {
+            StorageManager.save(CONFIG.MEMORY_KEY, this.memory);
+            this.recordUndoState();
+        }
+        
+        // 打开单位换算面板，以当前显示值作为换算源
+        openUnitsPanel() {
+            this.renderUnitCategories();
+            this.renderUnitOptions();
+            this.elements.unitFromValue.value = this.displayDecimalText();
+            this.updateUnitConversion('from');
             
-            // 光效配置
-            this.effectsConfig = { ...CONFIG.DEFAULT_EFFECTS };
+            this.elements.unitsPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+        }
+        
+        // 当前显示值的十进制文本，不是实数时返回空字符串
+        displayDecimalText() {
+            try {
+                const value = this.getArithmetic().fromString(this.currentInput);
+                if (this.mode === 'programmer') return value.toString();
+                return this.complexToReal(this.fractionToDecimal(this.currentInput));
+            } catch (error) {
+                if (error instanceof CalculationError) return '';
+                throw error;
+            }
+        }
+        
+        renderUnitCategories() {
+            const fragment = document.createDocumentFragment();
             
-            // 性能优化对象
-            this.ripplePool = null;
-            this.lightSpotPool = null;
-            this.buttonGridMap = new Map();
-            this.buttonPositions = [];
-            this.gridColumns = 4;
+            Object.entries(UnitConverter.CATEGORIES).forEach(([key, category]) => {
+                const chip = document.createElement('div');
+                chip.className = 'unit-category';
+                chip.classList.toggle('active', key === this.settings.unitConversion.category);
+                chip.setAttribute('data-category', key);
+                chip.textContent = category.name;
+                fragment.appendChild(chip);
+            });
             
-            // DOM元素缓存
-            this.elements = {};
+            this.elements.unitCategories.innerHTML = '';
+            this.elements.unitCategories.appendChild(fragment);
+        }
+        
+        // 用当前分类的单位填充两侧下拉框
+        renderUnitOptions() {
+            const { category, from, to } = this.settings.unitConversion;
+            const units = UnitConverter.CATEGORIES[category].units;
             
-            // 初始化
-            this.init();
+            [[this.elements.unitFromSelect, from], [this.elements.unitToSelect, to]].forEach(([select, selected]) => {
+                select.innerHTML = '';
+                Object.entries(units).forEach(([symbol, unit]) => {
+                    const option = document.createElement('option');
+                    option.value = symbol;
+                    option.textContent = `${unit.name} ${symbol}`;
+                    select.appendChild(option);
+                });
+                select.value = selected;
+            });
         }
         
-        init() {
-            this.cacheElements();
-            this.loadEffectsConfig();
-            this.initEventListeners();
-            this.initPerformancePools();
-            this.initButtonGridMap();
-            this.updateDisplay();
-            this.updateCSSVariables();
-            this.updateSliderVisuals();
+        // 切换分类时两侧单位回到该分类的默认组合
+        selectUnitCategory(category) {
+            if (category === this.settings.unitConversion.category) return;
             
-            // 初始加载效果
-            setTimeout(() => {
-                this.showLoading(false);
-                this.showNotification('计算器已就绪');
-            }, 800);
+            const [from, to] = UnitConverter.CATEGORIES[category].defaults;
+            this.setUnitSelection({ category, from, to });
+            
+            this.renderUnitCategories();
+            this.renderUnitOptions();
+            this.updateUnitConversion('from');
         }
         
-        cacheElements() {
-            // 缓存所有DOM元素，减少DOM查询
-            this.elements = {
-                display: document.getElementById('display'),
-                calculator: document.getElementById('calculator'),
-                lightField: document.getElementById('lightField'),
-                buttons: document.getElementById('buttons'),
-                moreOptions: document.getElementById('moreOptions'),
-                colorPanel: document.getElementById('colorPanel'),
-                effectSettingsPanel: document.getElementById('effectSettingsPanel'),
-                conversionPanel: document.getElementById('conversionPanel'),
-                overlay: document.getElementById('overlay'),
-                closeColorPanel: document.getElementById('closeColorPanel'),
-                closeEffectPanel: document.getElementById('closeEffectPanel'),
-                closeConversionPanel: document.getElementById('closeConversionPanel'),
-                conversionInput: document.getElementById('conversionInput'),
-                conversionResult: document.getElementById('conversionResult'),
-                backArrow: document.getElementById('backArrow'),
-                fullscreenBtn: document.getElementById('fullscreenBtn'),
-                modeBtn: document.getElementById('modeBtn'),
-                currentMode: document.getElementById('currentMode'),
-                clearBtn: document.getElementById('clearBtn'),
-                deleteBtn: document.getElementById('deleteBtn'),
-                conversionBtn: document.getElementById('conversionBtn'),
-                baseIndicator: document.getElementById('baseIndicator'),
-                notification: document.getElementById('notification'),
-                notificationContent: document.getElementById('notificationContent'),
-                loading: document.getElementById('loading'),
+        // 根据 source 一侧（from / to）的输入换算另一侧
+        updateUnitConversion(source) {
+            const { category, from, to } = this.settings.unitConversion;
+            const input = source === 'from' ? this.elements.unitFromValue : this.elements.unitToValue;
+            const output = source === 'from' ? this.elements.unitToValue : this.elements.unitFromValue;
+            const text = input.value.trim();
+            
+            input.classList.remove('invalid');
+            this.elements.unitFormula.textContent = this.formatUnitFormula();
+            if (text === '') {
+                output.value = '';
+                return;
+            }
+            
+            try {
+                const value = Number(FloatArithmetic.fromString(text));
+                output.value = source === 'from'
+                    ? FloatArithmetic.toString(UnitConverter.convert(value, category, from, to))
+                    : FloatArithmetic.toString(UnitConverter.convert(value, category, to, from));
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                input.classList.add('invalid');
+                output.value = '';
+                this.elements.unitFormula.textContent = error.message;
+            }
+        }
+        
+        // 换算关系说明，如“1 米 = 3.28083989501 英尺”
+        formatUnitFormula() {
+            const { category, from, to } = this.settings.unitConversion;
+            const units = UnitConverter.CATEGORIES[category].units;
+            const value = FloatArithmetic.toString(UnitConverter.convert(1, category, from, to));
+            return `1 ${units[from].name} = ${value} ${units[to].name}`;
+        }
+        
+        // 更新并保存单位选择（整体替换，不改动默认设置中的对象）
+        setUnitSelection(changes) {
+            this.settings.unitConversion = { ...this.settings.unitConversion, ...changes };
+            this.saveSettings();
+        }
+        
+        swapUnits() {
+            const { from, to } = this.settings.unitConversion;
+            this.setUnitSelection({ from: to, to: from });
+            
+            const { unitFromValue, unitToValue } = this.elements;
+            [unitFromValue.value, unitToValue.value] = [unitToValue.value, unitFromValue.value];
+            this.renderUnitOptions();
+            this.updateUnitConversion('from');
+        }
+        
+        // 把一侧的数值填入计算器（程序员模式下取整）
+        applyUnitValue(side) {
+            const input = side === 'from' ? this.elements.unitFromValue : this.elements.unitToValue;
+            const symbol = this.settings.unitConversion[side];
+            
+            try {
+                const text = FloatArithmetic.toString(Number(FloatArithmetic.fromString(input.value.trim())));
+                this.insertOperand(this.convertNumber(text, { mode: 'standard' }));
+                this.closePanel(this.elements.unitsPanel);
+                this.showNotification(`已填入 ${text} ${symbol}`);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification('请输入有效数字');
+            }
+        }
+        
+        // 加载汇率表（忽略无效的货币与汇率）
+        loadCurrencies() {
+            const saved = StorageManager.load(CONFIG.CURRENCY_KEY);
+            if (!saved || !saved.rates || !this.isCurrencyCode(saved.base)) return;
+            
+            const rates = {};
+            Object.entries(saved.rates).forEach(([code, rate]) => {
+                if (this.isCurrencyCode(code) && this.parseRate(rate)) rates[code] = String(rate);
+            });
+            rates[saved.base] = '1';
+            
+            this.currencies = {
+                base: saved.base,
+                updated: typeof saved.updated === 'string' ? saved.updated : '',
+                rates,
+                from: rates[saved.from] ? saved.from : saved.base,
+                to: rates[saved.to] ? saved.to : saved.base
+            };
+        }
+        
+        saveCurrencies() {
+            StorageManager.save(CONFIG.CURRENCY_KEY, this.currencies);
+        }
+        
+        isCurrencyCode(code) {
+            return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+        }
+        
+        // 汇率必须是正数，无效时返回 null
+        parseRate(text) {
+            const rate = Decimal.parse(String(text));
+            return rate && !rate.isNegative() && !rate.isZero() ? rate : null;
+        }
+        
+        formatRate(rate) {
+            return Decimal.parse(rate).round(CONFIG.RATE_DISPLAY_DIGITS).toString();
+        }
+        
+        todayString() {
+            const now = new Date();
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        }
+        
+        openCurrencyPanel() {
+            this.renderCurrencies();
+            this.elements.currencyFromValue.value = this.displayDecimalText();
+            this.updateCurrencyConversion('from');
+            
+            this.elements.currencyPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+        }
+        
+        // 渲染汇率表、货币下拉框与基准信息
+        renderCurrencies() {
+            const { base, rates } = this.currencies;
+            const codes = Object.keys(rates).sort((a, b) => (a === base ? -1 : (b === base ? 1 : a.localeCompare(b))));
+            const fragment = document.createDocumentFragment();
+            
+            codes.forEach(code => {
+                const item = document.createElement('div');
+                item.className = 'currency-item';
+                item.classList.toggle('base', code === base);
+                item.setAttribute('data-code', code);
                 
-                // 光效设置元素
-                rippleColorRange: document.getElementById('rippleColorRange'),
-                rippleIntensityRange: document.getElementById('rippleIntensityRange'),
-                rippleRadiusRange: document.getElementById('rippleRadiusRange'),
-                rippleDurationRange: document.getElementById('rippleDurationRange'),
-                neighborRadiusRange: document.getElementById('neighborRadiusRange'),
-                rippleColorValue: document.getElementById('rippleColorValue'),
-                rippleIntensityValue: document.getElementById('rippleIntensityValue'),
-                rippleRadiusValue: document.getElementById('rippleRadiusValue'),
-                rippleDurationValue: document.getElementById('rippleDurationValue'),
-                neighborRadiusValue: document.getElementById('neighborRadiusValue'),
+                const label = document.createElement('div');
+                label.className = 'currency-code';
+                label.textContent = code;
                 
-                // 颜色选项
-                colorOptions: document.querySelectorAll('.color-option'),
+                const name = document.createElement('div');
+                name.className = 'currency-name';
+                name.textContent = CONFIG.CURRENCY_NAMES[code] || '';
                 
-                // 转换按钮
-                conversionBtns: document.querySelectorAll('.conversion-btn'),
+                const rate = document.createElement('input');
+                rate.className = 'currency-rate';
+                rate.type = 'text';
+                rate.inputMode = 'decimal';
+                rate.value = this.formatRate(rates[code]);
+                rate.disabled = code === base;
                 
-                // 数学符号
-                mathSymbols: document.querySelectorAll('.math-symbol')
+                item.append(label, name, rate);
+                if (code === base) {
+                    const tag = document.createElement('div');
+                    tag.className = 'currency-base-tag';
+                    tag.textContent = '基准';
+                    item.appendChild(tag);
+                } else {
+                    const setBase = document.createElement('div');
+                    setBase.className = 'currency-action';
+                    setBase.setAttribute('data-action', 'base');
+                    setBase.textContent = '设为基准';
+                    
+                    const remove = document.createElement('div');
+                    remove.className = 'currency-action delete';
+                    remove.setAttribute('data-action', 'delete');
+                    remove.textContent = '×';
+                    item.append(setBase, remove);
+                }
+                fragment.appendChild(item);
+            });
+            
+            this.elements.currencyList.innerHTML = '';
+            this.elements.currencyList.appendChild(fragment);
+            
+            [[this.elements.currencyFromSelect, this.currencies.from], [this.elements.currencyToSelect, this.currencies.to]].forEach(([select, selected]) => {
+                select.innerHTML = '';
+                codes.forEach(code => {
+                    const option = document.createElement('option');
+                    option.value = code;
+                    option.textContent = CONFIG.CURRENCY_NAMES[code] ? `${code} ${CONFIG.CURRENCY_NAMES[code]}` : code;
+                    select.appendChild(option);
+                });
+                select.value = selected;
+            });
+            
+            this.elements.currencyBase.textContent = `基准货币 ${base}`;
+            this.elements.currencyUpdated.value = this.currencies.updated;
+        }
+        
+        // amount（Decimal）从 from 换算为 to
+        convertCurrency(amount, from, to) {
+            const { rates } = this.currencies;
+            return amount.multiply(Decimal.parse(rates[to])).divide(Decimal.parse(rates[from]), 12);
+        }
+        
+        // 根据 source 一侧（from / to）的金额换算另一侧
+        updateCurrencyConversion(source) {
+            const input = source === 'from' ? this.elements.currencyFromValue : this.elements.currencyToValue;
+            const output = source === 'from' ? this.elements.currencyToValue : this.elements.currencyFromValue;
+            const { from, to } = this.currencies;
+            const text = input.value.trim();
+            const amount = Decimal.parse(text);
+            
+            input.classList.toggle('invalid', text !== '' && !amount);
+            if (!amount) {
+                output.value = '';
+                return;
+            }
+            
+            const result = source === 'from' ? this.convertCurrency(amount, from, to) : this.convertCurrency(amount, to, from);
+            output.value = result.toString();
+        }
+        
+        swapCurrencies() {
+            const { from, to } = this.currencies;
+            this.currencies.from = to;
+            this.currencies.to = from;
+            this.saveCurrencies();
+            
+            const { currencyFromValue, currencyToValue } = this.elements;
+            [currencyFromValue.value, currencyToValue.value] = [currencyToValue.value, currencyFromValue.value];
+            this.renderCurrencies();
+            this.updateCurrencyConversion('from');
+        }
+        
+        // 添加或修改货币汇率（1 单位基准货币可兑换的数量）
+        setCurrencyRate(code, rateText) {
+            code = String(code).trim().toUpperCase();
+            const rate = this.parseRate(String(rateText).trim());
+            
+            if (!this.isCurrencyCode(code)) {
+                this.showNotification('货币代码应为三个字母，如 USD');
+                return;
+            }
+            if (code === this.currencies.base) {
+                this.showNotification('基准货币的汇率固定为 1');
+                return;
+            }
+            if (!rate) {
+                this.showNotification('汇率必须是正数');
+                this.renderCurrencies();
+                return;
+            }
+            
+            const isNew = !this.currencies.rates[code];
+            this.currencies.rates[code] = rate.round(CONFIG.RATE_PRECISION).toString();
+            if (isNew && this.currencies.to === this.currencies.base) this.currencies.to = code;
+            this.currencies.updated = this.todayString();
+            this.saveCurrencies();
+            
+            this.elements.currencyCodeInput.value = '';
+            this.elements.currencyRateInput.value = '';
+            this.renderCurrencies();
+            this.updateCurrencyConversion('from');
+            this.showNotification(`${isNew ? '已添加' : '已更新'} 1 ${this.currencies.base} = ${this.formatRate(this.currencies.rates[code])} ${code}`);
+        }
+        
+        deleteCurrency(code) {
+            delete this.currencies.rates[code];
+            if (this.currencies.from === code) this.currencies.from = this.currencies.base;
+            if (this.currencies.to === code) this.currencies.to = this.currencies.base;
+            this.saveCurrencies();
+            
+            this.renderCurrencies();
+            this.updateCurrencyConversion('from');
+            this.showNotification(`已删除 ${code}`);
+        }
+        
+        // 改用 code 作为基准货币，其余汇率按比例折算
+        setBaseCurrency(code) {
+            const pivot = Decimal.parse(this.currencies.rates[code]);
+            Object.keys(this.currencies.rates).forEach(other => {
+                this.currencies.rates[other] = Decimal.parse(this.currencies.rates[other]).divide(pivot, CONFIG.RATE_PRECISION).toString();
+            });
+            this.currencies.rates[code] = '1';
+            this.currencies.base = code;
+            this.saveCurrencies();
+            
+            this.renderCurrencies();
+            this.updateCurrencyConversion('from');
+            this.showNotification(`基准货币已改为 ${code}`);
+        }
+        
+        // 解析粘贴的汇率：JSON（{ base, date, rates } 或 { 代码: 汇率 }）或 CSV（每行“代码,汇率”，可有表头）
+        parseCurrencyRates(text) {
+            const trimmed = text.trim();
+            const imported = { base: null, updated: null, rates: {}, skipped: 0 };
+            let entries;
+            
+            if (trimmed.startsWith('{')) {
+                let data;
+                try {
+                    data = JSON.parse(trimmed);
+                } catch (e) {
+                    throw new CalculationError('JSON 格式错误');
+                }
+                
+                const hasRates = data.rates && typeof data.rates === 'object';
+                if (typeof data.base === 'string') {
+                    imported.base = data.base.toUpperCase();
+                    // 汇率相对于基准货币，基准无效时整份数据都无法使用
+                    if (!this.isCurrencyCode(imported.base)) throw new CalculationError(`无效的基准货币: ${data.base}`);
+                }
+                const date = data.updated || data.date;
+                if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) imported.updated = date.slice(0, 10);
+                entries = Object.entries(hasRates ? data.rates : data)
+                    .filter(([key]) => hasRates || !['base', 'date', 'updated'].includes(key));
+            } else {
+                entries = trimmed.split(/\r?\n/)
+                    .map(line => line.trim())
+                    .filter(line => line && !line.startsWith('#'))
+                    .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+                if (entries.length && !Decimal.parse(entries[0][1] || '')) entries.shift();
+            }
+            
+            entries.forEach(([code, rate]) => {
+                code = String(code).toUpperCase();
+                const value = this.parseRate(String(rate));
+                if (this.isCurrencyCode(code) && value) {
+                    imported.rates[code] = value;
+                } else {
+                    imported.skipped++;
+                }
+            });
+            return imported;
+        }
+        
+        // 导入汇率并与现有汇率表合并；基准货币不同时先折算到同一基准
+        importCurrencyRates(text) {
+            let imported;
+            try {
+                imported = this.parseCurrencyRates(text);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            
+            const codes = Object.keys(imported.rates);
+            if (!codes.length) {
+                this.showNotification('没有可导入的汇率');
+                return;
+            }
+            
+            const current = this.currencies.base;
+            const base = imported.base || current;
+            const rates = { ...imported.rates, [base]: new Decimal(1n) };
+            let replaced = false;
+            
+            if (base !== current) {
+                if (rates[current]) {
+                    // 导入数据包含当前基准货币：折算到当前基准
+                    const pivot = rates[current];
+                    Object.keys(rates).forEach(code => {
+                        rates[code] = rates[code].divide(pivot, CONFIG.RATE_PRECISION);
+                    });
+                } else if (this.currencies.rates[base]) {
+                    this.setBaseCurrency(base);
+                } else {
+                    // 两边没有共同货币，无法折算，改用导入的汇率表
+                    this.currencies.rates = {};
+                    this.currencies.base = base;
+                    this.currencies.from = base;
+                    this.currencies.to = base;
+                    replaced = true;
+                }
+            }
+            
+            Object.entries(rates).forEach(([code, rate]) => {
+                this.currencies.rates[code] = rate.round(CONFIG.RATE_PRECISION).toString();
+            });
+            this.currencies.rates[this.currencies.base] = '1';
+            this.currencies.updated = imported.updated || this.todayString();
+            this.saveCurrencies();
+            
+            this.elements.currencyImportText.value = '';
+            this.elements.currencyImport.classList.remove('show');
+            this.renderCurrencies();
+            this.updateCurrencyConversion('from');
+            const message = replaced
+                ? `没有与 ${current} 共同的货币，汇率表已替换为导入的 ${codes.length} 种货币`
+                : `已导入 ${codes.length} 种货币`;
+            this.showNotification(imported.skipped ? `${message}，跳过 ${imported.skipped} 行` : message, replaced ? 4000 : 2000);
+        }
+        
+        // 把一侧的金额填入计算器
+        applyCurrencyValue(side) {
+            const input = side === 'from' ? this.elements.currencyFromValue : this.elements.currencyToValue;
+            const amount = Decimal.parse(input.value.trim());
+            if (!amount) {
+                this.showNotification('请输入有效金额');
+                return;
+            }
+            
+            const text = amount.toString();
+            try {
+                this.insertOperand(this.convertNumber(text, { mode: 'standard' }));
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            this.closePanel(this.elements.currencyPanel);
+            this.showNotification(`已填入 ${text} ${this.currencies[side]}`);
+        }
+        
+        // 加载统计数据（忽略无效的数据项）
+        loadStatistics() {
+            const saved = StorageManager.load(CONFIG.STATISTICS_KEY);
+            if (!saved) return;
+            
+            const isValue = (text) => typeof text === 'string' && this.parseStatisticsValue(text) !== null;
+            const isFrequency = (text) => typeof text === 'string' && this.parseFrequency(text) !== null;
+            this.statistics = {
+                kind: saved.kind === 'paired' ? 'paired' : 'single',
+                regression: Statistics.REGRESSIONS[saved.regression] ? saved.regression : 'linear',
+                single: Array.isArray(saved.single) ? saved.single.filter(entry => entry && isValue(entry.x) && isFrequency(entry.f)) : [],
+                paired: Array.isArray(saved.paired) ? saved.paired.filter(entry => entry && isValue(entry.x) && isValue(entry.y)) : []
             };
         }
         
-        initPerformancePools() {
-            this.ripplePool = new RipplePool();
-            this.lightSpotPool = new LightSpotPool(this.elements.lightField);
+        saveStatistics() {
+            StorageManager.save(CONFIG.STATISTICS_KEY, this.statistics);
         }
         
-        initButtonGridMap() {
-            const buttonElements = this.elements.buttons.querySelectorAll('.btn');
-            const gridStyle = window.getComputedStyle(this.elements.buttons);
+        // 统计数据按浮点计算，无效时返回 null
+        parseStatisticsValue(text) {
+            text = String(text).trim();
+            const value = Number(text);
+            return text !== '' && isFinite(value) ? value : null;
+        }
+        
+        // 频数必须是正整数
+        parseFrequency(text) {
+            const value = this.parseStatisticsValue(text);
+            return Number.isSafeInteger(value) && value > 0 ? value : null;
+        }
+        
+        // 当前数据类型的数据项
+        statisticsEntries() {
+            return this.statistics[this.statistics.kind];
+        }
+        
+        // 更新统计栏：数据个数、数据类型与等待配对的 x
+        updateStatisticsBar() {
+            const entries = this.statisticsEntries();
+            const n = this.statistics.kind === 'single'
+                ? entries.reduce((total, entry) => total + Number(entry.f), 0)
+                : entries.length;
             
-            this.gridColumns = this.isScientific ? 5 : 4;
-            this.buttonGridMap.clear();
-            this.buttonPositions.length = 0;
+            this.elements.statisticsCount.textContent = `n = ${n}`;
+            this.elements.statisticsPending.textContent = this.pendingStatisticsX === null ? '' : `x = ${this.pendingStatisticsX}，请输入 y`;
+            this.elements.statisticsKindBtn.textContent = this.statistics.kind === 'single' ? '单变量' : '双变量';
+        }
+        
+        // DATA 键：把显示值加入数据表；双变量时第一次按下暂存 x，第二次作为 y 组成一对
+        enterStatisticsData() {
+            const text = this.displayDecimalText();
+            if (this.parseStatisticsValue(text) === null) {
+                this.showNotification('当前显示不是有效实数');
+                return;
+            }
             
-            buttonElements.forEach((btn, index) => {
-                const row = Math.floor(index / this.gridColumns);
-                const col = index % this.gridColumns;
-                this.buttonGridMap.set(btn, {row, col, index});
-                this.buttonPositions.push({btn, row, col, index});
-            });
+            this.resetScreen = true;
+            if (this.statistics.kind === 'paired' && this.pendingStatisticsX === null) {
+                this.pendingStatisticsX = text;
+                this.updateStatisticsBar();
+                return;
+            }
+            
+            const entries = this.statisticsEntries();
+            entries.push(this.statistics.kind === 'single' ? { x: text, f: '1' } : { x: this.pendingStatisticsX, y: text });
+            this.pendingStatisticsX = null;
+            this.saveStatistics();
+            this.updateStatisticsBar();
+            this.showNotification(`已录入第 ${entries.length} 项`);
         }
         
-        initEventListeners() {
-            // 使用事件委托优化按钮点击
-            this.elements.buttons.addEventListener('click', (e) => {
-                const button = e.target.closest('.btn');
-                if (!button) return;
-                
-                e.stopPropagation();
-                this.handleButtonClick(button, e);
-            });
+        // 切换单变量 / 双变量，两种数据分别保存
+        toggleStatisticsKind() {
+            this.statistics.kind = this.statistics.kind === 'single' ? 'paired' : 'single';
+            this.pendingStatisticsX = null;
+            this.saveStatistics();
+            this.updateStatisticsBar();
+            this.showNotification(this.statistics.kind === 'single' ? '单变量统计' : '双变量统计：依次录入 x 与 y');
+        }
+        
+        openStatisticsPanel() {
+            this.renderStatistics();
+            this.elements.statisticsPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+        }
+        
+        // 渲染可编辑的数据表与统计结果
+        renderStatistics() {
+            const paired = this.statistics.kind === 'paired';
+            const secondField = paired ? 'y' : 'f';
+            const fragment = document.createDocumentFragment();
             
-            // 数学符号点击
-            this.elements.mathSymbols.forEach(symbol => {
-                symbol.addEventListener('click', (e) => {
-                    this.handleMathSymbol(symbol, e);
+            this.statisticsEntries().forEach((entry, index) => {
+                const item = document.createElement('div');
+                item.className = 'statistics-item';
+                item.setAttribute('data-index', index);
+                
+                const label = document.createElement('div');
+                label.className = 'statistics-index';
+                label.textContent = index + 1;
+                item.appendChild(label);
+                
+                ['x', secondField].forEach(field => {
+                    const input = document.createElement('input');
+                    input.className = 'statistics-input';
+                    input.type = 'text';
+                    input.inputMode = 'decimal';
+                    input.value = entry[field];
+                    input.title = field === 'f' ? '频数' : field;
+                    input.setAttribute('data-field', field);
+                    item.appendChild(input);
                 });
+                
+                const remove = document.createElement('div');
+                remove.className = 'currency-action delete';
+                remove.setAttribute('data-action', 'delete');
+                remove.textContent = '×';
+                item.appendChild(remove);
+                fragment.appendChild(item);
             });
             
-            // 科学计算按钮（使用事件委托）
-            this.elements.buttons.addEventListener('click', (e) => {
-                const sciBtn = e.target.closest('.scientific-btn');
-                if (sciBtn && this.isScientific) {
-                    e.stopPropagation();
-                    this.handleScientificButton(sciBtn, e);
-                }
-            });
+            this.elements.statisticsList.innerHTML = '';
+            this.elements.statisticsList.appendChild(fragment);
+            this.elements.statisticsSecondInput.placeholder = paired ? 'y' : '频数（默认 1）';
             
-            // 更多选项
-            this.elements.moreOptions.addEventListener('click', (e) => {
-                this.handleButtonEffect(this.elements.moreOptions, e, () => {
-                    this.elements.effectSettingsPanel.classList.add('show');
-                    this.elements.overlay.classList.add('show');
-                });
+            this.elements.regressionSelect.innerHTML = '';
+            Object.entries(Statistics.REGRESSIONS).forEach(([key, regression]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = `${regression.name}回归`;
+                this.elements.regressionSelect.appendChild(option);
             });
+            this.elements.regressionSelect.value = this.statistics.regression;
+            this.elements.statisticsRegression.classList.toggle('show', paired);
             
-            // 进制转换
-            this.elements.conversionBtn.addEventListener('click', (e) => {
-                this.handleButtonEffect(this.elements.conversionBtn, e, () => {
-                    this.elements.conversionInput.value = this.currentInput;
-                    this.elements.conversionPanel.classList.add('show');
-                    this.elements.overlay.classList.add('show');
-                });
-            });
+            this.renderStatisticsResults();
+        }
+        
+        // 统计量列表：[名称, 数值]，数值为 null 表示无法计算，为数组表示可能有多个（众数）
+        statisticsRows() {
+            const entries = this.statisticsEntries();
+            const xs = entries.map(entry => Number(entry.x));
             
-            // 转换按钮
-            this.elements.conversionBtns.forEach(btn => {
-                btn.addEventListener('click', () => {
-                    this.handleConversion(btn);
-                });
-            });
+            if (this.statistics.kind === 'single') {
+                const summary = Statistics.summarize(xs, entries.map(entry => Number(entry.f)));
+                return [
+                    ['n', summary.n], ['Σx', summary.sum], ['Σx²', summary.sumSquares], ['x̄', summary.mean],
+                    ['中位数', summary.median], ['众数', summary.modes],
+                    ['σ', summary.populationSD], ['s', summary.sampleSD],
+                    ['Q1', summary.q1], ['Q3', summary.q3],
+                    ['最小值', summary.min], ['最大值', summary.max]
+                ];
+            }
             
-            // 颜色选项
-            this.elements.colorOptions.forEach(option => {
-                option.addEventListener('click', () => {
-                    this.handleColorOption(option);
-                });
-            });
+            const summary = Statistics.summarizePairs(xs, entries.map(entry => Number(entry.y)));
+            return [
+                ['n', summary.n], ['x̄', summary.meanX], ['ȳ', summary.meanY],
+                ['Σx', summary.sumX], ['Σy', summary.sumY],
+                ['Σx²', summary.sumX2], ['Σy²', summary.sumY2], ['Σxy', summary.sumXY],
+                ['σx', summary.populationSDX], ['σy', summary.populationSDY],
+                ['sx', summary.sampleSDX], ['sy', summary.sampleSDY]
+            ];
+        }
+        
+        // 计算并渲染统计量与回归结果，无法计算时显示原因
+        renderStatisticsResults() {
+            const { statisticsResults, regressionResults, regressionEquation } = this.elements;
+            const regression = Statistics.REGRESSIONS[this.statistics.regression];
             
-            // 关闭面板
-            this.elements.closeColorPanel.addEventListener('click', () => {
-                this.closePanel(this.elements.colorPanel);
-            });
+            this.renderResultItems(statisticsResults, () => this.statisticsRows());
+            regressionEquation.textContent = regression.equation;
+            if (this.statistics.kind !== 'paired') return;
             
-            this.elements.closeEffectPanel.addEventListener('click', () => {
-                this.closePanel(this.elements.effectSettingsPanel);
+            this.renderResultItems(regressionResults, () => {
+                const entries = this.statisticsEntries();
+                const fit = Statistics.regression(this.statistics.regression,
+                    entries.map(entry => Number(entry.x)), entries.map(entry => Number(entry.y)));
+                return [['a', fit.a], ['b', fit.b], ...(fit.c !== undefined ? [['c', fit.c]] : []), ['r²', fit.r2]];
             });
+        }
+        
+        // 渲染 [名称, 数值] 结果列表，计算出错时显示原因；format 把数值转为文本，无法表示时返回 null
+        // 数值为字符串时是文字说明（如日期），原样显示且不能点击填入
+        renderResultItems(container, computeRows, format = (value) => FloatArithmetic.toString(value)) {
+            container.innerHTML = '';
             
-            this.elements.closeConversionPanel.addEventListener('click', () => {
-                this.closePanel(this.elements.conversionPanel);
-            });
+            let rows;
+            try {
+                rows = computeRows();
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                const message = document.createElement('div');
+                message.className = 'result-message';
+                message.textContent = error.message;
+                container.appendChild(message);
+                return;
+            }
             
-            // 遮罩层点击
-            this.elements.overlay.addEventListener('click', () => {
-                this.closeAllPanels();
+            rows.forEach(([label, value]) => {
+                const isText = typeof value === 'string';
+                const values = isText ? [value] : (Array.isArray(value) ? value : [value]).map(v => this.formatResultValue(v, format));
+                const item = document.createElement('div');
+                item.className = 'result-item';
+                item.setAttribute('data-label', label);
+                // 只有单个有效数值可以点击填入
+                if (!isText && values.length === 1 && values[0] !== null) item.setAttribute('data-value', values[0]);
+                
+                const name = document.createElement('span');
+                name.className = 'result-label';
+                name.textContent = label;
+                
+                const text = document.createElement('span');
+                text.className = 'result-value';
+                text.textContent = values.length === 0 ? '无' : values.map(v => v === null ? '—' : v).join(', ');
+                
+                item.append(name, text);
+                container.appendChild(item);
             });
+        }
+        
+        formatResultValue(value, format) {
+            if (value === null) return null;
+            try {
+                return format(value);
+            } catch (error) {
+                if (error instanceof CalculationError) return null;
+                throw error;
+            }
+        }
+        
+        // 从面板添加数据项；单变量的频数留空时为 1
+        addStatisticsEntry(xText, secondText) {
+            const paired = this.statistics.kind === 'paired';
+            xText = xText.trim();
+            secondText = secondText.trim() || (paired ? '' : '1');
             
-            // 返回箭头
-            this.elements.backArrow.addEventListener('click', (e) => {
-                this.handleButtonEffect(this.elements.backArrow, e, () => {
-                    this.showNotification('返回主界面');
-                });
-            });
+            if (this.parseStatisticsValue(xText) === null) {
+                this.showNotification('请输入有效的 x');
+                return;
+            }
+            if (paired ? this.parseStatisticsValue(secondText) === null : this.parseFrequency(secondText) === null) {
+                this.showNotification(paired ? '请输入有效的 y' : '频数必须是正整数');
+                return;
+            }
             
-            // 全屏按钮
-            this.elements.fullscreenBtn.addEventListener('click', (e) => {
-                this.handleButtonEffect(this.elements.fullscreenBtn, e, () => {
-                    this.toggleFullscreen();
-                });
-            });
+            this.statisticsEntries().push(paired ? { x: xText, y: secondText } : { x: xText, f: secondText });
+            this.saveStatistics();
             
-            // 模式切换
-            this.elements.modeBtn.addEventListener('click', (e) => {
-                this.handleButtonEffect(this.elements.modeBtn, e, () => {
-                    this.toggleMode();
-                });
-            });
+            this.elements.statisticsXInput.value = '';
+            this.elements.statisticsSecondInput.value = '';
+            this.elements.statisticsXInput.focus();
+            this.renderStatistics();
+            this.updateStatisticsBar();
+        }
+        
+        // 修改数据项的一个字段，无效时恢复原值
+        updateStatisticsEntry(index, field, text) {
+            const entry = this.statisticsEntries()[index];
+            text = text.trim();
+            const valid = field === 'f' ? this.parseFrequency(text) !== null : this.parseStatisticsValue(text) !== null;
             
-            // 清除按钮
-            this.elements.clearBtn.addEventListener('click', (e) => {
-                this.handleButtonEffect(this.elements.clearBtn, e, () => {
-                    this.clear();
+            if (valid) {
+                entry[field] = text;
+                this.saveStatistics();
+                this.updateStatisticsBar();
+            } else {
+                this.showNotification(field === 'f' ? '频数必须是正整数' : '请输入有效数字');
+            }
+            this.renderStatistics();
+        }
+        
+        deleteStatisticsEntry(index) {
+            this.statisticsEntries().splice(index, 1);
+            this.saveStatistics();
+            this.renderStatistics();
+            this.updateStatisticsBar();
+        }
+        
+        clearStatistics() {
+            this.statistics[this.statistics.kind] = [];
+            this.pendingStatisticsX = null;
+            this.saveStatistics();
+            this.renderStatistics();
+            this.updateStatisticsBar();
+            this.showNotification('统计数据已清空');
+        }
+        
+        // 把面板中的计算结果填入计算器
+        applyResultValue(panel, label, text) {
+            try {
+                this.insertOperand(this.convertNumber(text, { mode: 'standard' }));
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
+            }
+            this.closePanel(panel);
+            this.showNotification(`已填入 ${label} = ${text}`);
+        }
+        
+        // 科学模式工具键
+        handleToolKey(tool) {
+            switch(tool) {
+                case 'solver':
+                    this.openSolverPanel();
+                    break;
+                case 'graph':
+                    this.openGraphPanel();
+                    break;
+                case 'calculus':
+                    this.openCalculusPanel();
+                    break;
+                case 'matrix':
+                    this.openMatrixPanel();
+                    break;
+            }
+        }
+        
+        openSolverPanel() {
+            // 保留上次输入的系数，首次打开时生成输入框
+            if (!this.elements.solverInputs.children.length) this.renderSolverInputs();
+            this.renderSolverOptions();
+            
+            this.elements.solverPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+        }
+        
+        // 渲染求解类型、规模选项与方程形式
+        renderSolverOptions() {
+            const { type, size } = this.settings.solver;
+            const chips = (container, entries, attribute, selected) => {
+                container.innerHTML = '';
+                entries.forEach(([key, name]) => {
+                    const chip = document.createElement('div');
+                    chip.className = 'solver-chip';
+                    chip.classList.toggle('active', key === String(selected));
+                    chip.setAttribute(attribute, key);
+                    chip.textContent = name;
+                    container.appendChild(chip);
                 });
-            });
+            };
             
-            // 删除按钮（优化长按）
-            this.setupDeleteButton();
+            chips(this.elements.solverTypes, Object.entries(CONFIG.SOLVER_TYPES).map(([key, info]) => [key, info.name]), 'data-type', type);
+            chips(this.elements.solverSizes, Object.entries(CONFIG.SOLVER_TYPES[type].sizes), 'data-size', size);
+            this.elements.solverEquation.textContent = type === 'polynomial'
+                ? this.polynomialLabels(size).map((label, k) => `${label}${['', 'x', 'x²', 'x³', 'x⁴'][size - k]}`).join(' + ') + ' = 0'
+                : `每行一个方程：${Array.from({ length: size }, (_, k) => `a${this.subscript(k + 1)}x${this.subscript(k + 1)}`).join(' + ')} = b`;
+        }
+        
+        // 多项式系数名：最高次项为 a，依次为 b、c……
+        polynomialLabels(degree) {
+            return 'abcde'.slice(0, degree + 1).split('');
+        }
+        
+        subscript(n) {
+            return String(n).replace(/\d/g, digit => '₀₁₂₃₄₅₆₇₈₉'[digit]);
+        }
+        
+        // 切换求解类型或规模，类型改变时规模回到该类型的默认值
+        selectSolver(changes) {
+            const solver = { ...this.settings.solver, ...changes };
+            if (changes.type && changes.type !== this.settings.solver.type) {
+                solver.size = CONFIG.SOLVER_TYPES[changes.type].defaultSize;
+            }
+            if (solver.type === this.settings.solver.type && solver.size === this.settings.solver.size) return;
             
-            // 小数点按钮
-            document.getElementById('decimalBtn').addEventListener('click', (e) => {
-                const btn = document.getElementById('decimalBtn');
-                this.handleButtonEffect(btn, e, () => {
-                    this.addDecimal();
-                });
-            });
+            this.settings.solver = solver;
+            this.saveSettings();
+            this.renderSolverOptions();
+            this.renderSolverInputs();
+        }
+        
+        // 生成系数输入框：多项式一行，线性方程组每个方程一行（末列为常数项）
+        renderSolverInputs() {
+            const { type, size } = this.settings.solver;
+            const container = this.elements.solverInputs;
+            const input = (placeholder, row, col) => {
+                const element = document.createElement('input');
+                element.className = 'solver-input';
+                element.type = 'text';
+                element.inputMode = 'decimal';
+                element.placeholder = placeholder;
+                element.setAttribute('data-row', row);
+                element.setAttribute('data-col', col);
+                return element;
+            };
             
-            // 等号按钮
-            document.getElementById('equalsBtn').addEventListener('click', (e) => {
-                const btn = document.getElementById('equalsBtn');
-                this.handleButtonEffect(btn, e, () => {
-                    this.calculate();
-                });
+            container.innerHTML = '';
+            if (type === 'polynomial') {
+                container.style.gridTemplateColumns = `repeat(${size + 1}, 1fr)`;
+                this.polynomialLabels(size).forEach((label, col) => container.appendChild(input(label, 0, col)));
+            } else {
+                container.style.gridTemplateColumns = `repeat(${size}, 1fr) auto 1fr`;
+                for (let row = 0; row < size; row++) {
+                    for (let col = 0; col < size; col++) container.appendChild(input(`x${this.subscript(col + 1)}`, row, col));
+                    const equals = document.createElement('span');
+                    equals.className = 'solver-equals';
+                    equals.textContent = '=';
+                    container.append(equals, input(`b${this.subscript(row + 1)}`, row, size));
+                }
+            }
+            this.elements.solverResults.innerHTML = '';
+        }
+        
+        // 系数可以是表达式（如 -3/2、√2、π），留空为 0
+        parseCoefficient(text) {
+            text = text.trim();
+            if (text === '') return 0;
+            
+            const arithmetic = FloatArithmetic.withAngleUnit(this.settings.angleUnit);
+            const value = Number(ExpressionEngine.evaluate(ExpressionEngine.parse(ExpressionEngine.tokenize(text)), { arithmetic }));
+            if (!isFinite(value)) throw new CalculationError(`系数无效: ${text}`);
+            return value;
+        }
+        
+        // 读取系数矩阵（按行），任一系数无效时抛出错误
+        readSolverCoefficients() {
+            const rows = [];
+            this.elements.solverInputs.querySelectorAll('input').forEach(element => {
+                const row = parseInt(element.getAttribute('data-row'));
+                const col = parseInt(element.getAttribute('data-col'));
+                (rows[row] = rows[row] || [])[col] = this.parseCoefficient(element.value);
             });
+            return rows;
+        }
+        
+        solveEquation() {
+            const { type } = this.settings.solver;
+            const complex = new ComplexArithmetic(this.settings.complexPolar, this.settings.angleUnit);
             
-            // 光效设置滑块
-            this.setupEffectSliders();
+            this.renderResultItems(this.elements.solverResults, () => {
+                const rows = this.readSolverCoefficients();
+                if (type === 'polynomial') {
+                    return EquationSolver.polynomialRoots(rows[0]).map((root, k) => [`x${this.subscript(k + 1)}`, root]);
+                }
+                
+                const { rank, consistent, solution } = EquationSolver.solveLinearSystem(
+                    rows.map(row => row.slice(0, -1)), rows.map(row => row[row.length - 1]));
+                if (!solution) {
+                    throw new CalculationError(consistent
+                        ? `系数矩阵奇异（秩为 ${rank}），方程组有无穷多解`
+                        : `系数矩阵奇异（秩为 ${rank}），方程组无解`);
+                }
+                // 相对其他分量可忽略的舍入残差视为 0
+                const scale = Math.max(...solution.map(Math.abs));
+                return solution.map((value, k) => [`x${this.subscript(k + 1)}`,
+                    new Complex(Math.abs(value) <= EquationSolver.EPSILON * scale ? 0 : value)]);
+            }, (value) => complex.toString(value));
+        }
+        
+        // 分段执行生成器 task，每段最多 TASK_SLICE_MS 毫秒，段与段之间让出主线程；
+        // 一段内算不完时显示可取消的加载层，算完后以生成器的返回值调用 onComplete
+        runTask(task, onComplete) {
+            const state = { cancelled: false };
+            this.activeTask = state;
             
-            // 键盘支持
-            this.setupKeyboardSupport();
+            const step = () => {
+                if (state.cancelled) return;
+                
+                try {
+                    const deadline = performance.now() + CONFIG.TASK_SLICE_MS;
+                    let next = task.next();
+                    while (!next.done && performance.now() < deadline) next = task.next();
+                    
+                    if (!next.done) {
+                        this.elements.loading.classList.add('cancellable');
+                        this.showLoading(true);
+                        setTimeout(step, 0);
+                        return;
+                    }
+                    
+                    this.finishTask();
+                    onComplete(next.value);
+                } catch (error) {
+                    this.finishTask();
+                    if (!(error instanceof CalculationError)) throw error;
+                    this.showNotification(error.message);
+                }
+            };
+            step();
+        }
+        
+        finishTask() {
+            this.activeTask = null;
+            this.elements.loading.classList.remove('cancellable');
+            this.showLoading(false);
+        }
+        
+        cancelTask() {
+            if (!this.activeTask) return;
             
-            // 窗口调整
-            window.addEventListener('resize', PerformanceUtils.debounce(() => {
-                this.adjustLayout();
-            }, CONFIG.DEBOUNDE_DELAY));
+            this.activeTask.cancelled = true;
+            this.finishTask();
+            this.showNotification('计算已取消');
+        }
+        
+        openCalculusPanel() {
+            this.renderCalculusOptions();
+            this.elements.calculusPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+            this.elements.calculusExpression.focus();
+        }
+        
+        // 渲染类型选项、上下限输入框与公式预览
+        renderCalculusOptions() {
+            const kind = this.settings.calculus;
+            const info = CONFIG.CALCULUS_KINDS[kind];
             
-            // 全屏变化监听
-            document.addEventListener('fullscreenchange', () => {
-                this.isFullscreen = !!document.fullscreenElement;
-                document.body.classList.toggle('fullscreen', this.isFullscreen);
+            this.elements.calculusKinds.innerHTML = '';
+            Object.entries(CONFIG.CALCULUS_KINDS).forEach(([key, { name }]) => {
+                const chip = document.createElement('div');
+                chip.className = 'solver-chip';
+                chip.classList.toggle('active', key === kind);
+                chip.setAttribute('data-kind', key);
+                chip.textContent = name;
+                this.elements.calculusKinds.appendChild(chip);
             });
+            
+            if (this.elements.calculusVariable.value.trim() === '') this.elements.calculusVariable.value = info.variable;
+            this.elements.calculusFrom.placeholder = info.bounds[0];
+            this.elements.calculusTo.placeholder = info.bounds[1] || '';
+            this.elements.calculusTo.style.display = info.bounds.length > 1 ? '' : 'none';
+            this.elements.calculusHint.textContent = `${info.hint}；上下限可以是表达式，计算较久时可按 Esc 取消`;
+            this.updateCalculusFormula();
+        }
+        
+        // 切换类型时约束变量换成新类型的默认名（用户改过的保留）
+        selectCalculusKind(kind) {
+            if (kind === this.settings.calculus) return;
+            
+            const variable = this.elements.calculusVariable;
+            if (variable.value.trim() === CONFIG.CALCULUS_KINDS[this.settings.calculus].variable) variable.value = '';
+            this.settings.calculus = kind;
+            this.saveSettings();
+            this.renderCalculusOptions();
+        }
+        
+        // 公式形式，如 ∫[0, π] (sin(x)) dx；未填写的部分用占位符
+        calculusFormula(kind, expression, variable, bounds) {
+            const [from, to] = bounds;
+            switch(kind) {
+                case 'derivative':
+                    return `d/d${variable} (${expression}) |${variable} = ${from}`;
+                case 'integral':
+                    return `∫[${from}, ${to}] (${expression}) d${variable}`;
+                default:
+                    return `${kind === 'sum' ? 'Σ' : 'Π'}[${variable} = ${from}…${to}] (${expression})`;
+            }
+        }
+        
+        updateCalculusFormula() {
+            const kind = this.settings.calculus;
+            const value = (element, placeholder) => element.value.trim() || placeholder;
+            const variable = value(this.elements.calculusVariable, CONFIG.CALCULUS_KINDS[kind].variable);
+            this.elements.calculusFormula.textContent = this.calculusFormula(kind, value(this.elements.calculusExpression, 'f'), variable, [
+                value(this.elements.calculusFrom, 'a'),
+                value(this.elements.calculusTo, 'b')
+            ]);
+        }
+        
+        // 约束变量必须是单个标识符（不能是 e、pi 或函数名）
+        readCalculusVariable() {
+            const text = this.elements.calculusVariable.value.trim();
+            const tokens = text === '' ? [] : ExpressionEngine.tokenize(text);
+            if (tokens.length !== 1 || tokens[0].type !== 'identifier') {
+                throw new CalculationError(`变量名无效: ${text || '（空）'}`);
+            }
+            return tokens[0].value;
+        }
+        
+        parseCalculusBound(element) {
+            if (element.value.trim() === '') throw new CalculationError(`请输入${element.placeholder}`);
+            return this.parseCoefficient(element.value);
         }
         
-        setupDeleteButton() {
-            let deleteLongPressTimer = null;
-            let isDeleteLongPress = false;
-            
-            const handleShortPress = () => {
-                this.deleteLastCharacter();
-            };
+        computeCalculus() {
+            if (this.activeTask) return;
             
-            const handleLongPress = () => {
-                isDeleteLongPress = true;
-                this.clear();
-                this.showNotification('已全部清除');
-                this.elements.deleteBtn.classList.add('vibrate');
-                setTimeout(() => this.elements.deleteBtn.classList.remove('vibrate'), 150);
-            };
-            
-            // 鼠标事件
-            this.elements.deleteBtn.addEventListener('mousedown', (e) => {
-                e.stopPropagation();
-                isDeleteLongPress = false;
-                deleteLongPressTimer = setTimeout(handleLongPress, 500);
-            });
+            const kind = this.settings.calculus;
+            const text = this.elements.calculusExpression.value.trim();
+            const boundElements = [this.elements.calculusFrom, this.elements.calculusTo].slice(0, CONFIG.CALCULUS_KINDS[kind].bounds.length);
             
-            this.elements.deleteBtn.addEventListener('mouseup', (e) => {
-                e.stopPropagation();
-                clearTimeout(deleteLongPressTimer);
+            try {
+                if (text === '') throw new CalculationError('请输入表达式');
+                const variable = this.readCalculusVariable();
+                const bounds = boundElements.map(element => this.parseCalculusBound(element));
+                const formula = this.calculusFormula(kind, text, variable, boundElements.map(element => element.value.trim()));
+                const estimate = (error) => Number(error.toPrecision(2));
                 
-                if (!isDeleteLongPress) {
-                    this.handleButtonEffect(this.elements.deleteBtn, e, handleShortPress);
+                if (kind === 'sum' || kind === 'product') {
+                    const [from, to] = bounds;
+                    if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to)) throw new CalculationError('起始和终止必须是整数');
+                    if (to - from + 1 > CONFIG.CALCULUS_MAX_TERMS) throw new CalculationError(`项数过多，最多 ${CONFIG.CALCULUS_MAX_TERMS} 项`);
+                    
+                    const arithmetic = this.getArithmetic();
+                    const fn = Calculus.compile(text, variable, arithmetic);
+                    this.runTask(Calculus.series(fn, arithmetic, from, to, kind === 'product'), (result) => {
+                        this.addPanelResult(this.elements.calculusPanel, 'calculus', kind, formula, arithmetic.toString(result));
+                    });
+                    return;
                 }
                 
-                isDeleteLongPress = false;
+                const fn = Calculus.real(Calculus.compile(text, variable, FloatArithmetic.withAngleUnit(this.settings.angleUnit)), variable);
+                if (kind === 'derivative') {
+                    const { value, error } = Calculus.derivative(fn, bounds[0]);
+                    this.addPanelResult(this.elements.calculusPanel, 'calculus', kind, formula, FloatArithmetic.toString(value), `误差估计 ±${estimate(error)}`);
+                    return;
+                }
+                
+                this.runTask(Calculus.integrate(fn, bounds[0], bounds[1]), ({ value, error, converged }) => {
+                    this.addPanelResult(this.elements.calculusPanel, 'calculus', kind, formula, FloatArithmetic.toString(value), converged
+                        ? `误差估计 ±${estimate(error)}`
+                        : `未达到精度要求，误差估计 ±${estimate(error)}，结果可能不准确`);
+                });
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+            }
+        }
+        
+        // 面板计算的结果作为当前操作数并记入历史（kind 为 calculus、matrix 等）；
+        // 历史记录的记号序列只含结果，载入时即为该数值
+        addPanelResult(panel, kind, operator, formula, result, note) {
+            this.addToHistory({
+                expression: formula,
+                tokens: [{ type: 'number', value: result }],
+                operands: [],
+                operator,
+                result,
+                kind,
+                timestamp: Date.now(),
+                mode: this.mode,
+                base: this.currentBase
             });
             
-            this.elements.deleteBtn.addEventListener('mouseleave', () => {
-                clearTimeout(deleteLongPressTimer);
-                isDeleteLongPress = false;
-            });
+            this.closePanel(panel);
+            this.hideMatrixResult();
+            this.insertOperand(this.convertNumber(result, { mode: this.mode, base: this.currentBase }));
+            this.showNotification(note ? `${formula} = ${result}（${note}）` : `${formula} = ${result}`, note ? 4000 : 2000);
+        }
+        
+        // 读取保存的命名矩阵，缺失或无效的矩阵为 2×2 空矩阵
+        loadMatrices() {
+            const saved = StorageManager.load(CONFIG.MATRIX_KEY) || {};
+            const isSize = (n) => Number.isInteger(n) && n >= 1 && n <= CONFIG.MATRIX_MAX_SIZE;
+            const isName = (name) => CONFIG.MATRIX_NAMES.includes(name);
+            const slots = {};
             
-            // 触摸事件
-            this.elements.deleteBtn.addEventListener('touchstart', (e) => {
-                e.stopPropagation();
-                isDeleteLongPress = false;
-                deleteLongPressTimer = setTimeout(handleLongPress, 300);
+            CONFIG.MATRIX_NAMES.forEach(name => {
+                const slot = saved.slots && saved.slots[name];
+                const valid = slot && isSize(slot.rows) && isSize(slot.cols) && Array.isArray(slot.values) &&
+                    slot.values.length === slot.rows &&
+                    slot.values.every(row => Array.isArray(row) && row.length === slot.cols && row.every(text => typeof text === 'string'));
+                slots[name] = valid ? { rows: slot.rows, cols: slot.cols, values: slot.values } : this.emptyMatrix(2, 2);
             });
             
-            this.elements.deleteBtn.addEventListener('touchend', (e) => {
-                e.stopPropagation();
-                clearTimeout(deleteLongPressTimer);
-                
-                if (!isDeleteLongPress) {
-                    this.handleButtonEffect(this.elements.deleteBtn, e, handleShortPress);
-                }
-                
-                isDeleteLongPress = false;
+            this.matrices = {
+                active: isName(saved.active) ? saved.active : CONFIG.DEFAULT_MATRICES.active,
+                operation: CONFIG.MATRIX_OPERATIONS[saved.operation] ? saved.operation : CONFIG.DEFAULT_MATRICES.operation,
+                left: isName(saved.left) ? saved.left : CONFIG.DEFAULT_MATRICES.left,
+                right: isName(saved.right) ? saved.right : CONFIG.DEFAULT_MATRICES.right,
+                slots
+            };
+        }
+        
+        saveMatrices() {
+            StorageManager.save(CONFIG.MATRIX_KEY, this.matrices);
+        }
+        
+        emptyMatrix(rows, cols) {
+            return { rows, cols, values: Array.from({ length: rows }, () => new Array(cols).fill('')) };
+        }
+        
+        openMatrixPanel() {
+            this.renderMatrixSlots();
+            this.renderMatrixEditor();
+            this.renderMatrixOperation();
+            
+            this.elements.matrixPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+        }
+        
+        // 命名矩阵选项，显示各自的大小
+        renderMatrixSlots() {
+            this.elements.matrixSlots.innerHTML = '';
+            CONFIG.MATRIX_NAMES.forEach(name => {
+                const { rows, cols } = this.matrices.slots[name];
+                const chip = document.createElement('div');
+                chip.className = 'solver-chip';
+                chip.classList.toggle('active', name === this.matrices.active);
+                chip.setAttribute('data-matrix', name);
+                chip.textContent = `${name} ${rows}×${cols}`;
+                this.elements.matrixSlots.appendChild(chip);
             });
         }
         
-        setupEffectSliders() {
-            // 涟漪颜色
-            this.elements.rippleColorRange.addEventListener('input', PerformanceUtils.throttle((e) => {
-                const hue = parseInt(e.target.value);
-                this.effectsConfig.rippleColor = `hsl(${hue}, 100%, 50%)`;
-                this.effectsConfig.glowColor = this.effectsConfig.rippleColor;
-                this.elements.rippleColorValue.textContent = `Hue: ${hue}°`;
-                this.updateCSSVariables();
-                this.updateSliderVisuals();
-                this.saveEffectsConfig();
-                
-                // 更新颜色选项活动状态
-                this.elements.colorOptions.forEach(opt => opt.classList.remove('active'));
-            }, 50));
+        // 正在编辑的矩阵：大小选择与元素输入框
+        renderMatrixEditor() {
+            const { rows, cols, values } = this.matrices.slots[this.matrices.active];
+            const sizes = (select, selected) => {
+                select.innerHTML = '';
+                for (let n = 1; n <= CONFIG.MATRIX_MAX_SIZE; n++) {
+                    const option = document.createElement('option');
+                    option.value = n;
+                    option.textContent = n;
+                    select.appendChild(option);
+                }
+                select.value = selected;
+            };
+            sizes(this.elements.matrixRowsSelect, rows);
+            sizes(this.elements.matrixColsSelect, cols);
             
-            // 涟漪强度
-            this.elements.rippleIntensityRange.addEventListener('input', PerformanceUtils.throttle((e) => {
-                const value = parseInt(e.target.value);
-                this.effectsConfig.rippleIntensity = value / 100;
-                this.elements.rippleIntensityValue.textContent = `${value}%`;
-                this.updateCSSVariables();
-                this.updateSliderVisuals();
-                this.saveEffectsConfig();
-            }, 50));
+            const container = this.elements.matrixInputs;
+            container.innerHTML = '';
+            container.style.gridTemplateColumns = `repeat(${cols}, minmax(44px, 1fr))`;
+            values.forEach((row, i) => row.forEach((text, j) => {
+                const input = document.createElement('input');
+                input.className = 'solver-input';
+                input.type = 'text';
+                input.value = text;
+                input.placeholder = '0';
+                input.setAttribute('data-row', i);
+                input.setAttribute('data-col', j);
+                container.appendChild(input);
+            }));
+        }
+        
+        // 运算选项；单目运算隐藏第二个运算对象
+        renderMatrixOperation() {
+            const { operation, left, right } = this.matrices;
+            const options = (select, entries, selected) => {
+                if (!select.options.length) {
+                    entries.forEach(([value, text]) => {
+                        const option = document.createElement('option');
+                        option.value = value;
+                        option.textContent = text;
+                        select.appendChild(option);
+                    });
+                }
+                select.value = selected;
+            };
+            const names = CONFIG.MATRIX_NAMES.map(name => [name, name]);
             
-            // 涟漪半径
-            this.elements.rippleRadiusRange.addEventListener('input', PerformanceUtils.throttle((e) => {
-                const value = parseInt(e.target.value);
-                this.effectsConfig.rippleRadius = value;
-                this.elements.rippleRadiusValue.textContent = `${value}px`;
-                this.updateCSSVariables();
-                this.updateSliderVisuals();
-                this.saveEffectsConfig();
-            }, 50));
+            options(this.elements.matrixOperationSelect, Object.entries(CONFIG.MATRIX_OPERATIONS).map(([key, info]) => [key, info.name]), operation);
+            options(this.elements.matrixLeftSelect, names, left);
+            options(this.elements.matrixRightSelect, names, right);
+            this.elements.matrixRightSelect.style.display = CONFIG.MATRIX_OPERATIONS[operation].operands === 2 ? '' : 'none';
+        }
+        
+        selectMatrix(name) {
+            if (name === this.matrices.active) return;
             
-            // 涟漪持续时间
-            this.elements.rippleDurationRange.addEventListener('input', PerformanceUtils.throttle((e) => {
-                const value = parseInt(e.target.value);
-                this.effectsConfig.rippleDuration = value / 10;
-                this.elements.rippleDurationValue.textContent = `${this.effectsConfig.rippleDuration.toFixed(1)}s`;
-                this.updateCSSVariables();
-                this.updateSliderVisuals();
-                this.saveEffectsConfig();
-            }, 50));
+            this.matrices.active = name;
+            this.saveMatrices();
+            this.renderMatrixSlots();
+            this.renderMatrixEditor();
+        }
+        
+        // 改变大小时保留重叠部分的元素
+        resizeMatrix(rows, cols) {
+            const slot = this.matrices.slots[this.matrices.active];
+            const resized = this.emptyMatrix(rows, cols);
+            resized.values.forEach((row, i) => row.forEach((_, j) => {
+                if (i < slot.rows && j < slot.cols) row[j] = slot.values[i][j];
+            }));
             
-            // 相邻按钮影响范围
-            this.elements.neighborRadiusRange.addEventListener('input', PerformanceUtils.throttle((e) => {
-                const value = parseInt(e.target.value);
-                this.effectsConfig.neighborRadius = value;
-                this.elements.neighborRadiusValue.textContent = `${value}`;
-                this.updateSliderVisuals();
-                this.saveEffectsConfig();
-            }, 50));
+            this.matrices.slots[this.matrices.active] = resized;
+            this.saveMatrices();
+            this.renderMatrixSlots();
+            this.renderMatrixEditor();
         }
         
-        setupKeyboardSupport() {
-            document.addEventListener('keydown', (e) => {
-                const key = e.key;
-                if (e.repeat) return;
-                
-                let button = null;
+        clearMatrix() {
+            const { rows, cols } = this.matrices.slots[this.matrices.active];
+            this.matrices.slots[this.matrices.active] = this.emptyMatrix(rows, cols);
+            this.saveMatrices();
+            this.renderMatrixEditor();
+        }
+        
+        // 按当前角度单位计算元素（可以是表达式），出错时指明矩阵与位置
+        readMatrix(name) {
+            return this.matrices.slots[name].values.map((row, i) => row.map((text, j) => {
+                try {
+                    return this.parseCoefficient(text);
+                } catch (error) {
+                    if (!(error instanceof CalculationError)) throw error;
+                    throw new CalculationError(`矩阵 ${name} 第 ${i + 1} 行第 ${j + 1} 列：${error.message}`);
+                }
+            }));
+        }
+        
+        computeMatrix() {
+            const { operation, left, right } = this.matrices;
+            const formula = CONFIG.MATRIX_OPERATIONS[operation].formula.replace('{a}', left).replace('{b}', right);
+            const scalar = (value) => this.addPanelResult(this.elements.matrixPanel, 'matrix', operation, formula, value);
+            
+            try {
+                const a = this.readMatrix(left);
+                const b = CONFIG.MATRIX_OPERATIONS[operation].operands === 2 ? this.readMatrix(right) : null;
                 
-                switch(key) {
-                    case '0': case '1': case '2': case '3': case '4':
-                    case '5': case '6': case '7': case '8': case '9':
-                        button = document.querySelector(`.btn-number[data-number="${key}"]`);
+                switch(operation) {
+                    case 'add': case 'subtract': case 'multiply':
+                        this.showMatrixResult(formula, MatrixMath.clean(MatrixMath[operation](a, b)));
                         break;
-                    case '.':
-                        button = document.getElementById('decimalBtn');
+                    case 'transpose': case 'inverse':
+                        this.showMatrixResult(formula, MatrixMath.clean(MatrixMath[operation](a)));
                         break;
-                    case '+':
-                        button = document.getElementById('addBtn');
+                    case 'rref':
+                        this.showMatrixResult(formula, MatrixMath.clean(MatrixMath.rref(a).matrix));
                         break;
-                    case '-':
-                        button = document.getElementById('subtractBtn');
+                    case 'determinant':
+                        scalar(FloatArithmetic.toString(MatrixMath.determinant(a)));
                         break;
-                    case '*':
-                        button = document.getElementById('multiplyBtn');
+                    case 'rank':
+                        scalar(String(MatrixMath.rank(a)));
                         break;
-                    case '/':
-                        e.preventDefault();
-                        button = document.getElementById('divideBtn');
+                    case 'eigenvalues': {
+                        const complex = new ComplexArithmetic(this.settings.complexPolar, this.settings.angleUnit);
+                        this.showMatrixResult(formula, MatrixMath.eigenvalues(a).map(value => [value]), (value) => complex.toString(value));
+                        break;
+                    }
+                    case 'norm':
+                        scalar(FloatArithmetic.toString(MatrixMath.norm(MatrixMath.toVector(a, left))));
                         break;
-                    case 'Enter': case '=':
-                        button = document.getElementById('equalsBtn');
+                    case 'dot':
+                        scalar(FloatArithmetic.toString(MatrixMath.dot(MatrixMath.toVector(a, left), MatrixMath.toVector(b, right))));
                         break;
-                    case 'Escape': case 'Delete':
-                        button = document.getElementById('clearBtn');
+                    case 'angle': {
+                        const arithmetic = FloatArithmetic.withAngleUnit(this.settings.angleUnit);
+                        scalar(FloatArithmetic.toString(MatrixMath.angle(MatrixMath.toVector(a, left), MatrixMath.toVector(b, right), arithmetic)));
                         break;
-                    case 'Backspace':
-                        button = document.getElementById('deleteBtn');
+                    }
+                    case 'cross': {
+                        const product = MatrixMath.cross(MatrixMath.toVector(a, left), MatrixMath.toVector(b, right));
+                        if (!Array.isArray(product)) {
+                            scalar(FloatArithmetic.toString(product));
+                            break;
+                        }
+                        // 结果与左边的向量同为行向量或列向量
+                        const cleaned = MatrixMath.clean([product])[0];
+                        this.showMatrixResult(formula, a.length === 1 ? [cleaned] : cleaned.map(value => [value]));
                         break;
+                    }
                 }
-                
-                if (button) {
-                    e.preventDefault();
-                    button.click();
-                    
-                    // 视觉反馈
-                    button.style.transform = 'translateY(1px) scale(0.98)';
-                    setTimeout(() => {
-                        button.style.transform = '';
-                    }, 150);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+            }
+        }
+        
+        // 在显示屏上以可滚动的网格显示矩阵结果；只有实数矩阵可以存入命名矩阵
+        showMatrixResult(formula, matrix, format = (value) => FloatArithmetic.toString(value)) {
+            const cells = matrix.map(row => row.map(value => this.formatResultValue(value, format)));
+            this.matrixResult = { formula, cells, real: matrix.every(row => row.every(value => typeof value === 'number')) };
+            
+            this.elements.matrixResultLabel.textContent = `${formula}（${MatrixMath.size(matrix)}）`;
+            const grid = this.elements.matrixResultGrid;
+            grid.innerHTML = '';
+            grid.style.gridTemplateColumns = `repeat(${matrix[0].length}, auto)`;
+            cells.forEach((row, i) => row.forEach((text, j) => {
+                const cell = document.createElement('div');
+                cell.className = 'matrix-cell';
+                cell.textContent = text === null ? '—' : text;
+                if (text !== null) {
+                    cell.setAttribute('data-label', `${formula} [${i + 1}, ${j + 1}]`);
+                    cell.setAttribute('data-value', text);
                 }
+                grid.appendChild(cell);
+            }));
+            
+            const store = this.elements.matrixStoreSelect;
+            store.innerHTML = '<option value="">存入…</option>';
+            CONFIG.MATRIX_NAMES.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = `存入 ${name}`;
+                store.appendChild(option);
             });
+            store.style.display = this.matrixResult.real && cells.flat().every(text => text !== null) ? '' : 'none';
+            
+            this.closePanel(this.elements.matrixPanel);
+            this.elements.matrixResult.classList.add('show');
         }
         
-        // 加载光效配置
-        loadEffectsConfig() {
-            const savedConfig = StorageManager.load(CONFIG.STORAGE_KEY);
-            if (savedConfig) {
-                this.effectsConfig = { ...CONFIG.DEFAULT_EFFECTS, ...savedConfig };
-                
-                // 更新滑块值
-                this.elements.rippleColorRange.value = this.getHueFromColor(this.effectsConfig.rippleColor);
-                this.elements.rippleIntensityRange.value = Math.round(this.effectsConfig.rippleIntensity * 100);
-                this.elements.rippleRadiusRange.value = this.effectsConfig.rippleRadius;
-                this.elements.rippleDurationRange.value = Math.round(this.effectsConfig.rippleDuration * 10);
-                this.elements.neighborRadiusRange.value = this.effectsConfig.neighborRadius;
-                
-                // 更新活动颜色选项
-                this.updateActiveColorOption();
-                
-                this.showNotification('已加载保存的光效设置');
-            }
+        hideMatrixResult() {
+            if (!this.matrixResult) return;
+            this.matrixResult = null;
+            this.elements.matrixResult.classList.remove('show');
         }
         
-        // 保存光效配置
-        saveEffectsConfig() {
-            StorageManager.save(CONFIG.STORAGE_KEY, this.effectsConfig);
+        storeMatrixResult(name) {
+            const { cells } = this.matrixResult;
+            this.matrices.slots[name] = { rows: cells.length, cols: cells[0].length, values: cells.map(row => [...row]) };
+            this.saveMatrices();
+            this.showNotification(`已存入矩阵 ${name}`);
         }
         
-        // 从颜色获取色调
-        getHueFromColor(color) {
-            if (color.startsWith('hsl')) {
-                const match = color.match(/hsl\((\d+)/);
-                return match ? parseInt(match[1]) : 50;
-            }
-            
-            // 处理十六进制颜色
-            const hex = color.replace('#', '');
-            const r = parseInt(hex.substr(0, 2), 16) / 255;
-            const g = parseInt(hex.substr(2, 2), 16) / 255;
-            const b = parseInt(hex.substr(4, 2), 16) / 255;
+        // 读取日期计算的设置，丢弃无效的节假日条目
+        loadDates() {
+            const saved = StorageManager.load(CONFIG.DATE_KEY);
+            if (!saved) return;
             
-            const max = Math.max(r, g, b);
-            const min = Math.min(r, g, b);
-            let h;
+            const holidays = Array.isArray(saved.holidays) ? saved.holidays.filter(entry => typeof entry === 'string') : [];
+            const { invalid } = DateCalculator.parseHolidays(holidays);
+            this.dates = {
+                tool: CONFIG.DATE_TOOLS[saved.tool] ? saved.tool : CONFIG.DEFAULT_DATES.tool,
+                unit: CONFIG.DATE_UNITS[saved.unit] ? saved.unit : CONFIG.DEFAULT_DATES.unit,
+                holidays: holidays.filter(entry => !invalid.includes(entry))
+            };
+        }
+        
+        saveDates() {
+            StorageManager.save(CONFIG.DATE_KEY, this.dates);
+        }
+        
+        // 日期输入框为空时填入今天
+        openDatePanel() {
+            const today = DateCalculator.format(DateCalculator.today());
+            [this.elements.dateStart, this.elements.dateEnd, this.elements.dateBase, this.elements.dateInfo].forEach(input => {
+                if (!input.value) input.value = today;
+            });
             
-            if (max === min) {
-                h = 0;
-            } else {
-                const d = max - min;
-                switch(max) {
-                    case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-                    case g: h = (b - r) / d + 2; break;
-                    case b: h = (r - g) / d + 4; break;
-                }
-                h /= 6;
+            if (!this.elements.dateUnit.options.length) {
+                Object.entries(CONFIG.DATE_UNITS).forEach(([value, name]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = name;
+                    this.elements.dateUnit.appendChild(option);
+                });
             }
+            this.elements.dateUnit.value = this.dates.unit;
+            this.elements.dateHolidaysText.value = this.dates.holidays.join('\n');
             
-            return Math.round(h * 360);
+            this.renderDateTools();
+            this.elements.datePanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
         }
         
-        // 更新活动颜色选项
-        updateActiveColorOption() {
-            this.elements.colorOptions.forEach(option => {
-                const color = option.getAttribute('data-color');
-                option.classList.toggle('active', color === this.effectsConfig.glowColor);
+        renderDateTools() {
+            this.elements.dateTools.innerHTML = '';
+            Object.entries(CONFIG.DATE_TOOLS).forEach(([key, name]) => {
+                const chip = document.createElement('div');
+                chip.className = 'solver-chip';
+                chip.classList.toggle('active', key === this.dates.tool);
+                chip.setAttribute('data-tool', key);
+                chip.textContent = name;
+                this.elements.dateTools.appendChild(chip);
+            });
+            
+            this.elements.datePanel.querySelectorAll('.date-section').forEach(section => {
+                section.classList.toggle('show', section.getAttribute('data-tool') === this.dates.tool);
             });
+            this.renderDateResults();
         }
         
-        // 按钮点击处理
-        handleButtonClick(button, e) {
-            const rect = button.getBoundingClientRect();
-            const x = rect.left + rect.width / 2;
-            const y = rect.top + rect.height / 2;
+        selectDateTool(tool) {
+            if (tool === this.dates.tool) return;
             
-            // 创建光效
-            this.createLightSpot(x, y);
-            this.createRippleEffect(button, e.clientX, e.clientY);
-            this.addButtonGlow(button);
-            this.addNeighborButtonEffects(button);
-            
-            // 处理按钮逻辑
-            if (button.classList.contains('btn-number')) {
-                this.handleNumberButton(button);
-            } else if (button.classList.contains('btn-operator') && !button.classList.contains('btn-clear')) {
-                this.handleOperatorButton(button);
+            this.dates.tool = tool;
+            this.saveDates();
+            this.renderDateTools();
+        }
+        
+        // 节假日每行一个条目，也可以用逗号分隔；有无法识别的条目时不保存
+        saveHolidays(text) {
+            const entries = text.split(/[\n,，]/).map(entry => entry.trim()).filter(entry => entry !== '');
+            const { days, invalid } = DateCalculator.parseHolidays(entries);
+            if (invalid.length) {
+                this.showNotification(`无法识别的节假日: ${invalid.join('、')}`);
+                return;
             }
+            
+            this.dates.holidays = entries;
+            this.saveDates();
+            this.elements.dateHolidaysText.value = entries.join('\n');
+            this.renderDateResults();
+            this.showNotification(`已保存节假日，共 ${days.size} 天`);
         }
         
-        // 数字按钮处理
-        handleNumberButton(button) {
-            const value = button.getAttribute('data-number');
+        readDate(input, label) {
+            const day = DateCalculator.parse(input.value);
+            if (day === null) throw new CalculationError(`请选择${label}`);
+            return day;
+        }
+        
+        renderDateResults() {
+            const holidays = DateCalculator.parseHolidays(this.dates.holidays).days;
             
-            // 进制限制检查
-            if (this.currentBase !== 'dec') {
-                if (this.currentBase === 'bin' && !/^[01]+$/.test(value)) {
-                    this.showNotification('二进制只能输入0和1');
-                    return;
-                } else if (this.currentBase === 'oct' && !/^[0-7]+$/.test(value)) {
-                    this.showNotification('八进制只能输入0-7');
-                    return;
+            this.renderResultItems(this.elements.dateResults, () => {
+                switch(this.dates.tool) {
+                    case 'difference':
+                        return this.dateDifferenceRows(holidays);
+                    case 'offset':
+                        return this.dateOffsetRows(holidays);
+                    default:
+                        return this.dateDescriptionRows(this.readDate(this.elements.dateInfo, '日期'), holidays);
                 }
-            }
-            
-            if (this.currentInput === '0' || this.resetScreen) {
-                this.currentInput = value;
-                this.resetScreen = false;
-            } else {
-                this.currentInput += value;
-            }
+            });
+        }
+        
+        dateDifferenceRows(holidays) {
+            const start = this.readDate(this.elements.dateStart, '开始日期');
+            const end = this.readDate(this.elements.dateEnd, '结束日期');
+            const days = end - start;
+            const { months, days: restDays } = DateCalculator.monthDifference(start, end);
+            const sign = days < 0 ? '-' : '';
+            const years = Math.abs(Math.trunc(months / 12));
             
-            this.updateDisplay();
+            return [
+                ['相差天数', days],
+                ['相差周数', days / 7],
+                ['周 + 天', `${sign}${Math.floor(Math.abs(days) / 7)} 周 ${Math.abs(days) % 7} 天`],
+                ['相差月数', months],
+                ['年 + 月 + 天', `${sign}${years ? `${years} 年 ` : ''}${Math.abs(months % 12)} 个月 ${Math.abs(restDays)} 天`],
+                ['工作日（含首尾）', DateCalculator.businessDays(start, end, holidays)]
+            ];
         }
         
-        // 操作符按钮处理
-        handleOperatorButton(button) {
-            const value = button.textContent;
-            
-            if (value === '%') {
-                this.currentInput = (parseFloat(this.currentInput) / 100).toString();
-                this.updateDisplay();
-                return;
-            }
-            
-            if (this.operation && this.previousInput && !this.resetScreen) {
-                this.calculate();
+        dateOffsetRows(holidays) {
+            const base = this.readDate(this.elements.dateBase, '起始日期');
+            const text = this.elements.dateAmount.value.trim();
+            const amount = Number(text) * Number(this.elements.dateSign.value);
+            if (text === '' || !Number.isInteger(amount) || Math.abs(amount) > CONFIG.MAX_DATE_OFFSET) {
+                throw new CalculationError(`请输入 0 – ${CONFIG.MAX_DATE_OFFSET} 之间的整数`);
             }
             
-            this.previousInput = this.currentInput;
-            this.operation = value;
-            this.resetScreen = true;
+            const day = DateCalculator.add(base, amount, this.dates.unit, holidays);
+            return [
+                ['结果日期', DateCalculator.format(day)],
+                ...this.dateDescriptionRows(day, holidays).slice(1),
+                ['相差天数', day - base]
+            ];
         }
         
-        // 科学计算按钮处理
-        handleScientificButton(button, e) {
-            const rect = button.getBoundingClientRect();
-            const x = rect.left + rect.width / 2;
-            const y = rect.top + rect.height / 2;
+        // 星期、ISO 周、一年中的第几天、距今天数；工作日考虑节假日
+        dateDescriptionRows(day, holidays) {
+            const { year, week } = DateCalculator.isoWeek(day);
+            const weekday = DateCalculator.weekday(day);
+            const kind = DateCalculator.isBusinessDay(day, holidays) ? '工作日' : (holidays.has(day) ? '节假日' : '周末');
             
-            this.createLightSpot(x, y);
-            this.createRippleEffect(button, e.clientX, e.clientY);
-            this.addButtonGlow(button);
+            return [
+                ['日期', DateCalculator.format(day)],
+                ['星期', `${DateCalculator.WEEKDAYS[weekday]}（${kind}）`],
+                ['ISO 周', `${year}-W${String(week).padStart(2, '0')}`],
+                ['ISO 周数', week],
+                ['一年中的第几天', DateCalculator.dayOfYear(day)],
+                ['距今天数', day - DateCalculator.today()]
+            ];
+        }
+        
+        // 读取财务计算的设置，把保存的输入填回输入框
+        loadFinance() {
+            const saved = StorageManager.load(CONFIG.FINANCE_KEY);
+            if (!saved) return;
             
-            const func = button.getAttribute('data-scientific');
-            this.currentInput = this.scientificCalculation(func, this.currentInput);
-            this.updateDisplay();
+            this.finance.tool = CONFIG.FINANCE_TOOLS[saved.tool] ? saved.tool : CONFIG.DEFAULT_FINANCE.tool;
+            const fields = saved.fields && typeof saved.fields === 'object' ? saved.fields : {};
+            this.elements.financePanel.querySelectorAll('[data-field]').forEach(element => {
+                const value = fields[element.getAttribute('data-field')];
+                if (typeof value !== 'string') return;
+                
+                const initial = element.value;
+                element.value = value;
+                // 下拉框没有对应的选项时保留默认值
+                if (element.value !== value) element.value = initial;
+            });
         }
         
-        // 数学符号处理
-        handleMathSymbol(symbol, e) {
-            const rect = symbol.getBoundingClientRect();
-            const x = rect.left + rect.width / 2;
-            const y = rect.top + rect.height / 2;
+        saveFinance() {
+            const fields = {};
+            this.elements.financePanel.querySelectorAll('[data-field]').forEach(element => {
+                fields[element.getAttribute('data-field')] = element.value;
+            });
+            StorageManager.save(CONFIG.FINANCE_KEY, { tool: this.finance.tool, fields });
+        }
+        
+        openFinancePanel() {
+            this.renderFinanceTools();
+            this.elements.financePanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
+        }
+        
+        renderFinanceTools() {
+            this.elements.financeTools.innerHTML = '';
+            Object.entries(CONFIG.FINANCE_TOOLS).forEach(([key, tool]) => {
+                const chip = document.createElement('div');
+                chip.className = 'solver-chip';
+                chip.classList.toggle('active', key === this.finance.tool);
+                chip.setAttribute('data-tool', key);
+                chip.textContent = tool.name;
+                this.elements.financeTools.appendChild(chip);
+            });
             
-            this.createLightSpot(x, y);
+            this.elements.financePanel.querySelectorAll('.finance-section').forEach(section => {
+                section.classList.toggle('show', section.getAttribute('data-tool') === this.finance.tool);
+            });
+            this.elements.financeHint.textContent = CONFIG.FINANCE_TOOLS[this.finance.tool].hint;
+            this.renderFinanceResults();
+        }
+        
+        selectFinanceTool(tool) {
+            if (tool === this.finance.tool) return;
             
-            const sym = symbol.getAttribute('data-symbol');
+            this.finance.tool = tool;
+            this.saveFinance();
+            this.renderFinanceTools();
+        }
+        
+        financeField(field) {
+            return this.elements.financePanel.querySelector(`[data-field="${field}"]`);
+        }
+        
+        // 读取数值输入框（可以是表达式），留空为 0；出错时注明是哪一项
+        readFinanceValue(field) {
+            const element = this.financeField(field);
+            try {
+                return this.parseCoefficient(element.value);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                throw new CalculationError(`${element.getAttribute('data-label')}：${error.message}`);
+            }
+        }
+        
+        readFinancePositive(field, integer = false) {
+            const value = this.readFinanceValue(field);
+            if (value <= 0 || (integer && !Number.isInteger(value))) {
+                const label = this.financeField(field).getAttribute('data-label');
+                throw new CalculationError(integer ? `${label}必须是正整数` : `${label}必须大于 0`);
+            }
+            return value;
+        }
+        
+        // TVM 的五项与付款设置；unknown 为待求的一项，不读取其输入框
+        tvmValues(unknown = null) {
+            const read = (field) => field === unknown ? 0 : this.readFinanceValue(field);
+            const perYear = this.readFinancePositive('perYear');
+            const compounding = this.readFinancePositive('compounding');
             
-            switch(sym) {
-                case 'π':
-                    this.currentInput = Math.PI.toString();
-                    break;
-                case 'e':
-                    this.currentInput = Math.E.toString();
-                    break;
-                case '√':
-                    this.currentInput = this.scientificCalculation('sqrt', this.currentInput);
-                    break;
-                case '^':
-                    this.operation = '^';
-                    this.previousInput = this.currentInput;
-                    this.resetScreen = true;
-                    break;
-                case '!':
-                    this.currentInput = this.scientificCalculation('factorial', parseInt(this.currentInput));
-                    break;
+            return {
+                n: read('n'),
+                i: Finance.periodicRate(read('rate'), perYear, compounding),
+                pv: read('pv'),
+                pmt: read('pmt'),
+                fv: read('fv'),
+                begin: this.financeField('timing').value === 'begin',
+                perYear,
+                compounding
+            };
+        }
+        
+        // 由其余各项求 TVM 的一项，结果填回输入框
+        solveTvm(field) {
+            const label = this.financeField(field).getAttribute('data-label');
+            let text;
+            try {
+                const values = this.tvmValues(field);
+                const result = Finance.solveTvm(field === 'rate' ? 'i' : field, values);
+                text = FloatArithmetic.toString(field === 'rate' ? Finance.annualRate(result, values.perYear, values.compounding) : result);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+                return;
             }
             
-            this.updateDisplay();
+            this.financeField(field).value = text;
+            this.saveFinance();
+            this.renderFinanceResults();
+            this.showNotification(`${label} = ${text}`);
         }
         
-        // 颜色选项处理
-        handleColorOption(option) {
-            const color = option.getAttribute('data-color');
-            this.effectsConfig.glowColor = color;
-            this.effectsConfig.rippleColor = color;
+        renderFinanceResults() {
+            this.financeSchedule = null;
+            this.renderResultItems(this.elements.financeResults, () => {
+                switch(this.finance.tool) {
+                    case 'tvm':
+                        return this.tvmRows();
+                    case 'amortization':
+                        return this.amortizationRows();
+                    case 'compound':
+                        return this.compoundRows();
+                    case 'margin':
+                        return this.marginRows();
+                    default:
+                        return this.cashFlowRows();
+                }
+            });
+            this.renderSchedule();
+        }
+        
+        tvmRows() {
+            const { n, i, pv, pmt, fv, perYear } = this.tvmValues();
+            const payments = n * pmt;
             
-            document.documentElement.style.setProperty('--glow-color', color);
-            this.updateCSSVariables();
-            this.updateSliderVisuals();
+            return [
+                ['每期利率 %', i * 100],
+                ['实际年利率 %', (Math.pow(1 + i, perYear) - 1) * 100],
+                ['付款合计', payments],
+                ['利息合计', Math.abs(pv + payments + fv)]
+            ];
+        }
+        
+        // 计算还款计划并保存到 financeSchedule，返回汇总
+        amortizationRows() {
+            const principal = this.readFinancePositive('loanAmount');
+            const rate = this.readFinanceValue('loanRate');
+            const periods = this.readFinancePositive('loanPeriods', true);
+            if (rate < 0) throw new CalculationError('年利率不能为负');
+            if (periods > CONFIG.MAX_AMORTIZATION_PERIODS) throw new CalculationError(`期数不能超过 ${CONFIG.MAX_AMORTIZATION_PERIODS}`);
             
-            // 更新颜色滑块值
-            const hue = this.getHueFromColor(color);
-            this.elements.rippleColorRange.value = hue;
+            const schedule = Finance.schedule(principal, rate, periods, this.readFinancePositive('loanPerYear'), this.financeField('loanMethod').value);
+            const total = schedule.reduce((sum, row) => sum + row.payment, 0);
+            this.financeSchedule = schedule;
             
-            this.elements.colorPanel.classList.remove('show');
-            this.elements.overlay.classList.remove('show');
+            return [
+                ['首期还款', schedule[0].payment],
+                ['末期还款', schedule[schedule.length - 1].payment],
+                ['还款总额', total],
+                ['利息总额', total - principal]
+            ];
+        }
+        
+        // 还款计划表格；没有有效的计划时清空
+        renderSchedule() {
+            const container = this.elements.financeSchedule;
+            container.innerHTML = '';
+            container.classList.toggle('show', this.financeSchedule !== null);
+            if (!this.financeSchedule) return;
             
-            // 更新活动状态
-            this.elements.colorOptions.forEach(opt => opt.classList.remove('active'));
-            option.classList.add('active');
+            const [header, ...rows] = Finance.scheduleTable(this.financeSchedule);
+            const table = document.createElement('table');
+            const head = document.createElement('thead');
+            const body = document.createElement('tbody');
+            const addRow = (parent, cells, tag) => {
+                const row = document.createElement('tr');
+                cells.forEach(text => {
+                    const cell = document.createElement(tag);
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                parent.appendChild(row);
+            };
             
-            this.saveEffectsConfig();
-            this.showNotification(`光效颜色已更改为${option.querySelector('.color-name').textContent}`);
+            addRow(head, header, 'th');
+            rows.forEach(cells => addRow(body, cells, 'td'));
+            table.append(head, body);
+            container.appendChild(table);
         }
         
-        // 进制转换处理
-        handleConversion(button) {
-            const conversion = button.getAttribute('data-conversion');
-            const inputValue = this.elements.conversionInput.value.trim();
-            
-            if (!inputValue) {
-                this.elements.conversionResult.textContent = '请输入数字';
+        // 还款计划导出为 CSV，带 BOM 以便表格软件识别中文表头
+        exportSchedule() {
+            if (!this.financeSchedule) {
+                this.showNotification('请先填写有效的贷款信息');
                 return;
             }
             
-            let result;
-            
-            switch(conversion) {
-                case 'dec2bin':
-                    result = this.convertBase(inputValue, 'dec', 'bin');
-                    break;
-                case 'dec2oct':
-                    result = this.convertBase(inputValue, 'dec', 'oct');
-                    break;
-                case 'dec2hex':
-                    result = this.convertBase(inputValue, 'dec', 'hex');
-                    break;
-                case 'bin2dec':
-                    result = this.convertBase(inputValue, 'bin', 'dec');
-                    break;
-                case 'oct2dec':
-                    result = this.convertBase(inputValue, 'oct', 'dec');
-                    break;
-                case 'hex2dec':
-                    result = this.convertBase(inputValue, 'hex', 'dec');
-                    break;
-            }
-            
-            this.elements.conversionResult.textContent = result;
+            const csv = Finance.scheduleTable(this.financeSchedule).map(row => row.join(',')).join('\r\n');
+            const url = URL.createObjectURL(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `还款计划-${DateCalculator.format(DateCalculator.today())}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
             
-            // 更新当前显示值
-            if (conversion.startsWith('dec2')) {
-                this.currentInput = result;
-                this.updateDisplay();
-            }
+            this.showNotification(`已导出 ${this.financeSchedule.length} 期还款计划`);
         }
         
-        // 按钮光效处理（通用）
-        handleButtonEffect(button, e, callback) {
-            const rect = button.getBoundingClientRect();
-            const x = rect.left + rect.width / 2;
-            const y = rect.top + rect.height / 2;
-            
-            this.createLightSpot(x, y);
-            this.createRippleEffect(button, e.clientX, e.clientY);
-            this.addButtonGlow(button);
-            this.addNeighborButtonEffects(button);
+        compoundRows() {
+            const principal = this.readFinanceValue('principal');
+            const rate = this.readFinanceValue('compoundRate');
+            const frequency = this.financeField('frequency').value;
+            if (rate <= -100) throw new CalculationError('年利率必须大于 -100%');
             
-            if (callback) callback();
+            const { amount, interest, effectiveRate } = Finance.compound(principal, rate, this.readFinanceValue('years'),
+                frequency === 'continuous' ? frequency : Number(frequency));
+            return [
+                ['终值', amount],
+                ['利息', interest],
+                ['实际年利率 %', effectiveRate],
+                ['翻倍所需年数', effectiveRate > 0 ? Math.LN2 / Math.log1p(effectiveRate / 100) : '不会翻倍']
+            ];
         }
         
-        // 创建光点效果
-        createLightSpot(x, y) {
-            this.lightSpotPool.createSpot(
-                x, y,
-                this.effectsConfig.rippleRadius,
-                this.effectsConfig.rippleIntensity,
-                this.effectsConfig.rippleDuration,
-                this.effectsConfig.rippleColor
-            );
+        // 现金流每行或用逗号分隔一期，每期可以是表达式
+        readCashFlows() {
+            const entries = this.financeField('cashFlows').value.split(/[\n,，;；]/).map(entry => entry.trim()).filter(entry => entry !== '');
+            if (entries.length < 2) throw new CalculationError('请输入至少两期现金流');
             
-            this.elements.lightField.style.opacity = '1';
+            return entries.map((entry, t) => {
+                try {
+                    return this.parseCoefficient(entry);
+                } catch (error) {
+                    if (!(error instanceof CalculationError)) throw error;
+                    throw new CalculationError(`第 ${t} 期：${error.message}`);
+                }
+            });
         }
         
-        // 创建涟漪效果
-        createRippleEffect(button, x, y) {
-            this.ripplePool.createEffect(
-                button,
-                x, y,
-                this.effectsConfig.rippleColor,
-                this.effectsConfig.rippleIntensity,
-                this.effectsConfig.rippleDuration
-            );
+        cashFlowRows() {
+            const flows = this.readCashFlows();
+            const i = this.readFinanceValue('discountRate') / 100;
+            if (i <= -1) throw new CalculationError('折现率必须大于 -100%');
+            
+            const irr = Finance.irr(flows);
+            const payback = Finance.payback(flows);
+            const discountedPayback = Finance.payback(flows, i);
+            return [
+                ['NPV', Finance.npv(i, flows)],
+                ['IRR %', irr === null ? '不存在' : irr * 100],
+                ['回收期（期）', payback === null ? '未回收' : payback],
+                ['折现回收期（期）', discountedPayback === null ? '未回收' : discountedPayback],
+                ['现金流合计', flows.reduce((sum, flow) => sum + flow, 0)],
+                ['期数', flows.length - 1]
+            ];
         }
         
-        // 添加按钮光效
-        addButtonGlow(button) {
-            button.classList.add('btn-glow');
-            setTimeout(() => {
-                button.classList.remove('btn-glow');
-            }, 300);
+        // 成本、售价、利润率（利润 ÷ 售价）、加成率（利润 ÷ 成本）中已知两项，求其余各项
+        marginRows() {
+            const known = ['cost', 'price', 'marginRate', 'markupRate'].filter(field => this.financeField(field).value.trim() !== '');
+            if (known.length !== 2) throw new CalculationError('请在成本、售价、利润率、加成率中填写两项');
+            
+            const rate = (field) => this.readFinanceValue(field) / 100;
+            let cost;
+            let price;
+            if (known.includes('cost') && known.includes('price')) {
+                cost = this.readFinanceValue('cost');
+                price = this.readFinanceValue('price');
+            } else if (known.includes('cost')) {
+                cost = this.readFinanceValue('cost');
+                price = known.includes('marginRate') ? cost / (1 - rate('marginRate')) : cost * (1 + rate('markupRate'));
+            } else if (known.includes('price')) {
+                price = this.readFinanceValue('price');
+                cost = known.includes('marginRate') ? price * (1 - rate('marginRate')) : price / (1 + rate('markupRate'));
+            } else {
+                throw new CalculationError('只有利润率和加成率时无法确定金额，请填写成本或售价');
+            }
+            
+            const profit = price - cost;
+            return [
+                ['成本', cost],
+                ['售价', price],
+                ['利润', profit],
+                ['利润率 %', price === 0 ? null : profit / price * 100],
+                ['加成率 %', cost === 0 ? null : profit / cost * 100]
+            ];
         }
         
-        // 获取相邻按钮
-        getNeighborButtons(button, radius = this.effectsConfig.neighborRadius) {
-            const neighbors = [];
-            const buttonInfo = this.buttonGridMap.get(button);
+        openGraphPanel() {
+            if (!this.graph.expressions.length) this.graph.expressions.push({ text: '', fn: null, error: null });
+            this.renderGraphExpressions();
+            this.elements.graphHint.textContent = `三角函数按当前角度单位（${CONFIG.ANGLE_UNITS[this.settings.angleUnit].label}）计算；拖动平移，滚轮缩放`;
             
-            if (!buttonInfo) return neighbors;
+            this.elements.graphPanel.classList.add('show');
+            this.elements.overlay.classList.add('show');
             
-            const {row, col} = buttonInfo;
+            // 角度单位可能已改变，重新编译
+            this.graph.expressions.forEach((expression, index) => this.compileGraphExpression(index));
+            if (!this.graph.view) this.resetGraphView();
+            this.drawGraph();
+        }
+        
+        // 渲染表达式列表：颜色、输入框与删除按钮
+        renderGraphExpressions() {
+            const fragment = document.createDocumentFragment();
             
-            this.buttonPositions.forEach(item => {
-                if (item.btn === button) return;
+            this.graph.expressions.forEach((expression, index) => {
+                const item = document.createElement('div');
+                item.className = 'graph-expression';
+                item.setAttribute('data-index', index);
                 
-                const rowDiff = Math.abs(item.row - row);
-                const colDiff = Math.abs(item.col - col);
-                const distance = Math.max(rowDiff, colDiff);
+                const color = document.createElement('div');
+                color.className = 'graph-color';
+                color.style.background = CONFIG.GRAPH_COLORS[index];
+                color.textContent = `f${this.subscript(index + 1)}`;
                 
-                if (distance <= radius) {
-                    neighbors.push(item.btn);
-                }
+                const input = document.createElement('input');
+                input.className = 'graph-input';
+                input.type = 'text';
+                input.value = expression.text;
+                input.placeholder = '如 sin(x)、x^2-2、1/x';
+                
+                const remove = document.createElement('div');
+                remove.className = 'currency-action delete';
+                remove.setAttribute('data-action', 'delete');
+                remove.textContent = '×';
+                
+                const error = document.createElement('div');
+                error.className = 'graph-error';
+                
+                item.append(color, input, remove, error);
+                fragment.appendChild(item);
             });
             
-            return neighbors;
+            this.elements.graphExpressions.innerHTML = '';
+            this.elements.graphExpressions.appendChild(fragment);
+            this.graph.expressions.forEach((expression, index) => this.showGraphError(index));
         }
         
-        // 添加相邻按钮光效
-        addNeighborButtonEffects(button) {
-            const neighbors = this.getNeighborButtons(button, this.effectsConfig.neighborRadius);
+        compileGraphExpression(index) {
+            const expression = this.graph.expressions[index];
+            expression.fn = null;
+            expression.error = null;
+            if (expression.text.trim() === '') return;
             
-            neighbors.forEach(neighbor => {
-                neighbor.classList.add('btn-neighbor-glow');
-                
-                setTimeout(() => {
-                    neighbor.classList.remove('btn-neighbor-glow');
-                }, 800);
-            });
+            try {
+                expression.fn = Grapher.compile(expression.text, this.settings.angleUnit);
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                expression.error = error.message;
+            }
+            this.showGraphError(index);
         }
         
-        // 更新滑块视觉效果
-        updateSliderVisuals() {
-            // 更新颜色滑块
-            const hue = parseInt(this.elements.rippleColorRange.value);
-            const color = `hsl(${hue}, 100%, 50%)`;
-            document.getElementById('colorTrack').style.background = color;
-            document.getElementById('colorThumb').style.left = `${(hue / 360) * 100}%`;
-            document.getElementById('colorTrack').style.setProperty('--slider-value', `${(hue / 360) * 100}%`);
-            
-            // 更新强度滑块
-            const intensityPercent = parseInt(this.elements.rippleIntensityRange.value);
-            document.getElementById('intensityTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
-            document.getElementById('intensityThumb').style.left = `${intensityPercent}%`;
-            document.getElementById('intensityTrack').style.setProperty('--slider-value', `${intensityPercent}%`);
+        showGraphError(index) {
+            const item = this.elements.graphExpressions.querySelector(`.graph-expression[data-index="${index}"]`);
+            if (!item) return;
             
-            // 更新半径滑块
-            const radiusPercent = ((parseInt(this.elements.rippleRadiusRange.value) - 50) / 150) * 100;
-            document.getElementById('radiusTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
-            document.getElementById('radiusThumb').style.left = `${radiusPercent}%`;
-            document.getElementById('radiusTrack').style.setProperty('--slider-value', `${radiusPercent}%`);
-            
-            // 更新持续时间滑块
-            const durationPercent = ((parseInt(this.elements.rippleDurationRange.value) - 3) / 12) * 100;
-            document.getElementById('durationTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
-            document.getElementById('durationThumb').style.left = `${durationPercent}%`;
-            document.getElementById('durationTrack').style.setProperty('--slider-value', `${durationPercent}%`);
+            const { error } = this.graph.expressions[index];
+            item.querySelector('.graph-input').classList.toggle('invalid', error !== null);
+            item.querySelector('.graph-error').textContent = error || '';
+        }
+        
+        setGraphExpression(index, text) {
+            this.graph.expressions[index].text = text;
+            this.compileGraphExpression(index);
+            this.drawGraph();
+        }
+        
+        addGraphExpression() {
+            if (this.graph.expressions.length >= CONFIG.GRAPH_COLORS.length) {
+                this.showNotification(`最多同时绘制 ${CONFIG.GRAPH_COLORS.length} 个函数`);
+                return;
+            }
             
-            // 更新相邻范围滑块
-            const neighborPercent = (parseInt(this.elements.neighborRadiusRange.value) / 4) * 100;
-            document.getElementById('neighborTrack').style.background = `linear-gradient(to right, ${this.effectsConfig.rippleColor}, ${this.effectsConfig.rippleColor})`;
-            document.getElementById('neighborThumb').style.left = `${neighborPercent}%`;
-            document.getElementById('neighborTrack').style.setProperty('--slider-value', `${neighborPercent}%`);
+            this.graph.expressions.push({ text: '', fn: null, error: null });
+            this.renderGraphExpressions();
+            const inputs = this.elements.graphExpressions.querySelectorAll('.graph-input');
+            inputs[inputs.length - 1].focus();
         }
         
-        // 更新CSS变量
-        updateCSSVariables() {
-            document.documentElement.style.setProperty('--ripple-color', this.effectsConfig.rippleColor);
-            document.documentElement.style.setProperty('--ripple-intensity', this.effectsConfig.rippleIntensity);
-            document.documentElement.style.setProperty('--ripple-radius', this.effectsConfig.rippleRadius);
-            document.documentElement.style.setProperty('--ripple-duration', `${this.effectsConfig.rippleDuration}s`);
+        removeGraphExpression(index) {
+            this.graph.expressions.splice(index, 1);
+            if (!this.graph.expressions.length) this.graph.expressions.push({ text: '', fn: null, error: null });
+            this.renderGraphExpressions();
+            this.drawGraph();
+        }
+        
+        // 画布的显示尺寸（CSS 像素）
+        graphSize() {
+            const canvas = this.elements.graphCanvas;
+            return { width: canvas.clientWidth || canvas.width, height: canvas.clientHeight || canvas.height };
+        }
+        
+        // 回到以原点为中心、x ∈ [-10, 10] 且横纵比例相同的视野
+        resetGraphView() {
+            const { width, height } = this.graphSize();
+            const halfHeight = 10 * height / width;
+            this.graph.view = { xMin: -10, xMax: 10, yMin: -halfHeight, yMax: halfHeight };
         }
         
-        // 更新显示
-        updateDisplay() {
-            let displayText = this.currentInput;
-            
-            if (displayText.length > 12) {
-                displayText = parseFloat(displayText).toExponential(6);
-            }
+        // 以画布上的 (px, py) 为中心缩放，factor > 1 为缩小
+        zoomGraph(factor, px, py) {
+            const { width, height } = this.graphSize();
+            const view = this.graph.view;
+            const xSpan = (view.xMax - view.xMin) * factor;
+            const ySpan = (view.yMax - view.yMin) * factor;
+            if (xSpan < 1e-9 || xSpan > 1e9 || ySpan < 1e-9 || ySpan > 1e9) return;
             
-            this.elements.display.textContent = displayText;
-            this.updateBaseIndicator();
+            const x = view.xMin + (view.xMax - view.xMin) * px / width;
+            const y = view.yMax - (view.yMax - view.yMin) * py / height;
+            this.graph.view = {
+                xMin: x - (x - view.xMin) * factor,
+                xMax: x + (view.xMax - x) * factor,
+                yMin: y - (y - view.yMin) * factor,
+                yMax: y + (view.yMax - y) * factor
+            };
+            this.drawGraph();
         }
         
-        // 更新进制指示器
-        updateBaseIndicator() {
-            let baseText = '';
-            switch(this.currentBase) {
-                case 'dec': baseText = 'DEC'; break;
-                case 'bin': baseText = 'BIN'; break;
-                case 'oct': baseText = 'OCT'; break;
-                case 'hex': baseText = 'HEX'; break;
-            }
-            this.elements.baseIndicator.textContent = baseText;
-            this.elements.baseIndicator.classList.add('show');
-            
-            setTimeout(() => {
-                this.elements.baseIndicator.classList.remove('show');
-            }, 3000);
+        // 按拖动的像素距离平移视野
+        panGraph(dx, dy) {
+            const { width, height } = this.graphSize();
+            const view = this.graph.view;
+            const shiftX = dx / width * (view.xMax - view.xMin);
+            const shiftY = dy / height * (view.yMax - view.yMin);
+            this.graph.view = {
+                xMin: view.xMin - shiftX,
+                xMax: view.xMax - shiftX,
+                yMin: view.yMin + shiftY,
+                yMax: view.yMax + shiftY
+            };
+            this.drawGraph();
         }
         
-        // 显示通知
-        showNotification(message, duration = 2000) {
-            this.elements.notificationContent.textContent = message;
-            this.elements.notification.classList.add('show');
-            
-            setTimeout(() => {
-                this.elements.notification.classList.remove('show');
-            }, duration);
+        toggleGraphTrace() {
+            this.graph.tracing = !this.graph.tracing;
+            this.graph.traceX = null;
+            this.elements.graphTraceBtn.classList.toggle('active', this.graph.tracing);
+            this.elements.graphCanvas.classList.toggle('tracing', this.graph.tracing);
+            this.drawGraph();
         }
         
-        // 显示/隐藏加载
-        showLoading(show) {
-            if (show) {
-                this.elements.loading.classList.add('show');
-            } else {
-                this.elements.loading.classList.remove('show');
+        traceGraphAt(px) {
+            const { width } = this.graphSize();
+            const view = this.graph.view;
+            this.graph.traceX = view.xMin + (view.xMax - view.xMin) * Math.min(Math.max(px, 0), width) / width;
+            this.drawGraph();
+        }
+        
+        // 绘制坐标网格、函数曲线、特殊点与追踪线，并更新特殊点列表
+        drawGraph() {
+            const canvas = this.elements.graphCanvas;
+            const context = canvas.getContext('2d');
+            const { width, height } = this.graphSize();
+            const ratio = window.devicePixelRatio || 1;
+            if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+                canvas.width = Math.round(width * ratio);
+                canvas.height = Math.round(height * ratio);
             }
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            context.clearRect(0, 0, width, height);
+            
+            const view = this.graph.view;
+            const viewHeight = view.yMax - view.yMin;
+            const toX = (x) => (x - view.xMin) / (view.xMax - view.xMin) * width;
+            // 远超视野的值截断后再换算，避免极大坐标
+            const toY = (y) => (view.yMax - Math.min(Math.max(y, view.yMin - viewHeight), view.yMax + viewHeight)) / viewHeight * height;
+            this.drawGraphAxes(context, width, height, toX, toY);
+            
+            const plots = [];
+            this.graph.expressions.forEach((expression, index) => {
+                if (!expression.fn) return;
+                const samples = Grapher.sample(expression.fn, view.xMin, view.xMax, Math.ceil(width));
+                plots.push({ fn: expression.fn, samples, name: `f${this.subscript(index + 1)}`, color: CONFIG.GRAPH_COLORS[index] });
+                
+                context.strokeStyle = CONFIG.GRAPH_COLORS[index];
+                context.lineWidth = 2;
+                context.beginPath();
+                Grapher.segments(expression.fn, samples, viewHeight).forEach(segment => {
+                    segment.forEach((point, k) => {
+                        if (k === 0) {
+                            context.moveTo(toX(point.x), toY(point.y));
+                        } else {
+                            context.lineTo(toX(point.x), toY(point.y));
+                        }
+                    });
+                });
+                context.stroke();
+            });
+            
+            const points = this.analyzeGraph(plots, viewHeight);
+            points.forEach(point => {
+                context.fillStyle = point.color;
+                context.beginPath();
+                context.arc(toX(point.x), toY(point.y), 4, 0, 2 * Math.PI);
+                context.fill();
+            });
+            
+            this.drawGraphTrace(context, height, plots, toX, toY);
+            this.renderGraphPoints(points);
         }
         
-        // 进制转换
-        convertBase(value, fromBase, toBase) {
-            let decimalValue;
+        // 网格线、坐标轴与刻度值；坐标轴不在视野内时刻度值贴边显示
+        drawGraphAxes(context, width, height, toX, toY) {
+            const { xMin, xMax, yMin, yMax } = this.graph.view;
+            const xStep = Grapher.tickStep(xMax - xMin, width / 80);
+            const yStep = Grapher.tickStep(yMax - yMin, height / 50);
+            const axisX = Math.min(Math.max(toX(0), 0), width);
+            const axisY = Math.min(Math.max(toY(0), 0), height);
             
-            switch(fromBase) {
-                case 'dec':
-                    decimalValue = parseInt(value, 10);
-                    break;
-                case 'bin':
-                    decimalValue = parseInt(value, 2);
-                    break;
-                case 'oct':
-                    decimalValue = parseInt(value, 8);
-                    break;
-                case 'hex':
-                    decimalValue = parseInt(value, 16);
-                    break;
-                default:
-                    return '错误';
-            }
+            context.lineWidth = 1;
+            context.font = '11px sans-serif';
+            context.fillStyle = '#868e96';
             
-            if (isNaN(decimalValue)) {
-                return '无效输入';
+            context.strokeStyle = '#f1f3f5';
+            context.beginPath();
+            for (let k = Math.ceil(xMin / xStep); k * xStep <= xMax; k++) {
+                context.moveTo(toX(k * xStep), 0);
+                context.lineTo(toX(k * xStep), height);
             }
+            for (let k = Math.ceil(yMin / yStep); k * yStep <= yMax; k++) {
+                context.moveTo(0, toY(k * yStep));
+                context.lineTo(width, toY(k * yStep));
+            }
+            context.stroke();
             
-            switch(toBase) {
-                case 'dec':
-                    return decimalValue.toString(10);
-                case 'bin':
-                    return decimalValue.toString(2);
-                case 'oct':
-                    return decimalValue.toString(8);
-                case 'hex':
-                    return decimalValue.toString(16).toUpperCase();
-                default:
-                    return '错误';
+            context.strokeStyle = '#adb5bd';
+            context.beginPath();
+            context.moveTo(axisX, 0);
+            context.lineTo(axisX, height);
+            context.moveTo(0, axisY);
+            context.lineTo(width, axisY);
+            context.stroke();
+            
+            context.textAlign = 'center';
+            context.textBaseline = axisY > height - 16 ? 'bottom' : 'top';
+            for (let k = Math.ceil(xMin / xStep); k * xStep <= xMax; k++) {
+                if (k !== 0) context.fillText(FloatArithmetic.toString(k * xStep), toX(k * xStep), axisY + (axisY > height - 16 ? -3 : 3));
             }
-        }
-        
-        // 科学计算
-        scientificCalculation(func, value) {
-            const num = parseFloat(value);
-            if (isNaN(num)) return '错误';
             
-            switch(func) {
-                case 'sin':
-                    return Math.sin(num * Math.PI / 180).toString();
-                case 'cos':
-                    return Math.cos(num * Math.PI / 180).toString();
-                case 'tan':
-                    return Math.tan(num * Math.PI / 180).toString();
-                case 'log':
-                    return num > 0 ? Math.log10(num).toString() : '错误';
-                case 'ln':
-                    return num > 0 ? Math.log(num).toString() : '错误';
-                case 'sqrt':
-                    return num >= 0 ? Math.sqrt(num).toString() : '错误';
-                case 'square':
-                    return (num * num).toString();
-                case 'cube':
-                    return (num * num * num).toString();
-                case 'factorial':
-                    if (num < 0 || !Number.isInteger(num)) return '错误';
-                    if (num > 100) return '太大';
-                    let result = 1;
-                    for (let i = 2; i <= num; i++) result *= i;
-                    return result.toString();
-                default:
-                    return value;
+            context.textAlign = axisX < 40 ? 'left' : 'right';
+            context.textBaseline = 'middle';
+            for (let k = Math.ceil(yMin / yStep); k * yStep <= yMax; k++) {
+                if (k !== 0) context.fillText(FloatArithmetic.toString(k * yStep), axisX + (axisX < 40 ? 4 : -4), toY(k * yStep));
             }
         }
         
-        // 计算
-        calculate() {
-            if (!this.operation || !this.previousInput) return;
+        // 追踪线：标出各函数在 traceX 处的点并显示坐标
+        drawGraphTrace(context, height, plots, toX, toY) {
+            const { traceX, view } = this.graph;
+            if (traceX === null) {
+                this.elements.graphTrace.textContent = this.graph.tracing ? '在图上移动或拖动以追踪' : '';
+                return;
+            }
             
-            let prev = parseFloat(this.previousInput);
-            let current = parseFloat(this.currentInput);
-            let result;
+            context.strokeStyle = '#868e96';
+            context.setLineDash([4, 4]);
+            context.beginPath();
+            context.moveTo(toX(traceX), 0);
+            context.lineTo(toX(traceX), height);
+            context.stroke();
+            context.setLineDash([]);
             
-            switch(this.operation) {
-                case '+':
-                    result = prev + current;
-                    break;
-                case '-':
-                    result = prev - current;
-                    break;
-                case '×':
-                    result = prev * current;
-                    break;
-                case '÷':
-                    if (current === 0) {
-                        this.showNotification('不能除以零');
-                        return;
-                    }
-                    result = prev / current;
-                    break;
-                case '^':
-                    result = Math.pow(prev, current);
-                    break;
-                default:
-                    return;
-            }
+            const span = view.xMax - view.xMin;
+            const readings = [`x = ${Grapher.formatCoordinate(traceX, span)}`];
+            plots.forEach(plot => {
+                const y = plot.fn(traceX);
+                readings.push(`${plot.name} = ${isNaN(y) ? '无定义' : Grapher.formatCoordinate(y, span)}`);
+                if (isNaN(y)) return;
+                
+                context.fillStyle = plot.color;
+                context.beginPath();
+                context.arc(toX(traceX), toY(y), 5, 0, 2 * Math.PI);
+                context.fill();
+            });
+            this.elements.graphTrace.textContent = readings.join('   ');
+        }
+        
+        // 可见范围内各函数的零点、极值点以及两两之间的交点
+        analyzeGraph(plots, viewHeight) {
+            const points = [];
             
-            // 处理精度问题
-            result = parseFloat(result.toPrecision(12));
-            this.currentInput = result.toString();
-            this.operation = null;
-            this.previousInput = '';
-            this.updateDisplay();
+            plots.forEach(({ fn, samples, name, color }) => {
+                Grapher.roots(fn, samples, viewHeight).forEach(x => {
+                    points.push({ x, y: 0, label: `${name} 零点`, color });
+                });
+                Grapher.extrema(fn, samples, viewHeight).forEach(({ x, y, kind }) => {
+                    points.push({ x, y, label: `${name} ${kind === 'max' ? '极大值' : '极小值'}`, color });
+                });
+            });
             
-            // 添加到历史记录
-            this.addToHistory(`${prev} ${this.operation} ${current} = ${result}`);
+            plots.forEach((first, i) => plots.slice(i + 1).forEach(second => {
+                const difference = (x) => first.fn(x) - second.fn(x);
+                const samples = { xs: first.samples.xs, ys: first.samples.ys.map((y, k) => y - second.samples.ys[k]) };
+                Grapher.roots(difference, samples, viewHeight).forEach(x => {
+                    points.push({ x, y: first.fn(x), label: `${first.name} 与 ${second.name} 交点`, color: '#495057' });
+                });
+            }));
+            return points;
         }
         
-        // 添加到历史记录
-        addToHistory(entry) {
-            this.history.unshift(entry);
-            if (this.history.length > CONFIG.MAX_HISTORY) {
-                this.history.pop();
+        // 列出特殊点，点击填入横坐标
+        renderGraphPoints(points) {
+            const container = this.elements.graphPoints;
+            const span = this.graph.view.xMax - this.graph.view.xMin;
+            container.innerHTML = '';
+            
+            points.slice(0, CONFIG.GRAPH_MAX_POINTS).forEach(point => {
+                const x = Grapher.formatCoordinate(point.x, span);
+                const item = document.createElement('div');
+                item.className = 'result-item';
+                item.setAttribute('data-label', `${point.label} x`);
+                item.setAttribute('data-value', x);
+                
+                const name = document.createElement('span');
+                name.className = 'result-label';
+                name.style.color = point.color;
+                name.textContent = point.label;
+                
+                const value = document.createElement('span');
+                value.className = 'result-value';
+                value.textContent = `(${x}, ${Grapher.formatCoordinate(point.y, span)})`;
+                
+                item.append(name, value);
+                container.appendChild(item);
+            });
+            
+            if (points.length > CONFIG.GRAPH_MAX_POINTS) {
+                const message = document.createElement('div');
+                message.className = 'result-message';
+                message.textContent = `共 ${points.length} 个点，只列出前 ${CONFIG.GRAPH_MAX_POINTS} 个，放大可查看其余的点`;
+                container.appendChild(message);
             }
         }
         
@@ -1215,23 +9498,184 @@
             this.currentInput = '0';
             this.previousInput = '';
             this.operation = null;
+            this.expression = [];
+            this.awaitingOperand = false;
+            this.lastOperation = null;
+            this.completed = null;
             this.updateDisplay();
             this.showNotification('已清除');
         }
         
         // 删除最后一个字符
         deleteLastCharacter() {
+            // 刚输入运算符或括号时，撤回该记号并恢复前一个操作数
+            if (this.awaitingOperand || this.endsWithOperand()) {
+                this.removeLastToken();
+                this.updateDisplay();
+                return;
+            }
+            
             if (this.currentInput.length > 1) {
-                this.currentInput = this.currentInput.slice(0, -1);
+                // 带分数删去分数线后退回 a/b 形式：1 2/ → 1/2
+                this.currentInput = this.currentInput.slice(0, -1).replace(/^(-?\d+) (\d+)$/, '$1/$2');
             } else {
                 this.currentInput = '0';
             }
             this.updateDisplay();
         }
         
+        // 撤回表达式末尾的记号
+        removeLastToken() {
+            this.expression.pop();
+            const last = this.lastToken();
+            
+            if (!last) {
+                this.awaitingOperand = false;
+            } else if (last.type === 'number') {
+                this.expression.pop();
+                this.currentInput = last.value;
+                this.awaitingOperand = false;
+                this.resetScreen = false;
+            } else if (last.type === 'rparen' || last.type === 'postfix') {
+                this.awaitingOperand = false;
+                this.refreshOperandValue();
+            } else {
+                this.awaitingOperand = true;
+            }
+        }
+        
+        // 可以撤销的状态：输入与表达式、进制、模式、存储器以及会改变数值的计算设置
+        captureState() {
+            const settings = {};
+            CONFIG.UNDO_SETTINGS.forEach(key => {
+                settings[key] = this.settings[key];
+            });
+            
+            return JSON.stringify({
+                currentInput: this.currentInput,
+                previousInput: this.previousInput,
+                operation: this.operation,
+                expression: this.expression,
+                awaitingOperand: this.awaitingOperand,
+                resetScreen: this.resetScreen,
+                lastOperation: this.lastOperation,
+                constantOperation: this.constantOperation,
+                decimalViewOf: this.decimalViewOf,
+                currentBase: this.currentBase,
+                mode: this.mode,
+                memory: this.memory,
+                settings
+            });
+        }
+        
+        // 一次操作中的多次改变在操作结束后合并记录为一步
+        recordUndoState() {
+            if (this.undoScheduled || this.undoState === null) return;
+            this.undoScheduled = true;
+            Promise.resolve().then(() => this.commitUndoState());
+        }
+        
+        commitUndoState() {
+            this.undoScheduled = false;
+            const state = this.captureState();
+            if (state === this.undoState) return;
+            
+            this.undoStack.push(this.undoState);
+            if (this.undoStack.length > CONFIG.MAX_UNDO_STEPS) this.undoStack.shift();
+            this.redoStack = [];
+            this.undoState = state;
+        }
+        
+        undo() {
+            this.commitUndoState();
+            if (this.undoStack.length === 0) {
+                this.showNotification('没有可以撤销的操作');
+                return;
+            }
+            
+            this.redoStack.push(this.undoState);
+            this.restoreState(this.undoStack.pop());
+            this.showNotification('已撤销');
+        }
+        
+        redo() {
+            this.commitUndoState();
+            if (this.redoStack.length === 0) {
+                this.showNotification('没有可以重做的操作');
+                return;
+            }
+            
+            this.undoStack.push(this.undoState);
+            this.restoreState(this.redoStack.pop());
+            this.showNotification('已重做');
+        }
+        
+        // 恢复记录的状态；先更新 undoState，恢复过程中的改变不再记录
+        restoreState(state) {
+            this.undoState = state;
+            const saved = JSON.parse(state);
+            
+            ['currentInput', 'previousInput', 'operation', 'expression', 'awaitingOperand', 'resetScreen',
+                'lastOperation', 'constantOperation', 'decimalViewOf', 'currentBase'].forEach(key => {
+                this[key] = saved[key];
+            });
+            this.updateConstantIndicator();
+            
+            if (CONFIG.UNDO_SETTINGS.some(key => this.settings[key] !== saved.settings[key])) {
+                Object.assign(this.settings, saved.settings);
+                this.saveSettings();
+                this.loadSettings();
+            }
+            if (saved.mode !== this.mode) {
+                this.mode = saved.mode;
+                this.applyMode();
+            }
+            
+            this.memory = saved.memory;
+            this.saveMemory();
+            this.updateMemoryIndicator();
+            this.renderVariables();
+            this.updateDisplay();
+        }
+        
+        // 显示屏上的水平滑动：左滑撤销，右滑重做
+        setupUndoGesture() {
+            let start = null;
+            
+            this.elements.display.addEventListener('touchstart', (e) => {
+                start = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+            }, { passive: true });
+            
+            this.elements.display.addEventListener('touchend', (e) => {
+                if (!start) return;
+                const dx = e.changedTouches[0].clientX - start.x;
+                const dy = e.changedTouches[0].clientY - start.y;
+                start = null;
+                
+                if (Math.abs(dx) < CONFIG.UNDO_SWIPE_DISTANCE || Math.abs(dy) > Math.abs(dx) / 2) return;
+                if (dx < 0) this.undo();
+                else this.redo();
+            });
+        }
+        
         // 添加小数点
         addDecimal() {
-            if (!this.currentInput.includes('.')) {
+            if (this.mode === 'programmer') {
+                this.showNotification('程序员模式只支持整数');
+                return;
+            }
+            
+            this.beginOperand();
+            
+            if (!this.resetScreen && this.currentInput.includes('/')) {
+                this.showNotification('分数中不能输入小数点');
+            } else if (!this.resetScreen && this.currentInput.endsWith('i')) {
+                this.showNotification('虚数单位后不能继续输入');
+            } else if (this.resetScreen) {
+                this.currentInput = '0.';
+                this.resetScreen = false;
+                this.updateDisplay();
+            } else if (!this.currentInput.includes('.')) {
                 this.currentInput += '.';
                 this.updateDisplay();
             }
@@ -1248,6 +9692,18 @@
             this.elements.colorPanel.classList.remove('show');
             this.elements.effectSettingsPanel.classList.remove('show');
             this.elements.conversionPanel.classList.remove('show');
+            this.elements.historyPanel.classList.remove('show');
+            this.elements.variablesPanel.classList.remove('show');
+            this.elements.unitsPanel.classList.remove('show');
+            this.elements.currencyPanel.classList.remove('show');
+            this.elements.statisticsPanel.classList.remove('show');
+            this.elements.solverPanel.classList.remove('show');
+            this.elements.graphPanel.classList.remove('show');
+            this.elements.calculusPanel.classList.remove('show');
+            this.elements.matrixPanel.classList.remove('show');
+            this.elements.datePanel.classList.remove('show');
+            this.elements.financePanel.classList.remove('show');
+            this.elements.keymapPanel.classList.remove('show');
             this.elements.overlay.classList.remove('show');
         }
         
@@ -1280,27 +9736,204 @@
         
         // 切换模式
         toggleMode() {
-            this.isScientific = !this.isScientific;
-            this.elements.calculator.classList.toggle('scientific', this.isScientific);
-            
-            if (this.isScientific) {
-                this.elements.currentMode.textContent = '科学';
-                this.elements.modeBtn.classList.add('scientific');
-                this.showNotification('进入科学计算模式');
-                this.gridColumns = 5;
-            } else {
-                this.elements.currentMode.textContent = '标准';
-                this.elements.modeBtn.classList.remove('scientific');
-                this.showNotification('进入标准计算模式');
-                this.gridColumns = 4;
+            const modes = Object.keys(CONFIG.MODES);
+            const nextMode = modes[(modes.indexOf(this.mode) + 1) % modes.length];
+            
+            // 进入或离开程序员模式时转换当前数值
+            if (nextMode === 'programmer') {
+                this.enterProgrammerMode();
+            } else if (this.mode === 'programmer') {
+                this.leaveProgrammerMode();
             }
             
+            this.mode = nextMode;
+            this.applyMode();
+            this.showNotification(CONFIG.MODES[nextMode].notification);
+            this.updateDisplay();
+        }
+        
+        // 按 this.mode 更新界面与按钮网格
+        applyMode() {
+            this.isScientific = this.mode === 'scientific';
+            
+            Object.keys(CONFIG.MODES).forEach(mode => {
+                this.elements.calculator.classList.toggle(mode, mode === this.mode);
+                this.elements.modeBtn.classList.toggle(mode, mode === this.mode);
+            });
+            
+            this.elements.currentMode.textContent = CONFIG.MODES[this.mode].label;
+            if (this.mode === 'statistics') this.updateStatisticsBar();
+            this.gridColumns = CONFIG.MODES[this.mode].columns;
+            
             // 重新初始化按钮网格映射
             setTimeout(() => {
                 this.initButtonGridMap();
             }, 100);
         }
         
+        // 进入程序员模式：当前值取整并截断到字长，清空未完成的表达式
+        enterProgrammerMode() {
+            const arithmetic = new ProgrammerArithmetic(this.settings.wordSize, this.settings.signed, this.currentBase);
+            
+            try {
+                this.currentInput = arithmetic.toString(arithmetic.fromDecimalString(this.complexToReal(this.fractionToDecimal(this.currentInput))));
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.currentInput = '0';
+            }
+            
+            this.resetExpression();
+            this.clearRepeatOperations();
+        }
+        
+        // 离开程序员模式：转回十进制
+        leaveProgrammerMode() {
+            const arithmetic = this.getArithmetic();
+            
+            try {
+                this.currentInput = arithmetic.fromString(this.currentInput).toString();
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.currentInput = '0';
+            }
+            
+            this.currentBase = 'dec';
+            this.resetExpression();
+            this.clearRepeatOperations();
+        }
+        
+        // 分数模式只在非程序员模式下生效
+        isFractionActive() {
+            return this.settings.fractionMode && this.mode !== 'programmer';
+        }
+        
+        // 复数模式只在非程序员模式下生效
+        isComplexActive() {
+            return this.settings.complexMode && this.mode !== 'programmer';
+        }
+        
+        // 开关精确小数、分数、复数模式：三者互斥，关闭分数或复数模式时把输入转为实数
+        setCalculationMode(key, enabled) {
+            if (enabled) {
+                Object.keys(CONFIG.CALCULATION_MODES)
+                    .filter(other => other !== key && this.settings[other])
+                    .forEach(other => this.setCalculationMode(other, false));
+            } else if (key === 'fractionMode') {
+                this.mapEntries(text => this.fractionToDecimal(text));
+            } else if (key === 'complexMode') {
+                this.mapEntries((text) => {
+                    try {
+                        return this.complexToReal(text);
+                    } catch (error) {
+                        if (error instanceof CalculationError) return '0';
+                        throw error;
+                    }
+                });
+            }
+            
+            this.settings[key] = enabled;
+            this.elements[`${key}Toggle`].checked = enabled;
+            this.elements.calculator.classList.toggle(CONFIG.CALCULATION_MODES[key], enabled);
+            this.saveSettings();
+            this.recordUndoState();
+            this.updateDisplay();
+        }
+        
+        // 复数文本转为实数文本，虚部不为零时抛出 CalculationError
+        complexToReal(text) {
+            if (!/[i∠]/.test(text)) return text;
+            
+            const value = new ComplexArithmetic(false).fromString(text);
+            if (!value.isReal()) throw new CalculationError('复数只能在复数模式下使用');
+            return FloatArithmetic.toString(value.re);
+        }
+        
+        // i 键：正在输入的实数乘以 i（3 → 3i），否则输入虚数单位 i
+        enterImaginaryUnit() {
+            if (!this.isComplexActive()) {
+                this.showNotification('请先在设置中开启复数模式');
+                return;
+            }
+            
+            const typing = !this.awaitingOperand && !this.resetScreen && !this.endsWithOperand();
+            if (typing && this.currentInput.endsWith('i')) {
+                this.showNotification('已输入虚数单位');
+            } else if (typing && this.currentInput !== '0') {
+                this.currentInput += 'i';
+            } else {
+                this.beginOperand();
+                this.currentInput = 'i';
+                this.resetScreen = true;
+            }
+        }
+        
+        // 分数文本转为小数文本，其他文本原样返回
+        fractionToDecimal(text) {
+            if (!text.includes('/')) return text;
+            
+            const arithmetic = new FractionArithmetic(false);
+            try {
+                return arithmetic.toDecimalText(arithmetic.fromString(text), 15);
+            } catch (error) {
+                if (error instanceof CalculationError) return '0';
+                throw error;
+            }
+        }
+        
+        // a b/c 键：依次输入整数、分子、分母，如 1 [a b/c] 2 [a b/c] 3 → 1 2/3
+        enterFraction() {
+            if (!this.isFractionActive()) {
+                this.showNotification('请先在设置中开启分数模式');
+                return;
+            }
+            
+            const typing = !this.awaitingOperand && !this.resetScreen && !this.endsWithOperand();
+            if (typing && /^-?\d+$/.test(this.currentInput)) {
+                this.currentInput += '/';
+            } else if (typing && /^-?\d+\/\d+$/.test(this.currentInput)) {
+                this.currentInput = this.currentInput.replace('/', ' ') + '/';
+            } else {
+                this.showNotification('请先输入整数部分或分子');
+            }
+        }
+        
+        // S⇔D：分数与小数显示互换；小数则化为分数
+        toggleFractionView() {
+            if (!this.isFractionActive()) {
+                this.showNotification('请先在设置中开启分数模式');
+                return;
+            }
+            
+            const arithmetic = this.getArithmetic();
+            try {
+                if (this.currentInput.includes('/')) {
+                    arithmetic.fromString(this.currentInput);
+                    this.decimalViewOf = this.decimalViewOf === this.currentInput ? null : this.currentInput;
+                    return;
+                }
+                
+                const value = arithmetic.toFraction(this.currentInput);
+                if (!value) {
+                    this.showNotification('无法化为简单分数');
+                    return;
+                }
+                this.currentInput = value.toString(this.settings.mixedFractions);
+                this.resetScreen = true;
+            } catch (error) {
+                if (!(error instanceof CalculationError)) throw error;
+                this.showNotification(error.message);
+            }
+        }
+        
+        // 清空未完成的表达式
+        resetExpression() {
+            this.expression = [];
+            this.awaitingOperand = false;
+            this.previousInput = '';
+            this.operation = null;
+            this.resetScreen = true;
+        }
+        
         // 自适应布局
         adjustLayout() {
             const width = window.innerWidth;